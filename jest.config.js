@@ -4,6 +4,7 @@ module.exports = {
   collectCoverageFrom: [
     'src/js/**/*.js',
     '!src/js/pdf-worker.js', // Web Workers can't be tested in JSDOM
+    '!src/js/**/*.worker.js',
     '!src/js/**/*.test.js'
   ],
   coverageDirectory: 'coverage',
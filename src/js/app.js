@@ -1,6 +1,12 @@
 // Loading indicators
 import { UIController } from './ui-controller.js';
 import { createEngine } from './engine/index.js';
+import {
+  isAbortError,
+  mapWithConcurrency,
+  throwIfAborted,
+} from './async-utils.js';
+import { openRenderDocument, renderPage } from './page-renderer.js';
 // Remove static imports of PDFProcessor and StorageManager since we'll load them dynamically
 // import { PDFProcessor } from './pdf-processor.js';
 // import { StorageManager } from './storage-manager.js';
@@ -25,6 +31,10 @@ class PDFCompressorApp {
     this.uiController = null;
     this.worker = null;
     this.engine = null;
+    // AbortController of the job in progress (null when idle)
+    this.abortController = null;
+    // pdf.js document of the current file (Promise, opened on first preview)
+    this.renderDocument = null;
 
     // Application state
     this.state = {
@@ -36,9 +46,35 @@ class PDFCompressorApp {
         removeImages: false,
         splitPDF: false,
         splitMethod: 'pages',
-        pageRange: '',
+        pageRange: '', // Split tab: pages per file, or a range list ("1-3,7,10-end,odd")
+        splitGroups: false, // ...each comma-separated group as its own file
+        bookmarkDepth: 1, // Split by bookmarks: outline levels that start a new file
+        separatorMode: 'blank', // Split at separator pages: 'blank' or 'marker'
+        blankThreshold: 0.5, // ...ink coverage (%) at or below which a page is blank
+        separatorMarker: '', // ...text that marks a separator page
+        dropSeparators: true, // ...leave the separator pages out of the parts
         fileSizeLimit: 10,
+        fitAttachments: false, // Target Size tab: split when the target can't be reached
+        maxAttachments: 5, // ...parts the mail can carry (reported when exceeded)
+        batchConcurrency: 1,
+        colorMode: 'color', // 'color' | 'gray' | 'bilevel'
+        targetDpi: 0, // 0 = downscale by quality; 72 / 150 / 300 = DPI mode
+        subsetFonts: false, // trim embedded TrueType fonts to the used glyphs
+        placeholders: false, // Removal tab: grey box where each image was
+        placeholderCaptions: false, // ...with the image size in pixels
+        imageFilter: null, // ...{ minKB, minPixels, pages, colorOnly, keepIds }
+        sanitize: false, // Sanitize tab: strip the categories below
+        sanitizeCategories: [
+          'metadata',
+          'thumbnails',
+          'javascript',
+          'embeddedFiles',
+          'pieceInfo',
+        ],
+        organizePages: false, // Organize tab: save the pages as arranged
+        pageLayout: null, // ...[{ index, rotation }] in output order
       },
+      // Batch mode: [{ id, file, status, progress, message, result, error }]
       processingQueue: [],
       isOnline: navigator.onLine,
       isProcessing: false,
@@ -193,8 +229,15 @@ class PDFCompressorApp {
         return;
       }
 
+      // Selecting a single file leaves batch mode
+      if (this.state.processingQueue.length > 0) this.clearQueue();
+
       // Set current file in state and show basic info immediately
       this.state.currentFile = file;
+      this.state.pdfDocument = null;
+      this.releaseRenderDocument();
+      this.uiController.hideThumbnails();
+      this.uiController.hideAnalysis();
       this.uiController.showFileInfo({
         fileName: file.name,
         fileSize: file.size,
@@ -228,6 +271,17 @@ class PDFCompressorApp {
         /* noop: image estimation is best-effort */
       }
       this.uiController.showFileInfo({ ...result.metadata, imageCount });
+      this.uiController.showThumbnails(
+        this.pdfProcessor.getPageSizes(result.pdfDoc)
+      );
+      // Image list for selective removal (best-effort as well)
+      try {
+        this.uiController.showImageList(
+          this.pdfProcessor.listImages(result.pdfDoc)
+        );
+      } catch (e) {
+        this.uiController.showImageList([]);
+      }
       // Keep Process button enabled after metadata is loaded
       if (processBtn) processBtn.disabled = false;
 
@@ -245,31 +299,32 @@ class PDFCompressorApp {
    * @returns {boolean}
    */
   validateFile(file) {
-    if (!file) {
-      this.showErrorMessage('Nie wybrano pliku.');
+    const error = this.getFileValidationError(file);
+    if (error) {
+      this.showErrorMessage(error);
       return false;
     }
+    return true;
+  }
+
+  /**
+   * Check a file without showing UI messages (used by batch mode)
+   * @param {File} file
+   * @returns {string|null} Localized error message or null when valid
+   */
+  getFileValidationError(file) {
+    if (!file) return 'Nie wybrano pliku.';
     // Only PDFs
     const isPdf =
       file.type === 'application/pdf' ||
       (file.name && file.name.toLowerCase().endsWith('.pdf'));
-    if (!isPdf) {
-      this.showErrorMessage('Obsługiwane są tylko pliki PDF.');
-      return false;
-    }
+    if (!isPdf) return 'Obsługiwane są tylko pliki PDF.';
     // Basic size checks (0 < size <= 500MB)
     const maxBytes = 500 * 1024 * 1024;
-    if (file.size === 0) {
-      this.showErrorMessage('Plik jest pusty (0 B).');
-      return false;
-    }
-    if (file.size > maxBytes) {
-      this.showErrorMessage(
-        'Plik jest zbyt duży. Maksymalny rozmiar to 500 MB.'
-      );
-      return false;
-    }
-    return true;
+    if (file.size === 0) return 'Plik jest pusty (0 B).';
+    if (file.size > maxBytes)
+      return 'Plik jest zbyt duży. Maksymalny rozmiar to 500 MB.';
+    return null;
   }
 
   /**
@@ -299,6 +354,59 @@ class PDFCompressorApp {
     }
   }
 
+  /**
+   * Analyze view: image inventory and per-page size breakdown of the
+   * current file (PDFProcessor.analyzePDF())
+   */
+  async analyzeCurrentFile() {
+    if (!this.state.currentFile) return;
+    try {
+      await this.ensurePDFLibrariesLoaded();
+      if (!this.state.pdfDocument) {
+        const result = await this.pdfProcessor.loadPDF(this.state.currentFile);
+        this.state.pdfDocument = result.pdfDoc;
+      }
+      const report = this.pdfProcessor.analyzePDF(
+        this.state.pdfDocument,
+        this.state.currentFile.size
+      );
+      this.uiController.showAnalysis(report);
+    } catch (error) {
+      console.error('[PDFCompressor] Analysis failed:', error);
+      this.showErrorMessage('Analysis failed: ' + error.message);
+    }
+  }
+
+  /**
+   * Thumbnail for a row of the Analyze view
+   * @param {'image'|'page'} kind - Row type
+   * @param {string|number} key - Image id ("12 0 R") or 0-based page index
+   * @returns {Promise<Blob|HTMLCanvasElement|null>}
+   */
+  async createThumbnail(kind, key) {
+    if (!this.state.pdfDocument) return null;
+    if (kind === 'image') {
+      return this.pdfProcessor.createImageThumbnail(
+        this.state.pdfDocument,
+        key
+      );
+    }
+    if (!this.renderDocument) {
+      this.renderDocument = openRenderDocument(this.state.currentFile);
+    }
+    const pdf = await this.renderDocument;
+    return pdf ? renderPage(pdf, key) : null;
+  }
+
+  /**
+   * Close the pdf.js document of the previous file
+   */
+  releaseRenderDocument() {
+    if (!this.renderDocument) return;
+    this.renderDocument.then(pdf => pdf?.destroy()).catch(() => {});
+    this.renderDocument = null;
+  }
+
   /**
    * Process the current PDF with selected options
    */
@@ -312,14 +420,18 @@ class PDFCompressorApp {
           this.state.currentFile?.name
         );
       }
+      // Batch mode: several files queued from the drop area
+      if (this.state.processingQueue.length > 0) {
+        await this.processQueue();
+        return;
+      }
       // Ensure there is a file selected
       if (!this.state.currentFile) {
         this.showErrorMessage('No PDF file selected');
         return;
       }
       // Ensure at least one processing option
-      const opts = this.state.processingOptions;
-      if (!opts.removeImages && !opts.imageCompression && !opts.splitPDF) {
+      if (!this.hasProcessingOption(this.state.processingOptions)) {
         this.showError('Please select at least one processing option');
         return;
       }
@@ -337,6 +449,8 @@ class PDFCompressorApp {
       await this.ensurePDFLibrariesLoaded();
 
       this.state.isProcessing = true;
+      this.abortController = new AbortController();
+      const { signal } = this.abortController;
 
       // Start performance tracking
       this.startPerformanceTracking();
@@ -352,63 +466,35 @@ class PDFCompressorApp {
         this.uiController.updateProgress(percent, message);
       };
 
-      // If removal is selected, use dedicated removal flow (keeps text, removes images)
+      const result = await this.runJob(
+        this.state.currentFile,
+        { ...this.state.processingOptions, signal },
+        progressCallback
+      );
+
+      // Removal result: prefer custom results list UI if present; otherwise use existing UIController view
       if (this.state.processingOptions.removeImages) {
-        this.uiController.updateProgress(10, 'Preparing to remove images...');
-        const removal = await this.pdfProcessor.removeImages(
-          this.state.currentFile,
-          {},
-          progressCallback
-        );
-        const processedFile = new File([removal.pdfBytes], removal.fileName, {
-          type: 'application/pdf',
-        });
-        const files = {
-          originalFile: this.state.currentFile,
-          processedFile,
-          savings: this.pdfProcessor.estimateCompression(
-            this.state.currentFile.size,
-            removal.pdfBytes.length
-          ),
-        };
-        // Prefer custom results list UI if present; otherwise use existing UIController view
         const resultsList = document.getElementById('resultsList');
         if (resultsList) {
           this.showResults([
             {
-              name: removal.fileName,
-              data: removal.pdfBytes,
-              size: removal.pdfBytes.length,
-              stats: removal.stats,
+              name: result.processedFile.name,
+              data: result.processedFile,
+              size: result.processedFile.size,
+              stats: result.stats,
             },
           ]);
         } else {
           const storageManager = await this.getStorageManager();
-          await storageManager.saveResult(files);
-          this.uiController.showResults(files);
+          await storageManager.saveResult(result);
+          this.uiController.showResults(result);
         }
         this.endPerformanceTracking();
         this.state.isProcessing = false;
+        this.abortController = null;
         return;
       }
 
-      // Process PDF via engine
-      const result = await this.engine.process(
-        this.state.currentFile,
-        this.state.processingOptions,
-        progressCallback
-      );
-
-      // Validate result
-      if (!result || (!result.processedFile && !result.files)) {
-        throw new Error('PDF processing returned invalid result');
-      }
-
-      // Validate file sizes
-      if (result.processedFile.size === 0) {
-        throw new Error('Processed file is empty (0 bytes)');
-      }
-
       // End performance tracking
       this.endPerformanceTracking();
 
@@ -431,7 +517,18 @@ class PDFCompressorApp {
         if (container) {
           container.style.display = 'block';
           // clear existing
-          container.innerHTML = '<h3>Split Complete</h3>';
+          container.innerHTML = '';
+          const heading = document.createElement('h3');
+          heading.textContent = result.fit
+            ? `Split into ${result.fit.parts} attachments of at most ${result.fit.limitMB} MB`
+            : 'Split Complete';
+          container.appendChild(heading);
+          if (result.fit && result.fit.parts > result.fit.maxParts) {
+            this.uiController.showNotification(
+              `The document needs ${result.fit.parts} attachments, more than the ${result.fit.maxParts} allowed`,
+              'warning'
+            );
+          }
           const wrap = document.createElement('div');
           wrap.className = 'split-results-list';
           list.forEach(item => {
@@ -476,12 +573,28 @@ class PDFCompressorApp {
             row.appendChild(actions);
             wrap.appendChild(row);
           });
+          const bulk = document.createElement('div');
+          bulk.style.textAlign = 'right';
+          const btnZip = document.createElement('button');
+          btnZip.className = 'button-download';
+          btnZip.textContent = 'Download all (ZIP)';
+          btnZip.addEventListener('click', () =>
+            this.downloadAllAsZip(
+              result.files,
+              `${this.baseName(result.originalFile.name)}-parts.zip`,
+              {
+                source: {
+                  name: result.originalFile.name,
+                  size: result.originalFile.size,
+                },
+              }
+            )
+          );
+          bulk.appendChild(btnZip);
           if (
             window.desktop &&
             typeof window.desktop.chooseDirectory === 'function'
           ) {
-            const bulk = document.createElement('div');
-            bulk.style.textAlign = 'right';
             const btnAll = document.createElement('button');
             btnAll.className = 'button-download';
             btnAll.textContent = 'Save All';
@@ -497,8 +610,8 @@ class PDFCompressorApp {
               await window.desktop.saveFiles(dir, files);
             });
             bulk.appendChild(btnAll);
-            container.appendChild(bulk);
           }
+          container.appendChild(bulk);
           container.appendChild(wrap);
         }
       } else {
@@ -509,8 +622,17 @@ class PDFCompressorApp {
       }
 
       this.state.isProcessing = false;
+      this.abortController = null;
     } catch (error) {
       this.state.isProcessing = false;
+      this.abortController = null;
+      // Cancelled by the user: back to the options view, no error modal
+      if (isAbortError(error)) {
+        if (this.__debug) console.log('[PDFCompressor] Processing cancelled');
+        this.uiController.showOptionsView();
+        this.uiController.showNotification('Processing cancelled', 'info');
+        return;
+      }
       console.error('[PDFCompressor] Error processing PDF:', error);
       // Hide progress if visible
       try {
@@ -530,8 +652,171 @@ class PDFCompressorApp {
     }
   }
 
+  /**
+   * Check that the options select at least one operation
+   * @param {Object} opts - Processing options
+   * @returns {boolean}
+   */
+  hasProcessingOption(opts) {
+    return Boolean(
+      opts.removeImages ||
+        opts.imageCompression ||
+        opts.splitPDF ||
+        opts.targetSizeMode ||
+        opts.sanitize ||
+        opts.organizePages
+    );
+  }
+
+  /**
+   * Run one processing job (shared by single-file and batch modes)
+   * @param {File} file - PDF to process
+   * @param {Object} options - Processing options (with optional `signal`)
+   * @param {Function} progressCallback - Receives { percentage, message }
+   * @returns {Promise<Object>} { originalFile, processedFile, files?, savings, ... }
+   */
+  async runJob(file, options, progressCallback) {
+    await this.ensurePDFLibrariesLoaded();
+    if (!options.sanitize) {
+      return this.runJobSteps(file, options, progressCallback);
+    }
+
+    // Sanitize runs here for every engine and mode: the steps below only get
+    // the cleaned copy, so no path can hand back the original bytes
+    if (progressCallback)
+      progressCallback({ percentage: 5, message: 'Sanitizing...' });
+    const { pdfDoc } = await this.pdfProcessor.loadPDF(file);
+    const sanitizedBytes = this.pdfProcessor.sanitizePDF(
+      pdfDoc,
+      options.sanitizeCategories
+    );
+    throwIfAborted(options.signal);
+    const bytes = await pdfDoc.save({
+      useObjectStreams: true,
+      addDefaultPage: false,
+    });
+    const sanitized = new File([bytes], file.name, { type: 'application/pdf' });
+    const result = await this.runJobSteps(sanitized, options, progressCallback);
+
+    // Nothing else to do (the engine passed the file through): the cleaned
+    // copy is the result
+    const processedFile =
+      result.processedFile === sanitized
+        ? new File([bytes], this.generateFileName(file.name, options), {
+            type: 'application/pdf',
+          })
+        : result.processedFile;
+    const outputs = result.files || [processedFile];
+    return {
+      ...result,
+      originalFile: file,
+      processedFile,
+      stats: { ...result.stats, sanitizedBytes },
+      savings: this.pdfProcessor.estimateCompression(
+        file.size,
+        outputs.reduce((sum, output) => sum + output.size, 0)
+      ),
+    };
+  }
+
+  /**
+   * runJob() after sanitizing: image removal, page organizing or the engine
+   * @param {File} file - PDF to process (already sanitized when requested)
+   * @param {Object} options - Processing options (with optional `signal`)
+   * @param {Function} progressCallback - Receives { percentage, message }
+   * @returns {Promise<Object>} See runJob()
+   */
+  async runJobSteps(file, options, progressCallback) {
+    // If removal is selected, use dedicated removal flow (keeps text, removes images)
+    if (options.removeImages) {
+      if (progressCallback)
+        progressCallback({
+          percentage: 10,
+          message: 'Preparing to remove images...',
+        });
+      const removal = await this.pdfProcessor.removeImages(
+        file,
+        {
+          signal: options.signal,
+          placeholders: options.placeholders,
+          placeholderCaptions: options.placeholderCaptions,
+          imageFilter: options.imageFilter,
+        },
+        progressCallback
+      );
+      return {
+        originalFile: file,
+        processedFile: new File([removal.pdfBytes], removal.fileName, {
+          type: 'application/pdf',
+        }),
+        savings: this.pdfProcessor.estimateCompression(
+          file.size,
+          removal.pdfBytes.length
+        ),
+        stats: removal.stats,
+        processingTime: Date.now(),
+      };
+    }
+
+    // Organize tab: pages reordered, rotated, duplicated or deleted
+    if (options.organizePages) {
+      if (progressCallback)
+        progressCallback({ percentage: 10, message: 'Arranging pages...' });
+      const { pdfDoc } = await this.pdfProcessor.loadPDF(file);
+      const organized = await this.pdfProcessor.organizePages(
+        pdfDoc,
+        options.pageLayout
+      );
+      throwIfAborted(options.signal);
+      if (progressCallback)
+        progressCallback({ percentage: 90, message: 'Saving PDF...' });
+      const pdfBytes = await organized.save({
+        useObjectStreams: true,
+        addDefaultPage: false,
+      });
+      return {
+        originalFile: file,
+        processedFile: new File(
+          [pdfBytes],
+          this.generateFileName(file.name, options),
+          { type: 'application/pdf' }
+        ),
+        savings: this.pdfProcessor.estimateCompression(
+          file.size,
+          pdfBytes.length
+        ),
+        processingTime: Date.now(),
+      };
+    }
+
+    // Process PDF via engine
+    const result = await this.engine.process(file, options, progressCallback);
+
+    // Validate result
+    if (!result || (!result.processedFile && !result.files)) {
+      throw new Error('PDF processing returned invalid result');
+    }
+
+    // Validate file sizes
+    if (result.processedFile.size === 0) {
+      throw new Error('Processed file is empty (0 bytes)');
+    }
+    return result;
+  }
+
+  /**
+   * Cancel the job in progress; processPDF() stops at the next page/image check
+   */
+  cancelProcessing() {
+    if (!this.abortController) return;
+    if (this.__debug) console.log('[PDFCompressor] Cancelling processing...');
+    this.abortController.abort();
+  }
+
   // Lightweight helpers used by alternative upload UI if present
   async handleFileSelect(event) {
+    // Several files → batch queue (UIController → addFilesToQueue)
+    if ((event?.target?.files?.length || 0) > 1) return;
     const file = event?.target?.files?.[0];
     if (
       file &&
@@ -549,6 +834,7 @@ class PDFCompressorApp {
     event.stopPropagation();
     const uploadArea = document.getElementById('uploadArea');
     if (uploadArea) uploadArea.classList.remove('dragover');
+    if ((event.dataTransfer?.files?.length || 0) > 1) return;
     const file = event.dataTransfer?.files?.[0];
     if (
       file &&
@@ -629,6 +915,9 @@ class PDFCompressorApp {
 
   resetApp() {
     this.state.currentFile = null;
+    this.state.pdfDocument = null;
+    this.releaseRenderDocument();
+    this.clearQueue();
     this.state.processingOptions = {
       ...this.state.processingOptions,
       removeImages: false,
@@ -665,9 +954,34 @@ class PDFCompressorApp {
 
   /**
    * Dynamic import for Web Worker
+   * Creates (once) a pool of image workers sized to navigator.hardwareConcurrency.
+   * Returns null when workers or OffscreenCanvas are unavailable – the processor
+   * then recompresses images on the main thread.
+   * @returns {Promise<ImageWorkerPool|null>}
    */
   async loadWorker() {
-    return null;
+    if (this.worker) return this.worker;
+    if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined')
+      return null;
+    try {
+      const { ImageWorkerPool } = await import(
+        /* webpackChunkName: "image-worker-pool" */
+        './image-worker-pool.js'
+      );
+      const { default: ImageWorker } = await import(
+        /* webpackChunkName: "image-worker" */
+        './image.worker.js'
+      );
+      this.worker = new ImageWorkerPool(() => new ImageWorker());
+      if (this.__debug)
+        console.log(
+          `[PDFCompressor] Image worker pool ready (${this.worker.size} workers)`
+        );
+    } catch (e) {
+      console.warn('[PDFCompressor] Image workers unavailable:', e);
+      this.worker = null;
+    }
+    return this.worker;
   }
 
   /**
@@ -1043,6 +1357,12 @@ class PDFCompressorApp {
     if (options.splitPDF) {
       suffix += '-split';
     }
+    if (options.sanitize) {
+      suffix += '-sanitized';
+    }
+    if (options.organizePages) {
+      suffix += '-organized';
+    }
 
     const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
 
@@ -1110,15 +1430,332 @@ class PDFCompressorApp {
     );
   }
 
+  /**
+   * Queue several PDFs for batch processing with the current options
+   * @param {File[]|FileList} files - Files dropped or selected together
+   */
+  addFilesToQueue(files) {
+    if (this.state.isProcessing) return;
+    // Start a fresh batch once the previous one has finished
+    if (
+      this.state.processingQueue.length > 0 &&
+      !this.state.processingQueue.some(t => t.status === 'pending')
+    ) {
+      this.state.processingQueue = [];
+    }
+    this.state.currentFile = null;
+    this.state.pdfDocument = null;
+    for (const file of Array.from(files || [])) {
+      const error = this.getFileValidationError(file);
+      this.addToQueue({
+        id: `task-${Date.now()}-${this.state.processingQueue.length}`,
+        file,
+        status: error ? 'error' : 'pending',
+        progress: 0,
+        message: error || 'Waiting…',
+        result: null,
+        error,
+      });
+    }
+    this.uiController.showBatch(this.state.processingQueue);
+    const processBtn = document.getElementById('processBtn');
+    if (processBtn) processBtn.disabled = false;
+  }
+
+  /**
+   * Package outputs into one ZIP (with manifest.json) and download it
+   * @param {Array<File|Object>} items - Files or { file, originalName, originalSize }
+   * @param {string} zipName - Archive file name
+   * @param {Object} [manifest] - Extra manifest fields
+   */
+  async downloadAllAsZip(items, zipName, manifest = {}) {
+    if (!items || items.length === 0) {
+      this.uiController.showNotification('No files to download', 'error');
+      return;
+    }
+    try {
+      const { createZipArchive } = await import(
+        /* webpackChunkName: "zip-writer" */ './zip-writer.js'
+      );
+      this.uiController.showNotification(
+        `Packing ${items.length} files…`,
+        'info'
+      );
+      const blob = await createZipArchive(items, { manifest });
+      const zipFile = new File([blob], zipName, { type: 'application/zip' });
+      this.uiController.handleDownload(zipFile);
+    } catch (error) {
+      console.error('[PDFCompressor] ZIP creation failed:', error);
+      this.uiController.showNotification(
+        `Could not create ZIP: ${error?.message || error}`,
+        'error'
+      );
+    }
+  }
+
+  /**
+   * Download every finished batch output as one ZIP
+   */
+  async downloadBatchZip() {
+    const items = [];
+    this.state.processingQueue
+      .filter(t => t.status === 'done' && t.result)
+      .forEach(t => {
+        const outputs = t.result.files || [t.result.processedFile];
+        outputs.forEach(file =>
+          items.push(
+            outputs.length > 1
+              ? { file }
+              : { file, originalName: t.file.name, originalSize: t.file.size }
+          )
+        );
+      });
+    const stamp = new Date().toISOString().slice(0, 10);
+    await this.downloadAllAsZip(items, `pdf-batch-${stamp}.zip`, {
+      options: { ...this.state.processingOptions },
+    });
+  }
+
+  /**
+   * File name without the .pdf extension
+   * @param {string} name
+   * @returns {string}
+   */
+  baseName(name) {
+    return String(name || 'document').replace(/\.pdf$/i, '');
+  }
+
+  /**
+   * Drop the batch queue and hide its UI
+   */
+  clearQueue() {
+    if (this.state.isProcessing) return;
+    this.state.processingQueue = [];
+    if (this.uiController) this.uiController.hideBatch();
+  }
+
+  /**
+   * Move a queued file up or down (order of the merged document)
+   * @param {string} id - Task id
+   * @param {number} offset - -1 up, +1 down
+   */
+  moveQueueTask(id, offset) {
+    if (this.state.isProcessing) return;
+    const queue = this.state.processingQueue;
+    const from = queue.findIndex(t => t.id === id);
+    const to = from + offset;
+    if (from < 0 || to < 0 || to >= queue.length) return;
+    const [task] = queue.splice(from, 1);
+    queue.splice(to, 0, task);
+    this.uiController.showBatch(queue);
+  }
+
+  /**
+   * Merge the queued PDFs in queue order and load the result as the current
+   * file, so it can be compressed or brought to a target size next
+   * @param {Object} [options] - { keepOutlines } see PDFProcessor.mergePDFs()
+   */
+  async mergeQueue({ keepOutlines = true } = {}) {
+    if (this.state.isProcessing) return;
+    const files = this.state.processingQueue
+      .filter(t => !t.error)
+      .map(t => t.file);
+    if (files.length < 2) {
+      this.showError('Add at least two PDF files to merge');
+      return;
+    }
+
+    try {
+      await this.ensurePDFLibrariesLoaded();
+    } catch (e) {
+      this.showErrorMessage(e.message || 'Nie można załadować bibliotek PDF.');
+      return;
+    }
+
+    this.state.isProcessing = true;
+    this.abortController = new AbortController();
+    this.uiController.showProgress();
+    let mergedFile;
+    try {
+      const merged = await this.pdfProcessor.mergePDFs(
+        files,
+        { keepOutlines, signal: this.abortController.signal },
+        p => this.uiController.updateProgress(p.percentage, p.message)
+      );
+      this.uiController.updateProgress(95, 'Saving merged PDF…');
+      const bytes = await merged.save({
+        useObjectStreams: true,
+        addDefaultPage: false,
+      });
+      mergedFile = new File(
+        [bytes],
+        `${this.baseName(files[0].name)}-merged.pdf`,
+        { type: 'application/pdf' }
+      );
+    } catch (error) {
+      if (isAbortError(error)) {
+        this.uiController.showOptionsView();
+        this.uiController.showNotification('Merge cancelled', 'info');
+      } else {
+        console.error('[PDFCompressor] Merge failed:', error);
+        this.uiController.hideProgress();
+        this.uiController.showErrorModal(error?.message || 'Merge failed');
+      }
+      return;
+    } finally {
+      this.state.isProcessing = false;
+      this.abortController = null;
+    }
+
+    this.uiController.hideProgress();
+    // Zwykły tryb jednego pliku: kompresja, rozmiar docelowy itd.
+    await this.handleFileSelection(mergedFile);
+    this.uiController.showNotification(
+      `Merged ${files.length} files into ${mergedFile.name}`,
+      'success'
+    );
+  }
+
+  /**
+   * Process every pending task in the queue, `batchConcurrency` at a time
+   */
+  async processQueue() {
+    // The page layout is built from the previewed file, so batches run without it
+    const opts = {
+      ...this.state.processingOptions,
+      organizePages: false,
+      pageLayout: null,
+    };
+    if (!this.hasProcessingOption(opts)) {
+      this.showError(
+        this.state.processingOptions.organizePages
+          ? 'Organizing pages works on a single file, not on the queue'
+          : 'Please select at least one processing option'
+      );
+      return;
+    }
+    const pending = this.state.processingQueue.filter(
+      t => t.status === 'pending'
+    );
+    if (pending.length === 0) {
+      this.showError('No PDF files waiting in the queue');
+      return;
+    }
+
+    try {
+      await this.ensurePDFLibrariesLoaded();
+    } catch (e) {
+      this.showErrorMessage(e.message || 'Nie można załadować bibliotek PDF.');
+      return;
+    }
+
+    this.state.isProcessing = true;
+    this.abortController = new AbortController();
+    // One option set for the whole batch, snapshotted at start
+    const options = { ...opts, signal: this.abortController.signal };
+    const concurrency = Math.max(1, Number(opts.batchConcurrency) || 1);
+    this.startPerformanceTracking();
+    this.uiController.showProgress();
+
+    try {
+      await mapWithConcurrency(pending, concurrency, () =>
+        this.processNextInQueue(options)
+      );
+    } finally {
+      this.state.isProcessing = false;
+      this.abortController = null;
+      this.endPerformanceTracking();
+    }
+
+    // Anything left pending was cancelled
+    this.state.processingQueue
+      .filter(t => t.status === 'pending')
+      .forEach(t => {
+        t.status = 'cancelled';
+        t.message = 'Cancelled';
+        this.uiController.updateQueueItem(t);
+      });
+
+    this.uiController.hideProgress();
+    this.uiController.updateBatchSummary(this.state.processingQueue);
+    const done = this.state.processingQueue.filter(t => t.status === 'done');
+    this.uiController.showNotification(
+      `Batch complete: ${done.length}/${this.state.processingQueue.length} files processed`,
+      done.length === this.state.processingQueue.length ? 'success' : 'warning'
+    );
+  }
+
   /**
    * Process next task in queue
+   * @param {Object} options - Batch options (including the batch `signal`)
+   * @returns {Promise<Object|null>} Processed task or null when nothing is pending
    */
-  async processNextInQueue() {
-    if (this.state.processingQueue.length > 0) {
-      const task = this.state.processingQueue.shift();
+  async processNextInQueue(options = this.state.processingOptions) {
+    const task = this.state.processingQueue.find(t => t.status === 'pending');
+    if (!task) return null;
+    if (options.signal && options.signal.aborted) return null;
+
+    if (this.__debug)
       console.log('[PDFCompressor] Processing next task in queue');
-      // Process task
+    task.status = 'processing';
+    task.message = 'Starting…';
+    this.uiController.updateQueueItem(task);
+    this.updateBatchProgress();
+
+    const progressCallback = p => {
+      const percent =
+        typeof p === 'number' ? p : (p && (p.percentage ?? p.percent)) || 0;
+      task.progress = Math.max(task.progress, Math.min(100, percent));
+      task.message = (p && p.message) || `Processing... ${percent}%`;
+      this.uiController.updateQueueItem(task);
+      this.updateBatchProgress();
+    };
+
+    try {
+      task.result = await this.runJob(task.file, options, progressCallback);
+      task.status = 'done';
+      task.progress = 100;
+      task.message = 'Done';
+    } catch (error) {
+      if (isAbortError(error)) {
+        task.status = 'cancelled';
+        task.message = 'Cancelled';
+      } else {
+        console.error(
+          `[PDFCompressor] Batch task failed: ${task.file.name}`,
+          error
+        );
+        task.status = 'error';
+        task.error = error?.message || String(error);
+        task.message = task.error;
+      }
     }
+    this.uiController.updateQueueItem(task);
+    this.updateBatchProgress();
+    return task;
+  }
+
+  /**
+   * Overall batch progress (average of task progress) in the main progress bar
+   */
+  updateBatchProgress() {
+    const tasks = this.state.processingQueue.filter(
+      t => t.status !== 'error' || t.result
+    );
+    if (tasks.length === 0) return;
+    const finished = tasks.filter(t =>
+      ['done', 'error', 'cancelled'].includes(t.status)
+    ).length;
+    const percent = Math.round(
+      tasks.reduce(
+        (sum, t) => sum + (t.status === 'pending' ? 0 : t.progress || 0),
+        0
+      ) / tasks.length
+    );
+    this.uiController.updateProgress(
+      percent,
+      `Batch: ${finished}/${tasks.length} files finished`
+    );
   }
 }
 
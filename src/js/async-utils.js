@@ -0,0 +1,61 @@
+// async-utils.js - Helpers for bounded concurrency and cooperative cancellation
+
+/**
+ * Run `fn` for every item with at most `limit` calls in flight.
+ * Results keep the order of `items`.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async callback (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const list = Array.from(items || []);
+  const results = new Array(list.length);
+  const workers = Math.max(1, Math.min(list.length, Number(limit) | 0 || 1));
+  let next = 0;
+
+  const worker = async () => {
+    while (next < list.length) {
+      const index = next++;
+      results[index] = await fn(list[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+/**
+ * Create the error thrown when a job is cancelled through an AbortSignal
+ * @returns {Error} Error named 'AbortError'
+ */
+export function createAbortError() {
+  try {
+    return new DOMException('Processing cancelled', 'AbortError');
+  } catch {
+    const error = new Error('Processing cancelled');
+    error.name = 'AbortError';
+    return error;
+  }
+}
+
+/**
+ * Throw an AbortError if the signal has been aborted
+ * @param {AbortSignal} [signal]
+ */
+export function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw signal.reason && signal.reason.name === 'AbortError'
+      ? signal.reason
+      : createAbortError();
+  }
+}
+
+/**
+ * Check whether an error comes from cancellation
+ * @param {*} error
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return Boolean(error) && error.name === 'AbortError';
+}
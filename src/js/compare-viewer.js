@@ -0,0 +1,257 @@
+// compare-viewer.js - Before/after comparison of the original and processed
+// PDF: the same page of both rendered with pdf.js, side by side or overlaid
+// (slider or difference blend), with zoom and pan shared by both views.
+import { openRenderDocument, renderPage } from './page-renderer.js';
+
+// Poziomy powiększenia (1 = strona mieści się w panelu)
+const ZOOM_LEVELS = [1, 1.5, 2, 3, 4, 6, 8];
+// Limit dłuższego boku renderowanej strony (pamięć canvasu)
+const MAX_RENDER_SIZE = 4096;
+// Rozmiar panelu, gdy układ nie jest jeszcze znany (ukryta sekcja)
+const FALLBACK_FIT = 600;
+
+export const COMPARE_MODES = ['side', 'slider', 'diff'];
+
+/**
+ * CompareViewer - controller of the compare section (#compareSection)
+ * The markup (toolbar with [data-compare] controls and two .compare-pane
+ * elements: original first) lives in index.html.
+ */
+export class CompareViewer {
+  /**
+   * @param {HTMLElement} root - Compare section
+   * @param {Object} [options] - { onError(error) } for failed renders started
+   *   from the toolbar (page, zoom, mode); defaults to console.error
+   */
+  constructor(root, { onError } = {}) {
+    this.root = root;
+    this.onError =
+      onError ||
+      (error => console.error('[CompareViewer] Render failed:', error));
+    this.stage = root.querySelector('.compare-stage');
+    this.panes = Array.from(root.querySelectorAll('.compare-pane'));
+    this.controls = {};
+    root.querySelectorAll('[data-compare]').forEach(el => {
+      this.controls[el.dataset.compare] = el;
+    });
+
+    // pdf.js documents: [original, processed]
+    this.documents = [];
+    this.pageIndex = 0;
+    this.pageCount = 0;
+    this.zoomIndex = 0;
+    this.pan = { x: 0, y: 0 };
+    this.mode = 'side';
+    // Renderowanie przerwane przez nowsze (zmiana strony, zoomu) jest porzucane
+    this.renderId = 0;
+    this.drag = null;
+
+    this.bindEvents();
+  }
+
+  /**
+   * Toolbar buttons, mode/slider inputs, drag to pan and Ctrl+wheel to zoom
+   */
+  bindEvents() {
+    this.root.addEventListener('click', e => {
+      const action = e.target.closest('button[data-compare]')?.dataset.compare;
+      const page = this.pageIndex;
+      if (action === 'prev') this.report(this.goToPage(page - 1));
+      else if (action === 'next') this.report(this.goToPage(page + 1));
+      else if (action === 'zoomIn') this.report(this.zoom(1));
+      else if (action === 'zoomOut') this.report(this.zoom(-1));
+      else if (action === 'close') this.close();
+    });
+    this.controls.mode?.addEventListener('change', e =>
+      this.report(this.setMode(e.target.value))
+    );
+    this.controls.slider?.addEventListener('input', e =>
+      this.setSliderPosition(Number(e.target.value))
+    );
+
+    if (!this.stage) return;
+    this.stage.addEventListener('pointerdown', e => {
+      this.drag = { x: e.clientX, y: e.clientY };
+      this.stage.setPointerCapture?.(e.pointerId);
+    });
+    this.stage.addEventListener('pointermove', e => {
+      if (!this.drag) return;
+      this.pan.x += e.clientX - this.drag.x;
+      this.pan.y += e.clientY - this.drag.y;
+      this.drag = { x: e.clientX, y: e.clientY };
+      this.applyTransform();
+    });
+    const endDrag = () => {
+      this.drag = null;
+    };
+    this.stage.addEventListener('pointerup', endDrag);
+    this.stage.addEventListener('pointercancel', endDrag);
+    this.stage.addEventListener(
+      'wheel',
+      e => {
+        if (!e.ctrlKey) return;
+        e.preventDefault();
+        this.report(this.zoom(e.deltaY < 0 ? 1 : -1));
+      },
+      { passive: false }
+    );
+  }
+
+  /**
+   * Event handlers do not await: errors of the started render go to onError
+   * @param {Promise} promise
+   */
+  report(promise) {
+    promise.catch(error => this.onError(error));
+  }
+
+  /**
+   * Open both files and show their first page
+   * @param {Blob} original - File before processing
+   * @param {Blob} processed - Processed file
+   * @returns {Promise<boolean>} False when pdf.js is not available
+   */
+  async open(original, processed) {
+    this.close();
+    const documents = await Promise.all([
+      openRenderDocument(original),
+      openRenderDocument(processed),
+    ]);
+    if (documents.some(pdf => !pdf)) {
+      documents.forEach(pdf => pdf?.destroy());
+      return false;
+    }
+    this.documents = documents;
+    // Podział lub usunięcie stron: porównujemy tylko wspólny zakres
+    this.pageCount = Math.min(...documents.map(pdf => pdf.numPages));
+    this.pageIndex = 0;
+    this.zoomIndex = 0;
+    this.pan = { x: 0, y: 0 };
+    this.root.style.display = 'block';
+    await this.render();
+    return true;
+  }
+
+  /**
+   * Hide the viewer and release both documents
+   */
+  close() {
+    this.renderId += 1;
+    this.documents.forEach(pdf => pdf.destroy());
+    this.documents = [];
+    this.pageCount = 0;
+    this.panes.forEach(pane => {
+      pane.querySelector('.compare-canvas')?.replaceChildren();
+    });
+    this.root.style.display = 'none';
+  }
+
+  /**
+   * @param {number} index - 0-based page index (clamped)
+   */
+  async goToPage(index) {
+    const next = Math.max(0, Math.min(this.pageCount - 1, index));
+    if (next === this.pageIndex || this.documents.length === 0) return;
+    this.pageIndex = next;
+    this.pan = { x: 0, y: 0 };
+    await this.render();
+  }
+
+  /**
+   * Step through ZOOM_LEVELS; the pan offset scales with the zoom so the
+   * centre of the view stays in place
+   * @param {number} step - +1 zoom in, -1 zoom out
+   */
+  async zoom(step) {
+    const next = Math.max(
+      0,
+      Math.min(ZOOM_LEVELS.length - 1, this.zoomIndex + step)
+    );
+    if (next === this.zoomIndex || this.documents.length === 0) return;
+    const ratio = ZOOM_LEVELS[next] / ZOOM_LEVELS[this.zoomIndex];
+    this.zoomIndex = next;
+    this.pan = { x: this.pan.x * ratio, y: this.pan.y * ratio };
+    await this.render();
+  }
+
+  /**
+   * @param {'side'|'slider'|'diff'} mode - Side by side or overlaid
+   */
+  async setMode(mode) {
+    if (!COMPARE_MODES.includes(mode)) return;
+    this.mode = mode;
+    COMPARE_MODES.forEach(m =>
+      this.stage?.classList.toggle(`mode-${m}`, m === mode)
+    );
+    if (this.controls.slider) this.controls.slider.hidden = mode !== 'slider';
+    // Widok obok siebie ma panele o połowę węższe – inna skala
+    if (this.documents.length > 0) await this.render();
+  }
+
+  /**
+   * Slider mode: the processed page is shown right of this position
+   * @param {number} percent - 0-100
+   */
+  setSliderPosition(percent) {
+    this.stage?.style.setProperty('--compare-split', `${percent}%`);
+  }
+
+  /**
+   * Render the current page of both documents at the current zoom
+   */
+  async render() {
+    const id = ++this.renderId;
+    const dpr = window.devicePixelRatio || 1;
+    const paneWidth =
+      (this.stage?.clientWidth || 0) / (this.mode === 'side' ? 2 : 1);
+    const fit =
+      Math.min(paneWidth, this.stage?.clientHeight || Infinity) || FALLBACK_FIT;
+    const size = Math.min(
+      MAX_RENDER_SIZE,
+      Math.round(fit * ZOOM_LEVELS[this.zoomIndex] * dpr)
+    );
+    let canvases;
+    try {
+      canvases = await Promise.all(
+        this.documents.map(pdf => renderPage(pdf, this.pageIndex, size))
+      );
+    } catch (error) {
+      // Dokumenty zamknięte w trakcie renderowania
+      if (id !== this.renderId) return;
+      throw error;
+    }
+    if (id !== this.renderId) return;
+
+    canvases.forEach((canvas, i) => {
+      canvas.style.width = `${canvas.width / dpr}px`;
+      canvas.style.height = `${canvas.height / dpr}px`;
+      this.panes[i]?.querySelector('.compare-canvas')?.replaceChildren(canvas);
+    });
+    this.applyTransform();
+    this.updateControls();
+  }
+
+  /**
+   * Apply the shared pan offset to both views
+   */
+  applyTransform() {
+    const transform = `translate(${this.pan.x}px, ${this.pan.y}px)`;
+    this.panes.forEach(pane => {
+      const holder = pane.querySelector('.compare-canvas');
+      if (holder) holder.style.transform = transform;
+    });
+  }
+
+  /**
+   * Page counter, zoom label and button states
+   */
+  updateControls() {
+    const { page, zoom, prev, next, zoomIn, zoomOut } = this.controls;
+    if (page) page.textContent = `${this.pageIndex + 1} / ${this.pageCount}`;
+    if (zoom) zoom.textContent = `${ZOOM_LEVELS[this.zoomIndex] * 100}%`;
+    if (prev) prev.disabled = this.pageIndex === 0;
+    if (next) next.disabled = this.pageIndex >= this.pageCount - 1;
+    if (zoomOut) zoomOut.disabled = this.zoomIndex === 0;
+    if (zoomIn) zoomIn.disabled = this.zoomIndex === ZOOM_LEVELS.length - 1;
+  }
+}
@@ -0,0 +1,466 @@
+// content-stream.js - Tokenizer for PDF page content streams
+// Turns decoded content bytes into operations ({ op, operands, start, end })
+// and tracks the graphics state (q/Q/cm) to find where XObjects are drawn.
+// Pure byte-level code: no pdf-lib dependency, so it also runs in tests.
+
+export const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set([
+  0x28, 0x29, 0x3c, 0x3e, 0x5b, 0x5d, 0x7b, 0x7d, 0x2f, 0x25,
+]);
+
+const isWhitespace = c => WHITESPACE.has(c);
+const isRegular = c => !WHITESPACE.has(c) && !DELIMITERS.has(c);
+
+/**
+ * Multiply two PDF matrices [a b c d e f] (m applied first, then n)
+ * @param {number[]} m
+ * @param {number[]} n
+ * @returns {number[]}
+ */
+export function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[1] * n[2],
+    m[0] * n[1] + m[1] * n[3],
+    m[2] * n[0] + m[3] * n[2],
+    m[2] * n[1] + m[3] * n[3],
+    m[4] * n[0] + m[5] * n[2] + n[4],
+    m[4] * n[1] + m[5] * n[3] + n[5],
+  ];
+}
+
+/**
+ * Read a name token starting after '/' (handles #xx escapes)
+ */
+function readName(bytes, pos) {
+  let value = '';
+  while (pos < bytes.length && isRegular(bytes[pos])) {
+    if (bytes[pos] === 0x23 && pos + 2 < bytes.length) {
+      const hex = String.fromCharCode(bytes[pos + 1], bytes[pos + 2]);
+      if (/^[0-9a-fA-F]{2}$/.test(hex)) {
+        value += String.fromCharCode(parseInt(hex, 16));
+        pos += 3;
+        continue;
+      }
+    }
+    value += String.fromCharCode(bytes[pos]);
+    pos += 1;
+  }
+  return { value, pos };
+}
+
+/**
+ * Skip a literal string "( ... )" with nesting and backslash escapes
+ * @returns {number} Position after the closing parenthesis
+ */
+function skipLiteralString(bytes, pos) {
+  let depth = 0;
+  for (; pos < bytes.length; pos++) {
+    const c = bytes[pos];
+    if (c === 0x5c) {
+      pos += 1; // escaped character
+    } else if (c === 0x28) {
+      depth += 1;
+    } else if (c === 0x29) {
+      depth -= 1;
+      if (depth === 0) return pos + 1;
+    }
+  }
+  return pos;
+}
+
+/**
+ * Find the end of inline image data: "EI" preceded by whitespace and
+ * followed by whitespace or the end of the stream
+ * @returns {{ dataEnd: number, end: number }}
+ */
+function findInlineImageEnd(bytes, pos) {
+  for (let i = pos; i < bytes.length - 1; i++) {
+    if (
+      bytes[i] === 0x45 &&
+      bytes[i + 1] === 0x49 &&
+      (i === pos || isWhitespace(bytes[i - 1])) &&
+      (i + 2 >= bytes.length || isWhitespace(bytes[i + 2]))
+    ) {
+      return { dataEnd: i > pos ? i - 1 : i, end: i + 2 };
+    }
+  }
+  return { dataEnd: bytes.length, end: bytes.length };
+}
+
+/**
+ * Parse a decoded content stream into operations
+ * @param {Uint8Array} bytes - Decoded (unfiltered) content stream
+ * @returns {Array<{ op: string, operands: Array, start: number, end: number }>}
+ *   Operands: numbers, { type: 'name', value }, { type: 'string' }, arrays,
+ *   { type: 'dict', value: {} }, booleans and null. `start`/`end` cover the
+ *   operands and the operator, so an operation can be cut out of the stream.
+ *   Inline images are reported as op 'BI' with the image dict as operand and
+ *   `dataStart`/`dataEnd` around the binary data.
+ */
+export function parseContentStream(bytes) {
+  const ops = [];
+  // Stos kontenerów: tablice i słowniki budowane z kolejnych tokenów
+  const stack = [];
+  let operands = [];
+  let start = -1;
+  let pos = 0;
+
+  const push = (value, tokenStart) => {
+    if (stack.length > 0) {
+      stack[stack.length - 1].items.push(value);
+      return;
+    }
+    if (start < 0) start = tokenStart;
+    operands.push(value);
+  };
+
+  while (pos < bytes.length) {
+    const c = bytes[pos];
+    if (isWhitespace(c)) {
+      pos += 1;
+    } else if (c === 0x25) {
+      // comment
+      while (pos < bytes.length && bytes[pos] !== 0x0a && bytes[pos] !== 0x0d)
+        pos += 1;
+    } else if (c === 0x2f) {
+      const tokenStart = pos;
+      const name = readName(bytes, pos + 1);
+      pos = name.pos;
+      push({ type: 'name', value: name.value }, tokenStart);
+    } else if (c === 0x28) {
+      const tokenStart = pos;
+      pos = skipLiteralString(bytes, pos);
+      push({ type: 'string', start: tokenStart, end: pos }, tokenStart);
+    } else if (c === 0x3c && bytes[pos + 1] === 0x3c) {
+      if (stack.length === 0 && start < 0) start = pos;
+      stack.push({ kind: 'dict', items: [] });
+      pos += 2;
+    } else if (c === 0x3e && bytes[pos + 1] === 0x3e) {
+      const frame = stack.pop();
+      const value = {};
+      if (frame) {
+        for (let i = 0; i + 1 < frame.items.length; i += 2) {
+          const key = frame.items[i];
+          if (key && key.type === 'name') value[key.value] = frame.items[i + 1];
+        }
+      }
+      pos += 2;
+      push({ type: 'dict', value }, pos);
+    } else if (c === 0x3c) {
+      const tokenStart = pos;
+      while (pos < bytes.length && bytes[pos] !== 0x3e) pos += 1;
+      pos += 1;
+      push({ type: 'string', start: tokenStart, end: pos }, tokenStart);
+    } else if (c === 0x5b) {
+      if (stack.length === 0 && start < 0) start = pos;
+      stack.push({ kind: 'array', items: [] });
+      pos += 1;
+    } else if (c === 0x5d) {
+      const frame = stack.pop();
+      pos += 1;
+      push(frame ? frame.items : [], pos);
+    } else if (c === 0x7b || c === 0x7d || c === 0x29 || c === 0x3e) {
+      pos += 1; // stray delimiter (PostScript braces etc.)
+    } else {
+      const tokenStart = pos;
+      while (pos < bytes.length && isRegular(bytes[pos])) pos += 1;
+      // Bardzo długie „słowa” to śmieci binarne – nie są ani liczbą, ani operatorem
+      const word =
+        pos - tokenStart > 64
+          ? ''
+          : String.fromCharCode(...bytes.subarray(tokenStart, pos));
+      const num = /^[+-]?(\d+\.?\d*|\.\d+)$/.test(word) ? Number(word) : NaN;
+      if (!Number.isNaN(num)) {
+        push(num, tokenStart);
+      } else if (word === 'true' || word === 'false') {
+        push(word === 'true', tokenStart);
+      } else if (word === 'null') {
+        push(null, tokenStart);
+      } else if (stack.length > 0) {
+        // Operator inside an array/dict: malformed, keep as a name-like token
+        push({ type: 'keyword', value: word }, tokenStart);
+      } else if (word === 'BI') {
+        // Inline image: BI <key value pairs> ID <binary data> EI
+        const dict = parseInlineDict(bytes, pos);
+        const dataStart = dict.pos + (isWhitespace(bytes[dict.pos]) ? 1 : 0);
+        const { dataEnd, end } = findInlineImageEnd(bytes, dataStart);
+        ops.push({
+          op: 'BI',
+          operands: [{ type: 'dict', value: dict.value }],
+          start: start < 0 ? tokenStart : start,
+          end,
+          dataStart,
+          dataEnd,
+        });
+        operands = [];
+        start = -1;
+        pos = end;
+      } else {
+        ops.push({
+          op: word,
+          operands,
+          start: start < 0 ? tokenStart : start,
+          end: pos,
+        });
+        operands = [];
+        start = -1;
+      }
+    }
+  }
+  return ops;
+}
+
+/**
+ * Parse the key/value pairs of an inline image dict up to the ID operator
+ * @returns {{ value: Object, pos: number }} pos points just after "ID"
+ */
+function parseInlineDict(bytes, pos) {
+  let i = pos;
+  while (
+    i < bytes.length - 1 &&
+    !(
+      bytes[i] === 0x49 &&
+      bytes[i + 1] === 0x44 &&
+      isWhitespace(bytes[i - 1]) &&
+      (i + 2 >= bytes.length || !isRegular(bytes[i + 2]))
+    )
+  ) {
+    i += 1;
+  }
+  // Pary klucz/wartość parsujemy tym samym parserem jako operandy "ID"
+  const head = parseContentStream(
+    Uint8Array.from([...bytes.subarray(pos, i), 0x20, 0x49, 0x44])
+  );
+  const items = head.length > 0 ? head[head.length - 1].operands : [];
+  const value = {};
+  for (let k = 0; k + 1 < items.length; k += 2) {
+    if (items[k] && items[k].type === 'name')
+      value[items[k].value] = items[k + 1];
+  }
+  return { value, pos: i + 2 };
+}
+
+/**
+ * Cut operations out of a content stream, or replace them with other
+ * operators. q/Q pairs are kept so the graphics state stays balanced, except
+ * wrappers ("q", only cm, "Q") emptied by the removal, which are dropped as
+ * a whole.
+ * @param {Uint8Array} bytes - Decoded content stream
+ * @param {(entry: Object, index: number) => boolean|string} shouldRemove -
+ *   Called with each operation; true removes it, a string replaces it
+ * @param {Array} [ops] - parseContentStream(bytes), when already parsed
+ * @returns {{ bytes: Uint8Array, removed: number }} removed = operations
+ *   matched by shouldRemove (the original bytes when nothing matched)
+ */
+export function removeOperations(
+  bytes,
+  shouldRemove,
+  ops = parseContentStream(bytes)
+) {
+  const drop = new Set();
+  const replacements = new Map();
+  ops.forEach((entry, i) => {
+    const result = shouldRemove(entry, i);
+    if (typeof result === 'string') replacements.set(i, result);
+    if (result) drop.add(i);
+  });
+  const removed = drop.size;
+  if (removed === 0) return { bytes, removed };
+
+  // Opakowania q…Q, w których po usunięciu zostały tylko cm
+  const stack = [];
+  const markKept = () => {
+    if (stack.length > 0) stack[stack.length - 1].kept = true;
+  };
+  const markEmptied = () => {
+    if (stack.length > 0) stack[stack.length - 1].emptied = true;
+  };
+  ops.forEach(({ op }, i) => {
+    if (op === 'q') {
+      stack.push({ start: i, kept: false, emptied: false });
+    } else if (op === 'Q') {
+      const frame = stack.pop();
+      if (!frame) return; // niesparowane Q zostaje
+      if (frame.emptied && !frame.kept) {
+        for (let k = frame.start; k <= i; k++) drop.add(k);
+        markEmptied();
+      } else {
+        markKept();
+      }
+    } else if (drop.has(i) && !replacements.has(i)) {
+      markEmptied();
+    } else if (op !== 'cm') {
+      markKept();
+    }
+  });
+
+  const chunks = [];
+  let pos = 0;
+  ops.forEach((entry, i) => {
+    if (!drop.has(i)) return;
+    chunks.push(bytes.subarray(pos, entry.start));
+    if (replacements.has(i)) {
+      chunks.push(Uint8Array.from(replacements.get(i), c => c.charCodeAt(0)));
+    }
+    pos = entry.end;
+  });
+  chunks.push(bytes.subarray(pos));
+  // Spacja w miejscu wyciętej operacji – sąsiednie tokeny się nie skleją
+  const out = new Uint8Array(
+    chunks.reduce((sum, c) => sum + c.length, 0) + chunks.length - 1
+  );
+  let offset = 0;
+  chunks.forEach((chunk, i) => {
+    if (i > 0) out[offset++] = 0x20;
+    out.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return { bytes: out, removed };
+}
+
+const ESCAPES = { n: 0x0a, r: 0x0d, t: 0x09, b: 0x08, f: 0x0c };
+
+/**
+ * Bytes of a string operand (literal "( ... )" or hex "< ... >")
+ * @param {Uint8Array} bytes - The content stream the token was parsed from
+ * @param {{ start: number, end: number }} token - { type: 'string' } operand
+ * @returns {Uint8Array}
+ */
+export function decodeStringToken(bytes, { start, end }) {
+  const out = [];
+  if (bytes[start] === 0x3c) {
+    const hex = String.fromCharCode(
+      ...bytes.subarray(start + 1, end - 1)
+    ).replace(/[^0-9a-fA-F]/g, '');
+    // Nieparzysta liczba cyfr: brakująca ostatnia cyfra to 0
+    const digits = hex.length % 2 ? `${hex}0` : hex;
+    for (let i = 0; i < digits.length; i += 2) {
+      out.push(parseInt(digits.slice(i, i + 2), 16));
+    }
+    return Uint8Array.from(out);
+  }
+  for (let i = start + 1; i < end - 1; i++) {
+    const c = bytes[i];
+    if (c !== 0x5c) {
+      out.push(c);
+      continue;
+    }
+    i += 1;
+    const next = String.fromCharCode(bytes[i]);
+    if (ESCAPES[next] !== undefined) {
+      out.push(ESCAPES[next]);
+    } else if (/[0-7]/.test(next)) {
+      let octal = next;
+      while (octal.length < 3 && bytes[i + 1] >= 0x30 && bytes[i + 1] <= 0x37) {
+        i += 1;
+        octal += String.fromCharCode(bytes[i]);
+      }
+      out.push(parseInt(octal, 8) & 0xff);
+    } else if (bytes[i] === 0x0d) {
+      if (bytes[i + 1] === 0x0a) i += 1; // kontynuacja linii
+    } else if (bytes[i] !== 0x0a) {
+      out.push(bytes[i]); // \( \) \\ i nieznane sekwencje
+    }
+  }
+  return Uint8Array.from(out);
+}
+
+/**
+ * Walk operations, tracking the CTM, and report every Do and inline image
+ * @param {Array} ops - Result of parseContentStream()
+ * @param {number[]} [baseCtm] - CTM in effect when the stream starts
+ * @returns {Array<{ name?: string, inline?: boolean, ctm: number[], index: number }>}
+ *   `index` is the position of the operation in `ops`
+ */
+export function findDrawnXObjects(ops, baseCtm = IDENTITY) {
+  const placements = [];
+  const stack = [];
+  let ctm = baseCtm.slice();
+  ops.forEach((entry, index) => {
+    const { op, operands } = entry;
+    if (op === 'q') {
+      stack.push(ctm);
+    } else if (op === 'Q') {
+      if (stack.length > 0) ctm = stack.pop();
+    } else if (op === 'cm') {
+      if (operands.length === 6 && operands.every(n => typeof n === 'number')) {
+        ctm = multiply(operands, ctm);
+      }
+    } else if (op === 'Do') {
+      const name = operands[0];
+      if (name && name.type === 'name') {
+        placements.push({ name: name.value, ctm, index });
+      }
+    } else if (op === 'BI') {
+      placements.push({ inline: true, ctm, index });
+    }
+  });
+  return placements;
+}
+
+/**
+ * Inverse of a PDF matrix
+ * @param {number[]} m
+ * @returns {number[]|null} Null for a degenerate (non-invertible) matrix
+ */
+export function invert(m) {
+  const det = m[0] * m[3] - m[1] * m[2];
+  if (Math.abs(det) < 1e-12) return null;
+  return [
+    m[3] / det,
+    -m[1] / det,
+    -m[2] / det,
+    m[0] / det,
+    (m[2] * m[5] - m[3] * m[4]) / det,
+    (m[1] * m[4] - m[0] * m[5]) / det,
+  ];
+}
+
+/**
+ * Axis-aligned bounds of the unit square drawn with this CTM
+ * @param {number[]} ctm
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+export function unitSquareBounds(ctm) {
+  const corners = [
+    [0, 0],
+    [1, 0],
+    [0, 1],
+    [1, 1],
+  ].map(([u, v]) => [
+    u * ctm[0] + v * ctm[2] + ctm[4],
+    u * ctm[1] + v * ctm[3] + ctm[5],
+  ]);
+  const xs = corners.map(([x]) => x);
+  const ys = corners.map(([, y]) => y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+/**
+ * Size in points of the unit square drawn with this CTM (an image's placement)
+ * @param {number[]} ctm
+ * @returns {{ width: number, height: number }}
+ */
+export function placedSize(ctm) {
+  return {
+    width: Math.hypot(ctm[0], ctm[1]),
+    height: Math.hypot(ctm[2], ctm[3]),
+  };
+}
+
+/**
+ * Effective resolution of an image drawn at the given size
+ * @param {number} pixelWidth
+ * @param {number} pixelHeight
+ * @param {{ width: number, height: number }} size - Placed size in points
+ * @returns {number} Lower of the horizontal/vertical DPI (Infinity if not drawn)
+ */
+export function effectiveDpi(pixelWidth, pixelHeight, size) {
+  const dpiX = size.width > 0 ? (pixelWidth * 72) / size.width : Infinity;
+  const dpiY = size.height > 0 ? (pixelHeight * 72) / size.height : Infinity;
+  return Math.min(dpiX, dpiY);
+}
@@ -1,18 +1,32 @@
+import { throwIfAborted } from '../async-utils.js';
+import { parsePageGroups, parsePageRange } from '../page-range.js';
+import { openRenderDocument } from '../page-renderer.js';
+import { findSeparatorPages } from '../separator-pages.js';
+
 export function createEnhancedEngine(app) {
   return {
     name: 'enhanced',
     async process(file, options, progressCallback) {
+      // options.signal (AbortSignal) cancels the job between pages, images and parts
+      const { signal, colorMode, targetDpi } = options;
       // Ensure processor and libs
       await app.ensurePDFLibrariesLoaded();
       if (!app.pdfProcessor) {
         const { PDFProcessor } = await import('../pdf-processor.js');
         app.pdfProcessor = new PDFProcessor();
       }
+      // Image recompression runs in the worker pool when available
+      app.pdfProcessor.setWorkerPool(await app.loadWorker());
 
       // Load PDF and metadata
       const { pdfDoc, metadata } = await app.pdfProcessor.loadPDF(file);
+      throwIfAborted(signal);
 
       let processedDoc = pdfDoc;
+      // Fit into attachments (Target Size tab): { limitMB, maxParts, parts }, parts = 0 until split
+      let fit = null;
+      // Image counters (duplicates merged, images recompressed) for the results view
+      const stats = {};
 
       // Removal without rasterizing text (experimental first-page pass under hidden flag)
       if (options.removeImages) {
@@ -26,59 +40,103 @@ export function createEnhancedEngine(app) {
       if (options.targetSizeMode && Number(options.targetSizeMB) > 0) {
         if (progressCallback) progressCallback({ percentage: 10, message: 'Aiming for target size…' });
         const targetMB = Math.max(1, Number(options.targetSizeMB));
-        const { processedDoc: doc, qualityUsed } = await app.pdfProcessor.compressToTargetSize(processedDoc, targetMB, progressCallback);
+        const { processedDoc: doc, qualityUsed, size } = await app.pdfProcessor.compressToTargetSize(processedDoc, targetMB, progressCallback, { signal, colorMode, targetDpi, stats });
         processedDoc = doc;
         if (progressCallback) progressCallback({ percentage: 85, message: `Saving (q=${qualityUsed})…` });
+        if (options.fitAttachments) {
+          // compressToTargetSize() returns the smallest result when the target is out of reach,
+          // size is the byte count of its last save
+          const fits = size <= Math.round(targetMB * 1024 * 1024);
+          fit = { limitMB: targetMB, maxParts: Math.max(1, Number(options.maxAttachments) || 1), parts: fits ? 1 : 0 };
+        }
       } else if (options.imageCompression) {
         if (progressCallback) progressCallback({ percentage: 20, message: 'Compressing images…' });
-        processedDoc = await app.pdfProcessor.compressImagesInMainThread(processedDoc, options.imageQuality, progressCallback);
+        processedDoc = await app.pdfProcessor.compressImagesInMainThread(processedDoc, options.imageQuality, progressCallback, { signal, colorMode, targetDpi, stats });
+      }
+
+      throwIfAborted(signal);
+
+      // Save split parts (documents or already saved bytes); suffixes name the files
+      // (default: part-001, part-002, ...)
+      const saveParts = async (docs, suffixes = []) => {
+        const base = (options.baseName || app.pdfProcessor.generateFileName(file.name, options)).replace(/\.pdf$/i, '');
+        const files = [];
+        for (const [i, doc] of docs.entries()) {
+          throwIfAborted(signal);
+          const bytes = doc instanceof Uint8Array ? doc : await doc.save({ useObjectStreams: true, addDefaultPage: false, compress: true });
+          const suffix = suffixes[i] || `part-${String(i + 1).padStart(3, '0')}`;
+          files.push(new File([bytes], `${base}-${suffix}.pdf`, { type: 'application/pdf' }));
+        }
+        return { originalFile: file, processedFile: files[0], files, metadata, stats, savings: app.pdfProcessor.estimateCompression(file.size, files.reduce((s,f)=>s+f.size,0)), processingTime: Date.now() };
+      };
+
+      // Still over the target after compression: split into parts of at most targetSizeMB
+      if (fit && fit.parts === 0) {
+        if (progressCallback) progressCallback({ percentage: 88, message: `Splitting into ${fit.limitMB} MB attachments…` });
+        const chunks = await app.pdfProcessor.splitBySize(processedDoc, fit.limitMB, progressCallback, { signal });
+        fit.parts = chunks.length;
+        return { ...(await saveParts(chunks.map(chunk => chunk.bytes))), fit };
       }
 
       // Split if requested
       if (options.splitPDF) {
         if (options.splitMethod === 'pages') {
-          // Interpret pageRange: either "start-end" (legacy) or a single integer for fixed pages per file
+          // pageRange: a single integer (or nothing) = fixed pages per file, otherwise a
+          // range list like "1-3,7,10-end,odd,last-5" (page-range.js)
           const txt = String(options.pageRange || '').trim();
-          if (/^\d+-\d+$/.test(txt)) {
-            const [start, end] = txt.split('-').map(Number);
-            processedDoc = await app.pdfProcessor.splitByPages(processedDoc, start, end);
-          } else {
+          if (txt === '' || /^\d+$/.test(txt)) {
             const pagesPerChunk = Math.max(1, Number(txt) || 10);
-            const parts = await app.pdfProcessor.splitByPagesFixed(processedDoc, pagesPerChunk, progressCallback);
-            // Save all parts to bytes
-            const files = [];
-            let idx = 1;
-            for (const doc of parts) {
-              const bytes = await doc.save({ useObjectStreams: true, addDefaultPage: false, compress: true });
-              const padded = String(idx).padStart(3, '0');
-              const base = (options.baseName || app.pdfProcessor.generateFileName(file.name, options)).replace(/\.pdf$/i, '');
-              const name = `${base}-part-${padded}.pdf`;
-              files.push(new File([bytes], name, { type: 'application/pdf' }));
-              idx += 1;
+            const parts = await app.pdfProcessor.splitByPagesFixed(processedDoc, pagesPerChunk, progressCallback, { signal });
+            return saveParts(parts);
+          }
+          const pageCount = processedDoc.getPageCount();
+          const groups = parsePageGroups(txt, pageCount);
+          if (options.splitGroups && groups.length > 1) {
+            // Each comma-separated group becomes its own file (extract several sections at once)
+            const parts = [];
+            for (const group of groups) {
+              throwIfAborted(signal);
+              parts.push(await app.pdfProcessor.organizePages(processedDoc, group.pages.map(index => ({ index }))));
             }
-            return { originalFile: file, processedFile: files[0], files, metadata, savings: app.pdfProcessor.estimateCompression(file.size, files.reduce((s,f)=>s+f.size,0)), processingTime: Date.now() };
+            // Numbered like the bookmark parts: the same group may be typed twice ("1-3, 1-3")
+            const suffixes = groups.map((group, i) => `${String(i + 1).padStart(3, '0')}-pages-${group.text.toLowerCase().replace(/[^a-z0-9-]/g, '')}`);
+            return saveParts(parts, suffixes);
           }
+          const pages = parsePageRange(txt, pageCount);
+          processedDoc = await app.pdfProcessor.organizePages(processedDoc, pages.map(index => ({ index })));
         } else if (options.splitMethod === 'size') {
-          const chunks = await app.pdfProcessor.splitBySize(processedDoc, options.fileSizeLimit, progressCallback);
-          // Save all chunks
-          const files = [];
-          let idx = 1;
-          for (const doc of chunks) {
-            const bytes = await doc.save({ useObjectStreams: true, addDefaultPage: false, compress: true });
-            const padded = String(idx).padStart(3, '0');
-            const base = (options.baseName || app.pdfProcessor.generateFileName(file.name, options)).replace(/\.pdf$/i, '');
-            const name = `${base}-part-${padded}.pdf`;
-            files.push(new File([bytes], name, { type: 'application/pdf' }));
-            idx += 1;
+          const chunks = await app.pdfProcessor.splitBySize(processedDoc, options.fileSizeLimit, progressCallback, { signal });
+          return saveParts(chunks.map(chunk => chunk.bytes));
+        } else if (options.splitMethod === 'bookmarks') {
+          // One file per bookmark: "<base>-001-Introduction.pdf"; titles lose characters
+          // that are not allowed in file names on Windows/macOS
+          const parts = await app.pdfProcessor.splitByOutline(processedDoc, options.bookmarkDepth, progressCallback, { signal });
+          const suffixes = parts.map((part, i) => {
+            const title = part.title.replace(/[\\/:*?"<>|\p{Cc}]/gu, '').trim().replace(/\s+/g, '-').slice(0, 80);
+            return `${String(i + 1).padStart(3, '0')}${title ? `-${title}` : ''}`;
+          });
+          return saveParts(parts.map(part => part.doc), suffixes);
+        } else if (options.splitMethod === 'separators') {
+          // Separator sheets are detected on the original file (removed images would look blank);
+          // the page count is unchanged by the steps above
+          const pdf = await openRenderDocument(file);
+          if (!pdf) throw new Error('Page rendering (pdf.js) is not available');
+          let separators;
+          try {
+            separators = await findSeparatorPages(pdf, { mode: options.separatorMode, blankThreshold: options.blankThreshold, marker: options.separatorMarker }, progressCallback, { signal });
+          } finally {
+            pdf.destroy();
           }
-          return { originalFile: file, processedFile: files[0], files, metadata, savings: app.pdfProcessor.estimateCompression(file.size, files.reduce((s,f)=>s+f.size,0)), processingTime: Date.now() };
+          const parts = await app.pdfProcessor.splitAtPages(processedDoc, separators, { dropSeparators: options.dropSeparators }, progressCallback, { signal });
+          return saveParts(parts);
         }
       }
 
-      // Optimize
-      processedDoc = await app.pdfProcessor.optimizePDF(processedDoc);
+      // Optimize (merge duplicate fonts, optional font subsetting, drop unused objects)
+      processedDoc = await app.pdfProcessor.optimizePDF(processedDoc, { subsetFonts: options.subsetFonts });
 
       // Save
+      throwIfAborted(signal);
       const pdfBytes = await processedDoc.save();
       if (!pdfBytes || pdfBytes.length === 0) throw new Error('Processed PDF is empty or invalid');
 
@@ -86,7 +144,7 @@ export function createEnhancedEngine(app) {
       const processedFile = new File([pdfBytes], newFileName, { type: 'application/pdf' });
       const savings = app.pdfProcessor.estimateCompression(file.size, processedFile.size);
 
-      return { originalFile: file, processedFile, metadata, savings, processingTime: Date.now() };
+      return { originalFile: file, processedFile, metadata, stats, savings, processingTime: Date.now(), ...(fit && { fit }) };
     }
   };
 }
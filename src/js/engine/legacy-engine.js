@@ -6,6 +6,8 @@ export function createLegacyEngine(app) {
         const { PDFProcessor } = await import('../pdf-processor.js');
         app.pdfProcessor = new PDFProcessor();
       }
+      // Image recompression runs in the worker pool when available
+      app.pdfProcessor.setWorkerPool(await app.loadWorker());
       return app.pdfProcessor.processPDF(file, options, progressCallback);
     }
   };
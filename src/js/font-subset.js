@@ -0,0 +1,213 @@
+// font-subset.js - Glyph subsetting for embedded TrueType fonts (FontFile2)
+// Unused glyphs are emptied in place: glyph ids stay the same, so content
+// streams, CIDToGIDMap and /Widths need no changes. Only glyf, loca and the
+// checksums are rewritten. Pure byte-level code (no pdf-lib dependency).
+
+// Flagi komponentów glifu złożonego
+const ARG_1_AND_2_ARE_WORDS = 0x0001;
+const WE_HAVE_A_SCALE = 0x0008;
+const MORE_COMPONENTS = 0x0020;
+const WE_HAVE_AN_X_AND_Y_SCALE = 0x0040;
+const WE_HAVE_A_TWO_BY_TWO = 0x0080;
+
+// Tabele, które po zmianie glifów przestają być poprawne
+const DROPPED_TABLES = new Set(['DSIG']);
+
+/**
+ * Read the table directory of a TrueType (sfnt) font
+ * @param {Uint8Array} bytes
+ * @returns {Map<string, { offset: number, length: number }>|null} Null for
+ *   CFF-based (OTTO) fonts, collections and malformed data
+ */
+export function readTableDirectory(bytes) {
+  if (bytes.length < 12) return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const version = view.getUint32(0);
+  // 0x00010000 lub 'true' (starsze fonty Apple)
+  if (version !== 0x00010000 && version !== 0x74727565) return null;
+  const numTables = view.getUint16(4);
+  if (12 + numTables * 16 > bytes.length) return null;
+  const tables = new Map();
+  for (let i = 0; i < numTables; i++) {
+    const entry = 12 + i * 16;
+    const tag = String.fromCharCode(...bytes.subarray(entry, entry + 4));
+    const offset = view.getUint32(entry + 8);
+    const length = view.getUint32(entry + 12);
+    if (offset + length > bytes.length) return null;
+    tables.set(tag, { offset, length });
+  }
+  return tables;
+}
+
+/**
+ * Checksum of a table (sum of big-endian uint32 words, zero padded)
+ * @param {Uint8Array} data
+ * @returns {number}
+ */
+export function tableChecksum(data) {
+  let sum = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    const word =
+      ((data[i] << 24) |
+        ((data[i + 1] || 0) << 16) |
+        ((data[i + 2] || 0) << 8) |
+        (data[i + 3] || 0)) >>>
+      0;
+    sum = (sum + word) >>> 0;
+  }
+  return sum;
+}
+
+/**
+ * Glyph ids referenced by a composite glyph
+ * @param {Uint8Array} glyph - Glyph data (numberOfContours < 0)
+ * @returns {number[]}
+ */
+function compositeComponents(glyph) {
+  const view = new DataView(glyph.buffer, glyph.byteOffset, glyph.byteLength);
+  const ids = [];
+  let pos = 10; // po nagłówku glifu
+  let flags = MORE_COMPONENTS;
+  while (flags & MORE_COMPONENTS && pos + 4 <= glyph.length) {
+    flags = view.getUint16(pos);
+    ids.push(view.getUint16(pos + 2));
+    pos += 4 + (flags & ARG_1_AND_2_ARE_WORDS ? 4 : 2);
+    if (flags & WE_HAVE_A_SCALE) pos += 2;
+    else if (flags & WE_HAVE_AN_X_AND_Y_SCALE) pos += 4;
+    else if (flags & WE_HAVE_A_TWO_BY_TWO) pos += 8;
+  }
+  return ids;
+}
+
+/**
+ * Empty every glyph that is not in `glyphIds` (plus .notdef and components
+ * of kept composite glyphs)
+ * @param {Uint8Array} bytes - TrueType font program
+ * @param {Iterable<number>} glyphIds - Glyph ids used by the document
+ * @returns {Uint8Array|null} Smaller font, or null when the font is not a
+ *   TrueType font or nothing would be removed
+ */
+export function subsetTrueTypeGlyphs(bytes, glyphIds) {
+  const tables = readTableDirectory(bytes);
+  if (!tables) return null;
+  const head = tables.get('head');
+  const maxp = tables.get('maxp');
+  const loca = tables.get('loca');
+  const glyf = tables.get('glyf');
+  if (!head || !maxp || !loca || !glyf || head.length < 54) return null;
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const longLoca = view.getInt16(head.offset + 50) === 1;
+  const numGlyphs = view.getUint16(maxp.offset + 4);
+  if (loca.length < (numGlyphs + 1) * (longLoca ? 4 : 2)) return null;
+  const glyphStart = gid =>
+    longLoca
+      ? view.getUint32(loca.offset + gid * 4)
+      : view.getUint16(loca.offset + gid * 2) * 2;
+  const glyphData = gid => {
+    const start = Math.min(glyphStart(gid), glyf.length);
+    const end = Math.min(Math.max(start, glyphStart(gid + 1)), glyf.length);
+    return bytes.subarray(glyf.offset + start, glyf.offset + end);
+  };
+
+  // Domknięcie: glify złożone potrzebują swoich komponentów
+  const keep = new Set([0]);
+  const queue = [0];
+  for (const gid of glyphIds) {
+    if (gid >= 0 && gid < numGlyphs && !keep.has(gid)) {
+      keep.add(gid);
+      queue.push(gid);
+    }
+  }
+  while (queue.length > 0) {
+    const data = glyphData(queue.pop());
+    // numberOfContours < 0 → glif złożony
+    if (data.length < 10 || !(data[0] & 0x80)) continue;
+    compositeComponents(data).forEach(id => {
+      if (id < numGlyphs && !keep.has(id)) {
+        keep.add(id);
+        queue.push(id);
+      }
+    });
+  }
+  if (keep.size >= numGlyphs) return null;
+
+  // Nowe glyf/loca: zachowane glify wyrównane do 4 bajtów, reszta pusta
+  let glyfSize = 0;
+  keep.forEach(gid => {
+    glyfSize += (glyphData(gid).length + 3) & ~3;
+  });
+  if (!longLoca && glyfSize > 0x1fffe) return null;
+  const newGlyf = new Uint8Array(glyfSize);
+  const newLoca = new Uint8Array((numGlyphs + 1) * (longLoca ? 4 : 2));
+  const locaView = new DataView(newLoca.buffer);
+  let pos = 0;
+  for (let gid = 0; gid <= numGlyphs; gid++) {
+    if (longLoca) locaView.setUint32(gid * 4, pos);
+    else locaView.setUint16(gid * 2, pos / 2);
+    if (gid < numGlyphs && keep.has(gid)) {
+      const data = glyphData(gid);
+      newGlyf.set(data, pos);
+      pos += (data.length + 3) & ~3;
+    }
+  }
+
+  const replaced = new Map([
+    ['glyf', newGlyf],
+    ['loca', newLoca],
+  ]);
+  const out = writeFont(bytes, tables, replaced);
+  return out.length < bytes.length ? out : null;
+}
+
+/**
+ * Serialize a font with some tables replaced; recomputes the table
+ * directory, checksums and head.checkSumAdjustment
+ */
+function writeFont(bytes, tables, replaced) {
+  const entries = [];
+  tables.forEach(({ offset, length }, tag) => {
+    if (DROPPED_TABLES.has(tag)) return;
+    const data = replaced.get(tag) || bytes.subarray(offset, offset + length);
+    entries.push({ tag, data });
+  });
+  entries.sort((a, b) => (a.tag < b.tag ? -1 : a.tag > b.tag ? 1 : 0));
+
+  const headerSize = 12 + entries.length * 16;
+  let size = headerSize;
+  entries.forEach(e => {
+    size += (e.data.length + 3) & ~3;
+  });
+  const out = new Uint8Array(size);
+  const view = new DataView(out.buffer);
+  const n = entries.length;
+  const searchRange = 2 ** Math.floor(Math.log2(n)) * 16;
+  view.setUint32(0, 0x00010000);
+  view.setUint16(4, n);
+  view.setUint16(6, searchRange);
+  view.setUint16(8, Math.floor(Math.log2(n)));
+  view.setUint16(10, n * 16 - searchRange);
+
+  let offset = headerSize;
+  let headOffset = -1;
+  entries.forEach((e, i) => {
+    out.set(e.data, offset);
+    if (e.tag === 'head') {
+      headOffset = offset;
+      view.setUint32(offset + 8, 0); // checkSumAdjustment liczone od zera
+    }
+    const record = 12 + i * 16;
+    for (let k = 0; k < 4; k++) out[record + k] = e.tag.charCodeAt(k);
+    view.setUint32(
+      record + 4,
+      tableChecksum(out.subarray(offset, offset + e.data.length))
+    );
+    view.setUint32(record + 8, offset);
+    view.setUint32(record + 12, e.data.length);
+    offset += (e.data.length + 3) & ~3;
+  });
+  if (headOffset >= 0) {
+    view.setUint32(headOffset + 8, (0xb1b0afba - tableChecksum(out)) >>> 0);
+  }
+  return out;
+}
@@ -0,0 +1,335 @@
+// image-codec.js - Decoding and JPEG re-encoding of raw PDF image streams
+// Shared by the main thread fallback (PDFProcessor) and image.worker.js,
+// so it must not touch the DOM unless OffscreenCanvas is unavailable.
+import { decodeImagePixels } from './image-decoder.js';
+
+// Kolejność prób dekodowania: najpierw bez typu, potem z podpowiedziami MIME
+const DECODE_HINTS = [
+  null,
+  'image/jpeg',
+  'image/jp2',
+  'image/jpx',
+  'image/png',
+];
+
+/**
+ * Decode raw image stream bytes into an ImageBitmap
+ * @param {Uint8Array} raw - Encoded image bytes (e.g. DCTDecode stream contents)
+ * @returns {Promise<ImageBitmap|null>} Bitmap or null when the browser can't decode it
+ */
+export async function decodeImageBytes(raw) {
+  for (const type of DECODE_HINTS) {
+    try {
+      const blob = type ? new Blob([raw], { type }) : new Blob([raw]);
+      return await createImageBitmap(blob);
+    } catch {}
+  }
+  return null;
+}
+
+/**
+ * Build a bitmap from decoded PDF image samples (Flate/LZW/RunLength images)
+ * @param {Uint8Array} samples - Stream data with filters removed
+ * @param {Object} image - Descriptor for decodeImagePixels() (without `data`)
+ * @returns {Promise<ImageBitmap|null>}
+ */
+export async function decodeSampledImage(samples, image) {
+  const pixels = decodeImagePixels({ ...image, data: samples });
+  if (!pixels) return null;
+  try {
+    return await createImageBitmap(
+      new ImageData(pixels.data, pixels.width, pixels.height)
+    );
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Draw an image source scaled to width x height and encode it as JPEG
+ * @param {CanvasImageSource} source - Bitmap to draw
+ * @param {number} width - Output width in pixels
+ * @param {number} height - Output height in pixels
+ * @param {number} quality - JPEG quality (0.1 - 1)
+ * @returns {Promise<Uint8Array|null>} JPEG bytes
+ */
+export async function encodeJpeg(source, width, height, quality) {
+  let blob = null;
+  // Prefer OffscreenCanvas (the only option inside a worker); transparent
+  // pixels land on white, the alpha itself is kept by the PDF mask
+  if (typeof OffscreenCanvas !== 'undefined') {
+    try {
+      const osc = new OffscreenCanvas(width, height);
+      const octx = osc.getContext('2d', { alpha: false });
+      octx.fillStyle = '#fff';
+      octx.fillRect(0, 0, width, height);
+      octx.drawImage(source, 0, 0, width, height);
+      blob = await osc.convertToBlob({ type: 'image/jpeg', quality });
+    } catch {}
+  }
+  if (!blob && typeof document !== 'undefined') {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { alpha: false });
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, width, height);
+    ctx.drawImage(source, 0, 0, width, height);
+    blob = await new Promise(res => canvas.toBlob(res, 'image/jpeg', quality));
+  }
+  return blob ? new Uint8Array(await blob.arrayBuffer()) : null;
+}
+
+/**
+ * Draw an image source scaled to width x height and read back RGBA pixels
+ * @param {CanvasImageSource} source - Bitmap to draw
+ * @param {number} width - Output width in pixels
+ * @param {number} height - Output height in pixels
+ * @param {Object} [options]
+ * @param {string|null} [options.background] - Fill under transparent pixels;
+ *   null keeps the alpha channel
+ * @returns {Uint8ClampedArray|null} RGBA pixels
+ */
+export function drawToPixels(
+  source,
+  width,
+  height,
+  { background = '#fff' } = {}
+) {
+  let ctx = null;
+  if (typeof OffscreenCanvas !== 'undefined') {
+    try {
+      ctx = new OffscreenCanvas(width, height).getContext('2d');
+    } catch {}
+  }
+  if (!ctx && typeof document !== 'undefined') {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    ctx = canvas.getContext('2d');
+  }
+  if (!ctx) return null;
+  // Białe tło pod przezroczystością (jak przy JPEG)
+  if (background) {
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, width, height);
+  }
+  ctx.drawImage(source, 0, 0, width, height);
+  return ctx.getImageData(0, 0, width, height).data;
+}
+
+/**
+ * Convert RGBA pixels to 8-bit luminance (ITU-R BT.601 weights)
+ * @param {Uint8ClampedArray} rgba
+ * @returns {Uint8Array} One byte per pixel
+ */
+export function toGray(rgba) {
+  const gray = new Uint8Array(rgba.length / 4);
+  for (let i = 0, p = 0; p < gray.length; i += 4, p++) {
+    gray[p] = (rgba[i] * 299 + rgba[i + 1] * 587 + rgba[i + 2] * 114) / 1000;
+  }
+  return gray;
+}
+
+/**
+ * Take the alpha channel of RGBA pixels
+ * @param {Uint8ClampedArray} rgba
+ * @returns {Uint8Array} One byte per pixel
+ */
+export function alphaChannel(rgba) {
+  const alpha = new Uint8Array(rgba.length / 4);
+  for (let i = 3, p = 0; p < alpha.length; i += 4, p++) alpha[p] = rgba[i];
+  return alpha;
+}
+
+/**
+ * Pack 8-bit gray samples into `bpc` bits per sample, rows padded to a byte
+ * @param {Uint8Array} gray - One byte per pixel
+ * @param {number} width
+ * @param {number} height
+ * @param {number} bpc - 1, 2, 4 or 8
+ * @param {number} [threshold] - Cut-off for 1 bpc (white when >= threshold)
+ * @returns {Uint8Array}
+ */
+export function packGray(gray, width, height, bpc, threshold = 128) {
+  if (bpc === 8) return gray;
+  const rowBytes = Math.ceil((width * bpc) / 8);
+  const out = new Uint8Array(rowBytes * height);
+  const max = (1 << bpc) - 1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const v = gray[y * width + x];
+      const sample =
+        bpc === 1 ? (v >= threshold ? 1 : 0) : Math.round((v * max) / 255);
+      const bit = x * bpc;
+      out[y * rowBytes + (bit >> 3)] |= sample << (8 - bpc - (bit & 7));
+    }
+  }
+  return out;
+}
+
+/**
+ * Otsu threshold for binarizing scans (falls back to 128 on flat images)
+ * @param {Uint8Array} gray
+ * @returns {number}
+ */
+export function otsuThreshold(gray) {
+  const hist = new Array(256).fill(0);
+  for (let i = 0; i < gray.length; i++) hist[gray[i]]++;
+  const total = gray.length;
+  let sum = 0;
+  for (let t = 0; t < 256; t++) sum += t * hist[t];
+  let sumB = 0;
+  let weightB = 0;
+  let best = 0;
+  let threshold = 128;
+  for (let t = 0; t < 256; t++) {
+    weightB += hist[t];
+    if (weightB === 0) continue;
+    const weightF = total - weightB;
+    if (weightF === 0) break;
+    sumB += t * hist[t];
+    const meanB = sumB / weightB;
+    const meanF = (sum - sumB) / weightF;
+    const between = weightB * weightF * (meanB - meanF) ** 2;
+    if (between > best) {
+      best = between;
+      threshold = t + 1;
+    }
+  }
+  return threshold;
+}
+
+/**
+ * zlib-deflate bytes for FlateDecode with CompressionStream
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array|null>} Compressed bytes, or null when unsupported
+ */
+export async function deflateBytes(bytes) {
+  if (typeof CompressionStream === 'undefined') return null;
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Encode a bitmap as DeviceGray samples (gray: 8 or 4 bpc, bilevel: 1 bpc)
+ * @param {CanvasImageSource} source
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} params
+ * @param {'gray'|'bilevel'} params.colorMode
+ * @param {number} params.quality - 0.1 - 1; gray drops to 4 bpc at <= 0.5
+ * @returns {Promise<Object|null>} { kind: 'raw', bytes, filter, width, height, bitsPerComponent, colorSpace }
+ */
+export async function encodeGray(
+  source,
+  width,
+  height,
+  { colorMode, quality }
+) {
+  const rgba = drawToPixels(source, width, height);
+  if (!rgba) return null;
+  const gray = toGray(rgba);
+  const bilevel = colorMode === 'bilevel';
+  const bpc = bilevel ? 1 : quality <= 0.5 ? 4 : 8;
+  const samples = packGray(
+    gray,
+    width,
+    height,
+    bpc,
+    bilevel ? otsuThreshold(gray) : 128
+  );
+  const deflated = await deflateBytes(samples);
+  return {
+    kind: 'raw',
+    // Bez CompressionStream kompresję robi pdf-lib (context.flateStream)
+    bytes: deflated || samples,
+    filter: deflated ? 'FlateDecode' : null,
+    width,
+    height,
+    bitsPerComponent: bpc,
+    colorSpace: 'DeviceGray',
+  };
+}
+
+/**
+ * Encode the alpha channel of a bitmap as an 8-bit DeviceGray soft mask
+ * @param {CanvasImageSource} source
+ * @param {number} width
+ * @param {number} height
+ * @returns {Promise<Object|null>} Same shape as encodeGray() results
+ */
+export async function encodeAlpha(source, width, height) {
+  const rgba = drawToPixels(source, width, height, { background: null });
+  if (!rgba) return null;
+  const samples = alphaChannel(rgba);
+  const deflated = await deflateBytes(samples);
+  return {
+    kind: 'raw',
+    bytes: deflated || samples,
+    filter: deflated ? 'FlateDecode' : null,
+    width,
+    height,
+    bitsPerComponent: 8,
+    colorSpace: 'DeviceGray',
+  };
+}
+
+/**
+ * Decode, rescale and re-encode one image stream
+ * @param {Uint8Array} raw - Original stream bytes, or decoded samples when
+ *   `params.image` is set
+ * @param {Object} params
+ * @param {number} params.targetWidth - Output width in pixels
+ * @param {number} params.targetHeight - Output height in pixels
+ * @param {number} params.quality - JPEG quality (0.1 - 1)
+ * @param {'color'|'gray'|'bilevel'} [params.colorMode] - Output colour mode
+ * @param {Object} [params.image] - Sampled image descriptor (see decodeImagePixels);
+ *   with `smask` or `colorKey` the alpha is returned as `result.mask`
+ * @param {number} [params.originalLength] - Encoded size to beat (default raw.length)
+ * @returns {Promise<Object|null>} { kind: 'jpeg', bytes, mask? } or a DeviceGray
+ *   result from encodeGray(); null to keep the original
+ */
+export async function recompressImage(
+  raw,
+  {
+    targetWidth,
+    targetHeight,
+    quality,
+    colorMode = 'color',
+    image = null,
+    originalLength = raw.length,
+  }
+) {
+  const bmp = image
+    ? await decodeSampledImage(raw, image)
+    : await decodeImageBytes(raw);
+  if (!bmp) return null; // nie dekodujemy – zostaw oryginał
+  const width = Math.max(1, targetWidth || bmp.width || 1);
+  const height = Math.max(1, targetHeight || bmp.height || 1);
+  let result = null;
+  try {
+    if (colorMode === 'gray' || colorMode === 'bilevel') {
+      result = await encodeGray(bmp, width, height, { colorMode, quality });
+    } else {
+      const bytes = await encodeJpeg(bmp, width, height, quality);
+      result = bytes ? { kind: 'jpeg', bytes } : null;
+    }
+    // JPEG i DeviceGray nie mają alfy – przezroczystość idzie do osobnej maski
+    if (result && image && (image.smask || image.colorKey)) {
+      result.mask = await encodeAlpha(bmp, width, height);
+      if (!result.mask) result = null;
+    }
+  } finally {
+    if (typeof bmp.close === 'function') bmp.close();
+  }
+  if (!result) return null;
+  // Jeśli nowy większy, zachowaj oryginał (niespakowane próbki sprawdza PDFProcessor)
+  const packed = result.kind === 'jpeg' || result.filter;
+  const size =
+    result.bytes.length + (result.mask ? result.mask.bytes.length : 0);
+  if (packed && originalLength && size >= originalLength) return null;
+  return result;
+}
@@ -0,0 +1,269 @@
+// image-decoder.js - Rebuild RGBA pixels from decoded PDF image samples
+// Input is the stream data after Flate/LZW/RunLength decoding (done with
+// pdf-lib on the main thread); predictors, bit depths, Decode arrays, colour
+// spaces, SMask alpha and colour-key masks are handled here so it can run
+// inside image.worker.js.
+
+/**
+ * Undo PNG (10-15) or TIFF (2) predictors from /DecodeParms
+ * @param {Uint8Array} data - Decoded stream data
+ * @param {Object} params
+ * @param {number} params.predictor - /Predictor (1 = none)
+ * @param {number} params.colors - Components per pixel
+ * @param {number} params.bitsPerComponent
+ * @param {number} params.columns - Pixels per row
+ * @returns {Uint8Array} Raw samples
+ */
+export function undoPredictor(
+  data,
+  { predictor = 1, colors = 1, bitsPerComponent = 8, columns = 1 }
+) {
+  if (predictor <= 1) return data;
+  const rowBytes = Math.ceil((columns * colors * bitsPerComponent) / 8);
+  const bpp = Math.max(1, Math.ceil((colors * bitsPerComponent) / 8));
+
+  if (predictor === 2) {
+    // TIFF predictor 2 (only the common 8-bit case)
+    if (bitsPerComponent !== 8) return data;
+    const out = Uint8Array.from(data);
+    for (let row = 0; row * rowBytes < out.length; row++) {
+      const base = row * rowBytes;
+      for (let i = bpp; i < rowBytes && base + i < out.length; i++) {
+        out[base + i] = (out[base + i] + out[base + i - bpp]) & 0xff;
+      }
+    }
+    return out;
+  }
+
+  // PNG predictors: every row starts with its own filter type byte
+  const rows = Math.floor(data.length / (rowBytes + 1));
+  const out = new Uint8Array(rows * rowBytes);
+  let prev = new Uint8Array(rowBytes);
+  for (let row = 0; row < rows; row++) {
+    const src = row * (rowBytes + 1);
+    const type = data[src];
+    const cur = out.subarray(row * rowBytes, (row + 1) * rowBytes);
+    for (let i = 0; i < rowBytes; i++) {
+      const x = data[src + 1 + i];
+      const left = i >= bpp ? cur[i - bpp] : 0;
+      const up = prev[i];
+      const upLeft = i >= bpp ? prev[i - bpp] : 0;
+      let value = x;
+      if (type === 1) value = x + left;
+      else if (type === 2) value = x + up;
+      else if (type === 3) value = x + ((left + up) >> 1);
+      else if (type === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        value = x + (pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft);
+      }
+      cur[i] = value & 0xff;
+    }
+    prev = cur;
+  }
+  return out;
+}
+
+/**
+ * Read the i-th raw sample (integer 0..2^bpc-1) of a row
+ */
+function rawSample(data, offset, i, bpc) {
+  if (bpc === 8) return data[offset + i] || 0;
+  if (bpc === 16) {
+    return ((data[offset + i * 2] || 0) << 8) | (data[offset + i * 2 + 1] || 0);
+  }
+  const bit = i * bpc;
+  const byte = data[offset + (bit >> 3)] || 0;
+  return (byte >> (8 - bpc - (bit & 7))) & ((1 << bpc) - 1);
+}
+
+/**
+ * Read `count` samples of `bpc` bits each from one row, scaled to 0..1 by Decode
+ * @returns {Float32Array}
+ */
+function readRow(data, offset, count, bpc, decode) {
+  const out = new Float32Array(count);
+  const max = bpc === 16 ? 65535 : (1 << bpc) - 1;
+  for (let i = 0; i < count; i++) {
+    const v = rawSample(data, offset, i, bpc);
+    const d = decode ? decode[i % decode.length] : null;
+    // Decode: [Dmin Dmax] na komponent; bez tablicy 0..max → 0..1
+    out[i] = d ? d[0] + (v * (d[1] - d[0])) / max : v / max;
+  }
+  return out;
+}
+
+/**
+ * Group a flat Decode array into [min, max] pairs
+ * @param {number[]|null} decode
+ * @returns {Array<number[]>|null}
+ */
+function pairs(decode) {
+  if (!decode || decode.length < 2) return null;
+  const out = [];
+  for (let i = 0; i + 1 < decode.length; i += 2) {
+    out.push([decode[i], decode[i + 1]]);
+  }
+  return out;
+}
+
+const clamp255 = v => (v <= 0 ? 0 : v >= 1 ? 255 : Math.round(v * 255));
+
+/**
+ * Number of components of a colour space descriptor
+ * @param {Object} cs - { type, base, hival, lookup }
+ * @returns {number}
+ */
+export function componentCount(cs) {
+  switch (cs.type) {
+    case 'DeviceGray':
+      return 1;
+    case 'DeviceRGB':
+      return 3;
+    case 'DeviceCMYK':
+      return 4;
+    case 'Indexed':
+      return 1;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Convert one pixel (components in 0..1) to RGB bytes
+ */
+function toRgb(cs, c, out, o) {
+  if (cs.type === 'DeviceGray') {
+    out[o] = out[o + 1] = out[o + 2] = clamp255(c[0]);
+  } else if (cs.type === 'DeviceRGB') {
+    out[o] = clamp255(c[0]);
+    out[o + 1] = clamp255(c[1]);
+    out[o + 2] = clamp255(c[2]);
+  } else if (cs.type === 'DeviceCMYK') {
+    // Prosta konwersja bez profilu ICC
+    const k = c[3];
+    out[o] = clamp255((1 - c[0]) * (1 - k));
+    out[o + 1] = clamp255((1 - c[1]) * (1 - k));
+    out[o + 2] = clamp255((1 - c[2]) * (1 - k));
+  }
+}
+
+/**
+ * Rebuild RGBA pixels from decoded image samples
+ * @param {Object} image
+ * @param {Uint8Array} image.data - Samples (filters already removed)
+ * @param {number} image.width
+ * @param {number} image.height
+ * @param {number} image.bitsPerComponent - 1, 2, 4, 8 or 16
+ * @param {Object} image.colorSpace - { type: 'DeviceGray'|'DeviceRGB'|'DeviceCMYK'|'Indexed', base?, hival?, lookup? }
+ * @param {number[]} [image.decode] - /Decode array
+ * @param {number} [image.predictor] - /Predictor from /DecodeParms
+ * @param {Object} [image.smask] - { data, width, height, bitsPerComponent, decode?, predictor? } soft mask → alpha
+ * @param {number[]} [image.colorKey] - /Mask array [min0 max0 min1 max1 ...] of raw
+ *   sample values; matching pixels get alpha 0
+ * @returns {{ width: number, height: number, data: Uint8ClampedArray, hasAlpha: boolean }|null}
+ *   Null for colour spaces this decoder does not support
+ */
+export function decodeImagePixels(image) {
+  const { width, height, bitsPerComponent: bpc, colorSpace: cs } = image;
+  const components = componentCount(cs);
+  if (!components || !width || !height) return null;
+  if (cs.type === 'Indexed' && !componentCount(cs.base || {})) return null;
+
+  const data = undoPredictor(image.data, {
+    predictor: image.predictor,
+    colors: components,
+    bitsPerComponent: bpc,
+    columns: width,
+  });
+  const rowBytes = Math.ceil((width * components * bpc) / 8);
+  const rgba = new Uint8ClampedArray(width * height * 4);
+  const decode = pairs(image.decode);
+  const colorKey = pairs(image.colorKey);
+  const c = new Float32Array(4);
+
+  for (let y = 0; y < height; y++) {
+    if (cs.type === 'Indexed') {
+      // Indeks: surowa wartość (Decode [0 hival] domyślnie), potem tablica lookup
+      const max = (1 << bpc) - 1;
+      const row = readRow(data, y * rowBytes, width, bpc, null);
+      const baseComponents = componentCount(cs.base);
+      for (let x = 0; x < width; x++) {
+        let index = Math.round(row[x] * max);
+        if (decode) {
+          index = Math.round(
+            decode[0][0] + (index * (decode[0][1] - decode[0][0])) / max
+          );
+        }
+        index = Math.max(0, Math.min(cs.hival, index));
+        for (let k = 0; k < baseComponents; k++) {
+          c[k] = (cs.lookup[index * baseComponents + k] || 0) / 255;
+        }
+        toRgb(cs.base, c, rgba, (y * width + x) * 4);
+        rgba[(y * width + x) * 4 + 3] = 255;
+      }
+    } else {
+      const row = readRow(data, y * rowBytes, width * components, bpc, decode);
+      for (let x = 0; x < width; x++) {
+        for (let k = 0; k < components; k++) c[k] = row[x * components + k];
+        toRgb(cs, c, rgba, (y * width + x) * 4);
+        rgba[(y * width + x) * 4 + 3] = 255;
+      }
+    }
+  }
+
+  const hasAlpha = Boolean(image.smask || colorKey);
+  if (image.smask) applySoftMask(rgba, width, height, image.smask);
+  if (colorKey) {
+    applyColorKey(
+      rgba,
+      data,
+      { width, height, rowBytes, components, bpc },
+      colorKey
+    );
+  }
+  return { width, height, data: rgba, hasAlpha };
+}
+
+/**
+ * Colour-key masking: pixels whose raw samples all fall within the key ranges
+ * become fully transparent (ranges compare values before /Decode)
+ */
+function applyColorKey(rgba, data, layout, colorKey) {
+  const { width, height, rowBytes, components, bpc } = layout;
+  if (colorKey.length < components) return;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let masked = true;
+      for (let k = 0; k < components && masked; k++) {
+        const v = rawSample(data, y * rowBytes, x * components + k, bpc);
+        masked = v >= colorKey[k][0] && v <= colorKey[k][1];
+      }
+      if (masked) rgba[(y * width + x) * 4 + 3] = 0;
+    }
+  }
+}
+
+/**
+ * Write SMask values into the alpha channel (nearest neighbour when sizes differ)
+ */
+function applySoftMask(rgba, width, height, smask) {
+  const mask = decodeImagePixels({
+    ...smask,
+    colorSpace: { type: 'DeviceGray' },
+    smask: null,
+  });
+  if (!mask) return;
+  for (let y = 0; y < height; y++) {
+    const my = Math.min(
+      mask.height - 1,
+      Math.floor((y * mask.height) / height)
+    );
+    for (let x = 0; x < width; x++) {
+      const mx = Math.min(mask.width - 1, Math.floor((x * mask.width) / width));
+      rgba[(y * width + x) * 4 + 3] = mask.data[(my * mask.width + mx) * 4];
+    }
+  }
+}
@@ -0,0 +1,116 @@
+// image-worker-pool.js - Fixed-size pool of image workers with a FIFO task queue
+
+/**
+ * Default pool size: one worker per logical core, leaving one for the UI thread
+ * @returns {number}
+ */
+export function defaultPoolSize() {
+  const cores =
+    (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+  return Math.max(1, Math.min(8, cores - 1));
+}
+
+/**
+ * ImageWorkerPool - dispatches tasks to up to `size` workers.
+ * Workers are spawned lazily and reused; each handles one task at a time.
+ */
+export class ImageWorkerPool {
+  /**
+   * @param {Function} createWorker - Factory returning a new Worker
+   * @param {number} size - Maximum number of workers
+   */
+  constructor(createWorker, size = defaultPoolSize()) {
+    this.createWorker = createWorker;
+    this.size = Math.max(1, Number(size) | 0);
+    this.slots = [];
+    this.queue = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Queue a task for the next free worker
+   * @param {Object} message - Task payload posted to the worker
+   * @param {Transferable[]} transfer - Buffers to transfer with the message
+   * @returns {Promise<Object>} Worker reply
+   */
+  run(message, transfer = []) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        id: this.nextId++,
+        message,
+        transfer,
+        resolve,
+        reject,
+      });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Hand queued tasks to idle workers, spawning new ones up to the pool size
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      let slot = this.slots.find(s => !s.task);
+      if (!slot && this.slots.length < this.size) slot = this.spawn();
+      if (!slot) return;
+      const task = this.queue.shift();
+      slot.task = task;
+      try {
+        slot.worker.postMessage(
+          { ...task.message, id: task.id },
+          task.transfer
+        );
+      } catch (error) {
+        slot.task = null;
+        task.reject(error);
+      }
+    }
+  }
+
+  /**
+   * Create a worker and register it in the pool
+   * @returns {Object} Pool slot
+   */
+  spawn() {
+    const slot = { worker: this.createWorker(), task: null };
+    slot.worker.onmessage = e => {
+      const task = slot.task;
+      const data = e.data || {};
+      if (!task || data.id !== task.id) return;
+      slot.task = null;
+      if (data.ok === false) {
+        task.reject(new Error(data.error || 'Worker task failed'));
+      } else {
+        task.resolve(data);
+      }
+      this.dispatch();
+    };
+    slot.worker.onerror = e => {
+      const task = slot.task;
+      // Crashed worker: replace it so the rest of the queue keeps moving
+      this.slots = this.slots.filter(s => s !== slot);
+      try {
+        slot.worker.terminate();
+      } catch {}
+      if (task) task.reject(new Error(e?.message || 'Worker crashed'));
+      this.dispatch();
+    };
+    this.slots.push(slot);
+    return slot;
+  }
+
+  /**
+   * Stop all workers and reject pending tasks
+   */
+  terminate() {
+    const error = new Error('Worker pool terminated');
+    this.queue.splice(0).forEach(task => task.reject(error));
+    this.slots.splice(0).forEach(slot => {
+      if (slot.task) slot.task.reject(error);
+      try {
+        slot.worker.terminate();
+      } catch {}
+    });
+  }
+}
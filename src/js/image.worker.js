@@ -0,0 +1,39 @@
+// image.worker.js - Background image recompression (bundled by worker-loader)
+// Protocol: { id, type: 'recompress', raw: ArrayBuffer, targetWidth, targetHeight, quality, colorMode, image?, originalLength? }
+//   (with `image`, raw holds decoded samples and image.smask.data an ArrayBuffer)
+//        -> { id, ok: true, result: { kind, bytes: ArrayBuffer, mask?: { bytes: ArrayBuffer, ... }, ... }|null }
+//         | { id, ok: false, error }
+import { recompressImage } from './image-codec.js';
+
+const handlers = {
+  async recompress({ raw, image, ...params }) {
+    if (image && image.smask) {
+      image.smask.data = new Uint8Array(image.smask.data);
+    }
+    const result = await recompressImage(new Uint8Array(raw), {
+      ...params,
+      image,
+    });
+    if (!result) return null;
+    const mask = result.mask
+      ? { ...result.mask, bytes: result.mask.bytes.buffer }
+      : null;
+    return { ...result, bytes: result.bytes.buffer, mask };
+  },
+};
+
+// Bufory wyniku przekazujemy bez kopiowania
+const transferablesOf = result =>
+  result ? [result.bytes, ...(result.mask ? [result.mask.bytes] : [])] : [];
+
+self.onmessage = async e => {
+  const { id, type } = e.data || {};
+  try {
+    const handler = handlers[type];
+    if (!handler) throw new Error(`Unknown task type: ${type}`);
+    const result = await handler(e.data);
+    self.postMessage({ id, ok: true, result }, transferablesOf(result));
+  } catch (error) {
+    self.postMessage({ id, ok: false, error: error?.message || String(error) });
+  }
+};
@@ -0,0 +1,116 @@
+// page-range.js - Page range parsing for the filters in the options panel
+// "1-3, 7, 10-end, odd, even, last-5" style lists, 1-based as typed by users;
+// results are 0-based page indices so they can be passed straight to pdf-lib.
+
+// Koniec zakresu: numer strony albo "end"/"last" (ostatnia strona)
+const ENDPOINT = '(\\d+|end|last)?';
+const RANGE = new RegExp(`^${ENDPOINT}\\s*(-?)\\s*${ENDPOINT}$`);
+const LAST_PAGES = /^(?:last|end)\s*-\s*(\d+)$/;
+
+/**
+ * Parse a page range list without knowing the document (syntax only)
+ * @param {string} text - Comma-separated groups: "N", "N-M", "N-", "-M"
+ *   ("end"/"last" stand for the last page), "odd", "even" or "last-N" (the
+ *   last N pages)
+ * @returns {Array<Object>} One spec per group: { text, kind: 'range', from,
+ *   to } with endpoints as typed, { text, kind: 'last', count } or
+ *   { text, kind: 'odd'|'even' }
+ * @throws {Error} On malformed groups
+ */
+export function parsePageSpec(text) {
+  return String(text || '')
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const lower = part.toLowerCase();
+      if (lower === 'odd' || lower === 'even') {
+        return { text: part, kind: lower };
+      }
+      const lastPages = LAST_PAGES.exec(lower);
+      if (lastPages && Number(lastPages[1]) > 0) {
+        return { text: part, kind: 'last', count: Number(lastPages[1]) };
+      }
+      const match = RANGE.exec(lower);
+      // Dwa końce bez "-" ("1 2", "endlast") to nie zakres
+      if (
+        lastPages ||
+        !match ||
+        (!match[1] && !match[3]) ||
+        (match[1] && match[3] && !match[2])
+      ) {
+        throw new Error(`Invalid page range: "${part}"`);
+      }
+      const [, from, dash, to] = match;
+      return {
+        text: part,
+        kind: 'range',
+        from: from || '1',
+        to: dash ? to || 'end' : from,
+      };
+    });
+}
+
+/**
+ * 0-based pages of one parsePageSpec() group
+ * @param {Object} spec
+ * @param {number} pageCount
+ * @returns {number[]} Ascending page indices
+ */
+function resolveGroup(spec, pageCount) {
+  const pageNumber = value => (/^\d+$/.test(value) ? Number(value) : pageCount);
+  let pages;
+  if (spec.kind === 'odd' || spec.kind === 'even') {
+    const start = spec.kind === 'odd' ? 0 : 1;
+    pages = [];
+    for (let i = start; i < pageCount; i += 2) pages.push(i);
+  } else {
+    const first =
+      spec.kind === 'last' ? pageCount - spec.count + 1 : pageNumber(spec.from);
+    const last = spec.kind === 'last' ? pageCount : pageNumber(spec.to);
+    if (first < 1 || last < first || first > pageCount) {
+      throw new Error(`Page range "${spec.text}" is outside 1-${pageCount}`);
+    }
+    pages = [];
+    for (let page = first; page <= Math.min(last, pageCount); page++) {
+      pages.push(page - 1);
+    }
+  }
+  if (pages.length === 0) {
+    throw new Error(`Page range "${spec.text}" selects no pages`);
+  }
+  return pages;
+}
+
+/**
+ * Parse a page range list into its comma-separated groups
+ * @param {string} text - See parsePageSpec()
+ * @param {number} pageCount - Pages in the document
+ * @returns {Array<{ text: string, pages: number[] }>|null} Groups in the
+ *   order typed; null for an empty text (meaning "all pages")
+ * @throws {Error} On malformed groups or pages outside the document
+ */
+export function parsePageGroups(text, pageCount) {
+  const specs = parsePageSpec(text);
+  if (specs.length === 0) return null;
+  return specs.map(spec => ({
+    text: spec.text,
+    pages: resolveGroup(spec, pageCount),
+  }));
+}
+
+/**
+ * Parse a page range list
+ * @param {string} text - e.g. "1-3, 5, 8-" (an open end runs to the last
+ *   page); see parsePageSpec() for the whole grammar
+ * @param {number} pageCount - Pages in the document
+ * @returns {number[]|null} Sorted 0-based page indices; null for an empty
+ *   text (meaning "all pages")
+ * @throws {Error} On malformed parts or pages outside the document
+ */
+export function parsePageRange(text, pageCount) {
+  const groups = parsePageGroups(text, pageCount);
+  if (!groups) return null;
+  const pages = new Set(groups.flatMap(group => group.pages));
+  return [...pages].sort((a, b) => a - b);
+}
@@ -0,0 +1,41 @@
+// page-renderer.js - Page previews rendered with pdf.js
+// Uses window.pdfjsLib, loaded together with pdf-lib by
+// window.loadPDFLibraries() (public/index.html).
+
+/**
+ * Open a PDF for rendering
+ * @param {Blob|Uint8Array} source - PDF file or its bytes
+ * @returns {Promise<Object|null>} pdf.js document, null when pdf.js is not loaded
+ */
+export async function openRenderDocument(source) {
+  const pdfjsLib = typeof window !== 'undefined' ? window.pdfjsLib : null;
+  if (!pdfjsLib) return null;
+  // pdf.js przekazuje bufor do workera, więc zawsze dostaje kopię
+  const data =
+    source instanceof Uint8Array
+      ? source.slice()
+      : new Uint8Array(await source.arrayBuffer());
+  return pdfjsLib.getDocument({ data }).promise;
+}
+
+/**
+ * Render one page to a canvas that fits in maxSize x maxSize pixels
+ * @param {Object} pdf - openRenderDocument() result
+ * @param {number} pageIndex - 0-based page index
+ * @param {number} [maxSize] - Longer side in pixels
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export async function renderPage(pdf, pageIndex, maxSize = 200) {
+  const page = await pdf.getPage(pageIndex + 1);
+  const { width, height } = page.getViewport({ scale: 1 });
+  const viewport = page.getViewport({
+    scale: maxSize / Math.max(width, height),
+  });
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(viewport.width));
+  canvas.height = Math.max(1, Math.round(viewport.height));
+  await page.render({ canvasContext: canvas.getContext('2d'), viewport })
+    .promise;
+  page.cleanup();
+  return canvas;
+}
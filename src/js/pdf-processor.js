@@ -1,9 +1,131 @@
+import {
+  recompressImage,
+  decodeImageBytes,
+  decodeSampledImage,
+  encodeJpeg,
+} from './image-codec.js';
+import { subsetTrueTypeGlyphs } from './font-subset.js';
+import { parsePageRange } from './page-range.js';
+import {
+  IDENTITY,
+  multiply,
+  parseContentStream,
+  findDrawnXObjects,
+  placedSize,
+  effectiveDpi,
+  decodeStringToken,
+  removeOperations,
+  invert,
+  unitSquareBounds,
+} from './content-stream.js';
+import {
+  mapWithConcurrency,
+  throwIfAborted,
+  isAbortError,
+} from './async-utils.js';
+
+// Obrazy tylko nieznacznie powyżej docelowego DPI zostawiamy bez skalowania
+const DPI_TOLERANCE = 1.2;
+// Poziomy jakości (%) w trybie rozmiaru docelowego, od najłagodniejszego
+const QUALITY_LEVELS = [85, 70, 55, 40, 25, 10];
+// Szacunek rozmiaru musi zejść nieco poniżej celu (xref, strumienie obiektów)
+const TARGET_MARGIN = 0.97;
+
+// Filtry, które pdf-lib potrafi zdekodować (decodePDFRawStream)
+const SAMPLE_FILTERS = [
+  'FlateDecode',
+  'LZWDecode',
+  'RunLengthDecode',
+  'ASCIIHexDecode',
+  'ASCII85Decode',
+];
+// Filtry dekodowane przez przeglądarkę (createImageBitmap)
+const BROWSER_FILTERS = ['DCTDecode', 'JPXDecode'];
+// Limit pikseli dla obrazów dekodowanych do próbek (pamięć)
+const MAX_SAMPLED_PIXELS = 50_000_000;
+// Skrócone nazwy filtrów i przestrzeni barw w obrazach inline
+const INLINE_ABBREVIATIONS = {
+  AHx: 'ASCIIHexDecode',
+  A85: 'ASCII85Decode',
+  LZW: 'LZWDecode',
+  Fl: 'FlateDecode',
+  RL: 'RunLengthDecode',
+  CCF: 'CCITTFaxDecode',
+  DCT: 'DCTDecode',
+  G: 'DeviceGray',
+  RGB: 'DeviceRGB',
+  CMYK: 'DeviceCMYK',
+  I: 'Indexed',
+};
+// Operatory wypisujące tekst (ostatni operand to napis, TJ: tablica)
+const TEXT_SHOWING_OPS = ['Tj', 'TJ', "'", '"'];
+
+// Kategorie usuwane przez sanitizePDF (kolejność = kolejność usuwania)
+export const SANITIZE_CATEGORIES = [
+  'metadata',
+  'thumbnails',
+  'javascript',
+  'embeddedFiles',
+  'pieceInfo',
+];
+
+/**
+ * FNV-1a (32 bit) – szybki skrót do grupowania identycznych strumieni
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function hashBytes(bytes) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) {
+    hash ^= bytes[i];
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+const sameBytes = (a, b) =>
+  a.length === b.length && a.every((value, i) => value === b[i]);
+
+/**
+ * Przenieś cele zakładek (readOutline()) na nowe numery stron
+ * Zakładki, których strona nie przechodzi (mapPage zwraca undefined), są
+ * pomijane, chyba że mają pasujące zakładki potomne (zostają wtedy bez celu).
+ * @param {Array} items - readOutline()-shaped tree
+ * @param {(pageIndex: number) => number|undefined} mapPage
+ * @returns {Array}
+ */
+function remapOutline(items, mapPage) {
+  return items.flatMap(item => {
+    const children = remapOutline(item.children, mapPage);
+    if (item.pageIndex === null) return [{ ...item, children }];
+    const pageIndex = mapPage(item.pageIndex);
+    if (pageIndex !== undefined) return [{ ...item, pageIndex, children }];
+    return children.length > 0 ? [{ ...item, pageIndex: null, children }] : [];
+  });
+}
+
+/**
+ * Przesuń numery stron drzewa zakładek (readOutline()) o offset
+ * Cele poza 0..pageCount-1 są traktowane jak w remapOutline().
+ * @param {Array} items - readOutline()-shaped tree
+ * @param {number} offset
+ * @param {number} [pageCount]
+ * @returns {Array}
+ */
+function shiftOutline(items, offset, pageCount = Infinity) {
+  return remapOutline(items, pageIndex => {
+    const shifted = pageIndex + offset;
+    return shifted >= 0 && shifted < pageCount ? shifted : undefined;
+  });
+}
+
 export class PDFProcessor {
   constructor() {
     this.PDFLib = null;
     this.initialized = false;
     this._textEncoder = null;
     this._textDecoder = null;
+    this.workerPool = null;
   }
 
   async initialize() {
@@ -111,6 +233,19 @@ export class PDFProcessor {
     }
   }
 
+  /**
+   * Rozmiary stron tak, jak są wyświetlane (z uwzględnieniem /Rotate)
+   * @param {PDFDocument} pdfDoc
+   * @returns {Array<{ width: number, height: number }>} W punktach
+   */
+  getPageSizes(pdfDoc) {
+    return pdfDoc.getPages().map(page => {
+      const { width, height } = page.getSize();
+      const quarterTurn = page.getRotation().angle % 180 !== 0;
+      return quarterTurn ? { width: height, height: width } : { width, height };
+    });
+  }
+
   /**
    * Prosta estymacja oszczędności
    */
@@ -186,129 +321,303 @@ export class PDFProcessor {
     }
   }
 
+  /**
+   * Obiekty pośrednie, z których korzysta strona (treść, zasoby, adnotacje);
+   * bez /Parent i bez odwołań do innych stron (np. celów linków)
+   * @param {PDFDocument} pdfDoc
+   * @param {PDFPage} page
+   * @returns {Set<PDFRef>} Razem z referencją samej strony
+   */
+  collectPageObjects(pdfDoc, page) {
+    const { PDFName, PDFDict, PDFArray, PDFRef, PDFStream } = this.PDFLib;
+    const pageTypes = [PDFName.of('Page'), PDFName.of('Pages')];
+    const parentKey = PDFName.of('Parent');
+    const seen = new Set([page.ref]);
+    // Zasoby mogą być dziedziczone z węzła /Pages
+    const stack = [page.node, page.node.Resources()];
+    while (stack.length > 0) {
+      let obj = stack.pop();
+      if (obj instanceof PDFRef) {
+        if (seen.has(obj)) continue;
+        const target = pdfDoc.context.lookup(obj);
+        const dict = target instanceof PDFStream ? target.dict : target;
+        if (
+          dict instanceof PDFDict &&
+          pageTypes.includes(dict.get(PDFName.of('Type')))
+        ) {
+          continue;
+        }
+        seen.add(obj);
+        obj = target;
+      }
+      if (obj instanceof PDFStream) obj = obj.dict;
+      if (obj instanceof PDFDict) {
+        obj.entries().forEach(([key, value]) => {
+          if (key !== parentKey) stack.push(value);
+        });
+      } else if (obj instanceof PDFArray) {
+        stack.push(...obj.asArray());
+      }
+    }
+    return seen;
+  }
+
+  /**
+   * Raport widoku "Analyze": lista obrazów i udział stron w rozmiarze pliku.
+   * Rozmiary stron liczone z obiektów, których używa strona (wspólne obiekty
+   * dzielone równo), przeliczone na bajty pliku – to oszacowanie, bo
+   * strumienie obiektów i xref nie należą do żadnej strony.
+   * @param {PDFDocument} pdfDoc
+   * @param {number} [fileSize] - Rozmiar pliku (domyślnie suma obiektów)
+   * @returns {{ totalBytes: number, documentBytes: number, images: Array<Object>, pages: Array<Object> }}
+   *   images: getImageInfo() + { name, pages, filters, colorSpace,
+   *   bitsPerComponent, dpi } (dpi null, gdy obraz nie jest rysowany),
+   *   od największych; pages: { index, bytes, share, imageBytes };
+   *   documentBytes: część pliku niezwiązana ze stronami (katalog, zakładki…)
+   */
+  analyzePDF(pdfDoc, fileSize = 0) {
+    const { PDFName, PDFBool, PDFRawStream } = this.PDFLib;
+    const { context } = pdfDoc;
+    const isImage = obj =>
+      obj instanceof PDFRawStream &&
+      obj.dict.lookup(PDFName.of('Subtype')) === PDFName.of('Image');
+
+    const sizes = new Map();
+    let objectBytes = 0;
+    context.enumerateIndirectObjects().forEach(([ref, obj]) => {
+      const size = obj.sizeInBytes();
+      sizes.set(ref, size);
+      objectBytes += size;
+    });
+    const totalBytes = fileSize || objectBytes;
+    const scale = objectBytes > 0 ? totalBytes / objectBytes : 0;
+
+    // Obiekty wspólne (fonty, logo) dzielone między strony, które ich używają
+    const pageObjects = pdfDoc
+      .getPages()
+      .map(page => this.collectPageObjects(pdfDoc, page));
+    const users = new Map();
+    pageObjects.forEach(refs =>
+      refs.forEach(ref => users.set(ref, (users.get(ref) || 0) + 1))
+    );
+    const pages = pageObjects.map((refs, index) => {
+      let bytes = 0;
+      let imageBytes = 0;
+      refs.forEach(ref => {
+        const part = (sizes.get(ref) || 0) / users.get(ref);
+        bytes += part;
+        if (isImage(context.lookup(ref))) imageBytes += part;
+      });
+      return {
+        index,
+        bytes: Math.round(bytes * scale),
+        share: objectBytes > 0 ? bytes / objectBytes : 0,
+        imageBytes: Math.round(imageBytes * scale),
+      };
+    });
+    const pageBytes = pages.reduce((sum, page) => sum + page.bytes, 0);
+
+    const inlineImages = [];
+    const placements = this.collectImagePlacements(pdfDoc, inlineImages);
+    const images = new Map();
+    this.collectImageXObjects(pdfDoc).forEach(
+      ({ obj, name, xobjDict, pageIndex }) => {
+        const info = this.getImageInfo(obj, xobjDict.get(name));
+        if (!info.id) return;
+        if (!images.has(info.id)) {
+          const { dict } = obj;
+          const imageMask =
+            dict.lookup(PDFName.of('ImageMask')) === PDFBool.True;
+          const placed = placements.get(obj);
+          const dpi = placed
+            ? effectiveDpi(info.width, info.height, placed)
+            : Infinity;
+          images.set(info.id, {
+            ...info,
+            name: name.decodeText(),
+            pages: [],
+            filters: this.getFilterNames(dict),
+            colorSpace: imageMask
+              ? 'ImageMask'
+              : this.describeColorSpace(dict.lookup(PDFName.of('ColorSpace'))),
+            bitsPerComponent: imageMask
+              ? 1
+              : this.numberOf(dict.lookup(PDFName.of('BitsPerComponent'))),
+            dpi: Number.isFinite(dpi) ? Math.round(dpi) : null,
+          });
+        }
+        const entry = images.get(info.id);
+        if (!entry.pages.includes(pageIndex)) entry.pages.push(pageIndex);
+      }
+    );
+    // Obrazy inline (BI…ID…EI) nie mają obiektu – każde wystąpienie osobno
+    const inline = inlineImages.map(({ entry, ctm, pageIndex }, i) => {
+      const info = this.getInlineImageInfo(entry);
+      const dict = entry.operands[0].value;
+      const nameOf = value =>
+        value && value.type === 'name' ? value.value : '';
+      const filter = dict.F ?? dict.Filter;
+      const imageMask = dict.IM === true || dict.ImageMask === true;
+      const space = nameOf(dict.CS ?? dict.ColorSpace);
+      const dpi = effectiveDpi(info.width, info.height, placedSize(ctm));
+      return {
+        ...info,
+        id: `inline-${i + 1}`, // bez podglądu – to nie jest referencja obiektu
+        name: `Inline image ${i + 1}`,
+        pages: [pageIndex],
+        filters: (Array.isArray(filter) ? filter : [filter])
+          .map(nameOf)
+          .filter(Boolean)
+          .map(name => INLINE_ABBREVIATIONS[name] || name),
+        colorSpace: imageMask
+          ? 'ImageMask'
+          : INLINE_ABBREVIATIONS[space] || space || null,
+        bitsPerComponent: imageMask
+          ? 1
+          : (dict.BPC ?? dict.BitsPerComponent ?? null),
+        dpi: Number.isFinite(dpi) ? Math.round(dpi) : null,
+      };
+    });
+
+    return {
+      totalBytes,
+      documentBytes: Math.max(0, totalBytes - pageBytes),
+      images: [...images.values(), ...inline].sort((a, b) => b.size - a.size),
+      pages,
+    };
+  }
+
+  /**
+   * Miniatura obrazu do widoku "Analyze"
+   * @param {PDFDocument} pdfDoc
+   * @param {string} id - Referencja obrazu, np. "12 0 R" (analyzePDF())
+   * @param {number} [maxSize] - Dłuższy bok miniatury w pikselach
+   * @returns {Promise<Blob|null>} JPEG albo null (format nieobsługiwany)
+   */
+  async createImageThumbnail(pdfDoc, id, maxSize = 160) {
+    const { PDFRef, PDFRawStream } = this.PDFLib;
+    const match = /^(\d+) (\d+) R$/.exec(String(id));
+    if (!match) return null;
+    const obj = pdfDoc.context.lookup(
+      PDFRef.of(Number(match[1]), Number(match[2]))
+    );
+    if (!(obj instanceof PDFRawStream)) return null;
+
+    const filters = this.getFilterNames(obj.dict);
+    // JPEG przeglądarka pokaże bez dekodowania (skaluje CSS)
+    if (filters.length === 1 && filters[0] === 'DCTDecode') {
+      return new Blob([obj.contents], { type: 'image/jpeg' });
+    }
+    let bitmap = null;
+    if (filters.length === 1 && BROWSER_FILTERS.includes(filters[0])) {
+      bitmap = await decodeImageBytes(obj.contents);
+    } else {
+      const sampled = this.describeSampledImage(obj);
+      if (sampled) {
+        bitmap = await decodeSampledImage(sampled.samples, sampled.image);
+      }
+    }
+    if (!bitmap) return null;
+    const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+    const bytes = await encodeJpeg(
+      bitmap,
+      Math.max(1, Math.round(bitmap.width * scale)),
+      Math.max(1, Math.round(bitmap.height * scale)),
+      0.8
+    );
+    return bytes ? new Blob([bytes], { type: 'image/jpeg' }) : null;
+  }
+
   /**
    * Split PDF by target size (MB) into multiple documents
-   * Heuristic: add pages to a chunk, save and measure; if > limit, back off last page and start new chunk.
+   * Pages are packed with a size model (bytes of the objects each page uses,
+   * shared fonts/images counted once per part) and every part is saved once
+   * to confirm it fits; the measured/estimated ratio refines the model for the
+   * next parts, and a part that turns out too big is repacked with fewer pages.
+   * @param {Object} [options] - { signal } to cancel between parts
+   * @returns {Promise<Array<{ doc: PDFDocument, bytes: Uint8Array }>>} Parts
+   *   with the bytes of their confirming save, ready to be written as files
    */
-  async splitBySize(pdfDoc, maxSizeMB, progressCallback = null) {
+  async splitBySize(
+    pdfDoc,
+    maxSizeMB,
+    progressCallback = null,
+    { signal } = {}
+  ) {
     const outputs = [];
     try {
-      const limit =
-        Math.max(1, Math.round(Number(maxSizeMB) || 10)) * 1024 * 1024;
+      const limit = Math.max(1, Number(maxSizeMB) || 10) * 1024 * 1024;
       const pageCount = pdfDoc.getPageCount();
-      // Guard: if even the smallest single-page chunk exceeds the limit, abort with clear error
-      const sampleCount = Math.min(5, pageCount);
-      let minSinglePage = Infinity;
-      for (let i = 0; i < sampleCount; i++) {
-        const probe = await this.PDFLib.PDFDocument.create();
-        const [p] = await probe.copyPages(pdfDoc, [i]);
-        probe.addPage(p);
-        const size = (
-          await probe.save({ useObjectStreams: true, addDefaultPage: false })
-        ).length;
-        if (size < minSinglePage) minSinglePage = size;
-      }
-      if (minSinglePage === Infinity)
-        throw new Error('Unable to analyze pages for size-based split');
-      if (minSinglePage > limit) {
-        const mb = (minSinglePage / 1024 / 1024).toFixed(2);
-        const sel = (limit / 1024 / 1024).toFixed(2);
-        const msg =
-          'Minimalny rozmiar części (' +
-          mb +
-          ' MB) przekracza wybrany limit (' +
-          sel +
-          ' MB). Zwiększ limit lub użyj podziału po stronach.';
-        if (progressCallback) progressCallback({ percentage: 0, message: msg });
-        throw new Error(msg);
-      }
+      const sizes = new Map();
+      pdfDoc.context
+        .enumerateIndirectObjects()
+        .forEach(([ref, obj]) => sizes.set(ref, obj.sizeInBytes()));
+      const pageObjects = pdfDoc
+        .getPages()
+        .map(page => this.collectPageObjects(pdfDoc, page));
+      // Nagłówek, katalog, drzewo stron i xref części
+      const overhead = 1024;
+      // Zapas na niedokładność modelu (strumienie obiektów, xref)
+      const budget = limit * 0.98;
+      // Rzeczywisty rozmiar / oszacowanie z ostatniej zapisanej części
+      let ratio = 1;
+
       let start = 0;
-      let part = 0;
       while (start < pageCount) {
-        // Exponential growth to find upper bound, then binary search within [low, high]
-        let low = 1;
-        let high = 1;
-        let bestFitDoc = null;
-        let bestFitPages = 0;
-        // Find an upper bound that exceeds the limit or end of doc
-        while (true) {
-          const candidateEnd = Math.min(start + high, pageCount);
-          const tmp = await this.PDFLib.PDFDocument.create();
-          const indices = [];
-          for (let i = start; i < candidateEnd; i++) indices.push(i);
-          const pages = await tmp.copyPages(pdfDoc, indices);
-          pages.forEach(p => tmp.addPage(p));
-          const size = (
-            await tmp.save({ useObjectStreams: true, addDefaultPage: false })
-          ).length;
-          if (size <= limit && candidateEnd < pageCount) {
-            bestFitDoc = tmp;
-            bestFitPages = candidateEnd - start;
-            low = high + 1;
-            high = Math.min(high * 2, pageCount - start);
-          } else {
-            // Found upper bound (either size>limit or reached end)
-            if (size <= limit) {
-              bestFitDoc = tmp;
-              bestFitPages = candidateEnd - start;
-              low = bestFitPages;
-            } else {
-              // keep tmp for possible binary search highs
-            }
-            break;
-          }
-        }
-        // Binary search in [low, high] to maximize pages under limit
-        let l = Math.max(1, Math.min(low, pageCount - start));
-        let r = Math.max(l, Math.min(high, pageCount - start));
-        while (l <= r) {
-          const mid = Math.floor((l + r) / 2);
-          const candidateEnd = start + mid;
-          const tmp = await this.PDFLib.PDFDocument.create();
-          const indices = [];
-          for (let i = start; i < candidateEnd; i++) indices.push(i);
-          const pages = await tmp.copyPages(pdfDoc, indices);
-          pages.forEach(p => tmp.addPage(p));
-          const size = (
-            await tmp.save({ useObjectStreams: true, addDefaultPage: false })
-          ).length;
-          if (size <= limit) {
-            bestFitDoc = tmp;
-            bestFitPages = mid;
-            l = mid + 1;
-          } else {
-            r = mid - 1;
+        let maxEnd = pageCount;
+        for (;;) {
+          throwIfAborted(signal);
+          const used = new Set();
+          let estimate = overhead;
+          let end = start;
+          while (end < maxEnd) {
+            let extra = 0;
+            pageObjects[end].forEach(ref => {
+              if (!used.has(ref)) extra += sizes.get(ref) || 0;
+            });
+            if (end > start && (estimate + extra) * ratio > budget) break;
+            pageObjects[end].forEach(ref => used.add(ref));
+            estimate += extra;
+            end += 1;
           }
+
+          const partDoc = await this.PDFLib.PDFDocument.create();
+          const copied = await partDoc.copyPages(
+            pdfDoc,
+            Array.from({ length: end - start }, (_, i) => start + i)
+          );
+          copied.forEach(p => partDoc.addPage(p));
+          const bytes = await partDoc.save({
+            useObjectStreams: true,
+            addDefaultPage: false,
+          });
+          const size = bytes.length;
           if (progressCallback) {
-            const pct = Math.min(
-              95,
-              Math.round((candidateEnd / pageCount) * 100)
-            );
             progressCallback({
-              percentage: pct,
-              message: `Packing part ${part + 1}… (${candidateEnd}/${pageCount} pages)`,
+              percentage: Math.min(95, Math.round((end / pageCount) * 100)),
+              message: `Packing part ${outputs.length + 1}… (${end}/${pageCount} pages)`,
             });
           }
+
+          if (size <= limit) {
+            outputs.push({ doc: partDoc, bytes });
+            ratio = size / estimate;
+            start = end;
+            break;
+          }
+          if (end - start === 1) {
+            // Edge: a single page is over the limit
+            const mb = (size / 1024 / 1024).toFixed(2);
+            const sel = (limit / 1024 / 1024).toFixed(2);
+            const msg = `Strona ${start + 1}: minimalny rozmiar części (${mb} MB) przekracza wybrany limit (${sel} MB). Zwiększ limit lub użyj podziału po stronach.`;
+            if (progressCallback)
+              progressCallback({ percentage: 0, message: msg });
+            throw new Error(msg);
+          }
+          // Model niedoszacował: popraw współczynnik i spakuj mniej stron
+          ratio = Math.max(ratio, size / estimate) * 1.02;
+          maxEnd = end - 1;
         }
-        // Edge: if no fit (single page > limit), abort with clear error
-        if (!bestFitDoc || bestFitPages === 0) {
-          const probe = await this.PDFLib.PDFDocument.create();
-          const [p] = await probe.copyPages(pdfDoc, [start]);
-          probe.addPage(p);
-          const oneSize = (
-            await probe.save({ useObjectStreams: true, addDefaultPage: false })
-          ).length;
-          const mb = (oneSize / 1024 / 1024).toFixed(2);
-          const sel = (limit / 1024 / 1024).toFixed(2);
-          const msg = `Strona ${start + 1}: minimalny rozmiar części (${mb} MB) przekracza wybrany limit (${sel} MB). Zwiększ limit lub użyj podziału po stronach.`;
-          if (progressCallback)
-            progressCallback({ percentage: 0, message: msg });
-          throw new Error(msg);
-        } else {
-          outputs.push(bestFitDoc);
-          start += bestFitPages;
-        }
-        part += 1;
       }
       return outputs;
     } catch (e) {
@@ -347,10 +656,18 @@ export class PDFProcessor {
     if (options && options.imageCompression) {
       if (progressCallback)
         progressCallback({ percentage: 10, message: 'Preparing compression…' });
+      // Liczniki obrazów dla widoku wyników (jak w enhanced engine)
+      const stats = {};
       const processedDoc = await this.compressImagesInMainThread(
         pdfDoc,
         options.imageQuality,
-        progressCallback
+        progressCallback,
+        {
+          signal: options.signal,
+          colorMode: options.colorMode,
+          targetDpi: options.targetDpi,
+          stats,
+        }
       );
 
       // Rebuild to drop orphaned image objects after replacements
@@ -367,7 +684,12 @@ export class PDFProcessor {
       } catch (e) {
         console.warn('[PDFProcessor] Compression rebuild skipped:', e);
       }
+      // Scal zduplikowane fonty (i zawęź je, gdy wybrano) jak w enhanced engine
+      targetDoc = await this.optimizePDF(targetDoc, {
+        subsetFonts: options.subsetFonts,
+      });
 
+      throwIfAborted(options.signal);
       if (progressCallback)
         progressCallback({ percentage: 90, message: 'Saving PDF…' });
       const pdfBytes = await targetDoc.save({
@@ -386,6 +708,7 @@ export class PDFProcessor {
         originalFile: file,
         processedFile,
         metadata,
+        stats,
         savings,
         processingTime: Date.now(),
       };
@@ -402,339 +725,1900 @@ export class PDFProcessor {
   }
 
   /**
-   * Kompresja obrazów (tymczasowo no-op z prog. postępu)
+   * Podłącz pulę workerów do rekompresji obrazów (null = praca w głównym wątku)
+   * @param {ImageWorkerPool|null} pool
    */
-  async compressImagesInMainThread(
-    pdfDoc,
-    quality = 70,
-    progressCallback = null
-  ) {
-    try {
-      const { PDFName, PDFDict, PDFArray } = this.PDFLib;
-      const q = Math.max(0.1, Math.min(1, Number(quality) / 100));
-      const totalEstimated =
-        (await this.estimateTotalImagesDeep(pdfDoc).catch(() => 0)) ||
-        (await this.estimateTotalImages(pdfDoc).catch(() => 0));
-      let processedImages = 0;
-      let replacedImages = 0;
+  setWorkerPool(pool) {
+    this.workerPool = pool || null;
+  }
 
-      const getFilters = dict => {
+  /**
+   * Zbiera obrazy (XObject /Image) ze wszystkich stron, z rekurencją do Form XObjects
+   * @param {PDFDocument} pdfDoc
+   * @returns {Array<{ obj: PDFStream, name: PDFName, xobjDict: PDFDict, pageIndex: number }>}
+   */
+  collectImageXObjects(pdfDoc) {
+    const { PDFName, PDFDict } = this.PDFLib;
+    const found = [];
+    const visitedForms = new Set();
+
+    const collectInDict = (dict, pageIndex) => {
+      if (!dict || typeof dict.lookup !== 'function') return;
+      const resources = dict.lookup(PDFName.of('Resources'));
+      if (!(resources instanceof PDFDict)) return;
+      const xobj = resources.lookup(PDFName.of('XObject'));
+      if (!(xobj instanceof PDFDict)) return;
+      for (const name of xobj.keys()) {
         try {
-          const filt = dict.lookup ? dict.lookup(PDFName.of('Filter')) : null;
-          if (!filt) return [];
-          if (filt instanceof PDFArray) {
-            const out = [];
-            for (let i = 0; i < filt.size(); i++) {
-              const n = filt.get(i);
-              out.push(n && n.decodeText ? n.decodeText() : String(n || ''));
-            }
-            return out;
+          const obj = xobj.lookup(name);
+          const subtype =
+            obj && obj.dict ? obj.dict.get(PDFName.of('Subtype')) : null;
+          const subtypeText =
+            subtype && subtype.decodeText
+              ? subtype.decodeText()
+              : String(subtype || '');
+          if (/Form$/i.test(subtypeText)) {
+            // Rekurencja do Form XObject (użyj dict strumienia formularza)
+            if (visitedForms.has(obj)) continue;
+            visitedForms.add(obj);
+            collectInDict(obj.dict, pageIndex);
+          } else if (/Image$/i.test(subtypeText)) {
+            found.push({ obj, name, xobjDict: xobj, pageIndex });
           }
-          return [
-            filt && filt.decodeText ? filt.decodeText() : String(filt || ''),
-          ];
         } catch {
-          return [];
+          // ignore this entry
         }
-      };
+      }
+    };
 
-      const recompressJpeg = async (obj, name, xobjDict) => {
-        try {
-          const widthObj = obj.dict.get(PDFName.of('Width'));
-          const heightObj = obj.dict.get(PDFName.of('Height'));
-          const width = (widthObj && (widthObj.number ?? widthObj.value)) || 0;
-          const height =
-            (heightObj && (heightObj.number ?? heightObj.value)) || 0;
-          let raw = null;
-          try {
-            raw =
-              typeof obj.getContents === 'function' ? obj.getContents() : null;
-          } catch {}
-          if (!raw) {
-            try {
-              raw = obj.contents || null;
-            } catch {}
-          }
-          if (!raw || !width || !height) return false;
-
-          // Heurystyczny downscale przy niskiej jakości i dużych obrazach
-          let scale = 1;
-          if (q <= 0.5) scale = 0.75;
-          if (q <= 0.3) scale = 0.6;
-          const targetW = Math.max(1, Math.floor(width * scale));
-          const targetH = Math.max(1, Math.floor(height * scale));
-
-          const origSize = raw.length || 0;
-          const origBlob = new Blob([raw]);
-          let bmp = null;
-          // Spróbuj bez typu, potem z hintami
-          try {
-            bmp = await createImageBitmap(origBlob);
-          } catch {}
-          if (!bmp) {
-            try {
-              bmp = await createImageBitmap(
-                new Blob([raw], { type: 'image/jpeg' })
-              );
-            } catch {}
-          }
-          if (!bmp) {
-            try {
-              bmp = await createImageBitmap(
-                new Blob([raw], { type: 'image/jp2' })
-              );
-            } catch {}
-          }
-          if (!bmp) {
-            try {
-              bmp = await createImageBitmap(
-                new Blob([raw], { type: 'image/jpx' })
-              );
-            } catch {}
-          }
-          if (!bmp) {
-            try {
-              bmp = await createImageBitmap(
-                new Blob([raw], { type: 'image/png' })
-              );
-            } catch {}
-          }
-          if (!bmp) {
-            return false; // nie dekodujemy – zostaw oryginał
-          }
+    const pageCount = pdfDoc.getPageCount();
+    for (let i = 0; i < pageCount; i++) {
+      const page = pdfDoc.getPage(i);
+      collectInDict(pdfDoc.context.lookup(page.ref, PDFDict), i);
+    }
+    return found;
+  }
 
-          // Prefer OffscreenCanvas if available to avoid main-thread layout overhead
-          let newBlob;
-          try {
-            if (typeof OffscreenCanvas !== 'undefined') {
-              const osc = new OffscreenCanvas(
-                targetW || bmp.width || 1,
-                targetH || bmp.height || 1
-              );
-              const octx = osc.getContext('2d', { alpha: false });
-              octx.drawImage(bmp, 0, 0, osc.width, osc.height);
-              newBlob = await osc.convertToBlob({
-                type: 'image/jpeg',
-                quality: q,
-              });
-            }
-          } catch {}
-          if (!newBlob) {
-            const canvas = document.createElement('canvas');
-            canvas.width = targetW || bmp.width || 1;
-            canvas.height = targetH || bmp.height || 1;
-            const ctx = canvas.getContext('2d', { alpha: false });
-            ctx.drawImage(bmp, 0, 0, canvas.width, canvas.height);
-            newBlob = await new Promise(res =>
-              canvas.toBlob(res, 'image/jpeg', q)
-            );
-          }
-          const newBytes = new Uint8Array(await newBlob.arrayBuffer());
+  /**
+   * Zdekodowana zawartość strumienia (np. FlateDecode) albo null
+   * @param {PDFStream} stream
+   * @returns {Uint8Array|null}
+   */
+  decodeStreamContents(stream) {
+    const { PDFRawStream, decodePDFRawStream } = this.PDFLib;
+    try {
+      if (stream instanceof PDFRawStream) {
+        return decodePDFRawStream(stream).decode();
+      }
+      if (stream && typeof stream.getUnencodedContents === 'function') {
+        return stream.getUnencodedContents();
+      }
+    } catch (e) {
+      console.warn('[PDFProcessor] Cannot decode content stream:', e);
+    }
+    return null;
+  }
+
+  /**
+   * Zawartość strony (wszystkie strumienie /Contents sklejone spacją)
+   * @param {PDFPage} page
+   * @returns {Uint8Array}
+   */
+  getPageContentBytes(page) {
+    const { PDFArray } = this.PDFLib;
+    const contents = page.node.Contents();
+    const streams =
+      contents instanceof PDFArray
+        ? contents.asArray().map(ref => page.doc.context.lookup(ref))
+        : [contents];
+    const chunks = streams
+      .filter(Boolean)
+      .map(stream => this.decodeStreamContents(stream))
+      .filter(Boolean);
+    const total = chunks.reduce((sum, c) => sum + c.length + 1, 0);
+    const out = new Uint8Array(total);
+    let offset = 0;
+    chunks.forEach(chunk => {
+      out.set(chunk, offset);
+      out[offset + chunk.length] = 0x20;
+      offset += chunk.length + 1;
+    });
+    return out;
+  }
 
-          // Jeśli nowy większy, zachowaj oryginał
-          if (!newBytes || (origSize && newBytes.length >= origSize))
-            return false;
+  /**
+   * Gdzie i jak duże rysowane są obrazy: śledzi CTM (q/Q/cm) w treści stron
+   * i Form XObjectach
+   * @param {PDFDocument} pdfDoc
+   * @param {Array} [inlineImages] - Uzupełniana obrazami inline:
+   *   { entry (operacja BI z parseContentStream()), ctm, pageIndex }
+   * @returns {Map<PDFRawStream, { width: number, height: number }>} Największy
+   *   rozmiar umieszczenia obrazu w punktach
+   */
+  collectImagePlacements(pdfDoc, inlineImages = null) {
+    const { PDFName, PDFDict, PDFArray, PDFNumber } = this.PDFLib;
+    const placements = new Map();
+
+    const record = (obj, ctm) => {
+      const size = placedSize(ctm);
+      const prev = placements.get(obj);
+      placements.set(obj, {
+        width: Math.max(size.width, prev ? prev.width : 0),
+        height: Math.max(size.height, prev ? prev.height : 0),
+      });
+    };
 
-          const embedded = await pdfDoc.embedJpg(newBytes);
-          // Zachowaj tę samą nazwę XObject w bieżącym słowniku XObject
-          xobjDict.set(name, embedded.ref);
-          replacedImages += 1;
-          return true;
-        } catch {
-          return false;
+    const walk = (bytes, resources, baseCtm, formPath, pageIndex) => {
+      const xobj =
+        resources instanceof PDFDict
+          ? resources.lookup(PDFName.of('XObject'))
+          : null;
+      if (!(xobj instanceof PDFDict) && !inlineImages) return;
+      const ops = parseContentStream(bytes);
+      findDrawnXObjects(ops, baseCtm).forEach(({ name, ctm, index }) => {
+        if (!name) {
+          // obraz inline – nie ma osobnego strumienia
+          if (inlineImages) {
+            inlineImages.push({ entry: ops[index], ctm, pageIndex });
+          }
+          return;
+        }
+        if (!(xobj instanceof PDFDict)) return;
+        const obj = xobj.lookup(PDFName.of(name));
+        if (!obj || !obj.dict) return;
+        const subtype = obj.dict.lookup(PDFName.of('Subtype'));
+        if (subtype === PDFName.of('Image')) {
+          record(obj, ctm);
+        } else if (subtype === PDFName.of('Form') && !formPath.has(obj)) {
+          // Form XObject: własna macierz /Matrix i (opcjonalnie) własne zasoby
+          const matrix = obj.dict.lookup(PDFName.of('Matrix'));
+          const m =
+            matrix instanceof PDFArray && matrix.size() === 6
+              ? matrix
+                  .asArray()
+                  .map(n => (n instanceof PDFNumber ? n.asNumber() : 0))
+              : IDENTITY;
+          const formResources = obj.dict.lookup(PDFName.of('Resources'));
+          const content = this.decodeStreamContents(obj);
+          if (!content) return;
+          walk(
+            content,
+            formResources instanceof PDFDict ? formResources : resources,
+            multiply(m, ctm),
+            new Set([...formPath, obj]),
+            pageIndex
+          );
         }
+      });
+    };
+
+    const pageCount = pdfDoc.getPageCount();
+    for (let i = 0; i < pageCount; i++) {
+      try {
+        const page = pdfDoc.getPage(i);
+        walk(
+          this.getPageContentBytes(page),
+          page.node.Resources(),
+          IDENTITY,
+          new Set(),
+          i
+        );
+      } catch (e) {
+        console.warn(`[PDFProcessor] Cannot analyze page ${i + 1}:`, e);
+      }
+    }
+    return placements;
+  }
+
+  /**
+   * Wartość liczbowa obiektu PDF (PDFNumber) albo wartość domyślna
+   * @param {PDFObject} obj
+   * @param {number} [fallback]
+   * @returns {number}
+   */
+  numberOf(obj, fallback = 0) {
+    if (obj && typeof obj.asNumber === 'function') return obj.asNumber();
+    return (obj && (obj.number ?? obj.value)) || fallback;
+  }
+
+  /**
+   * Nazwy filtrów strumienia (/Filter jako nazwa lub tablica)
+   * @param {PDFDict} dict
+   * @returns {string[]}
+   */
+  getFilterNames(dict) {
+    const { PDFName, PDFArray } = this.PDFLib;
+    const filter = dict.lookup(PDFName.of('Filter'));
+    if (filter instanceof PDFName) return [filter.decodeText()];
+    if (filter instanceof PDFArray) {
+      return filter
+        .asArray()
+        .map(f => dict.context.lookup(f))
+        .map(f => (f instanceof PDFName ? f.decodeText() : ''));
+    }
+    return [];
+  }
+
+  /**
+   * Przestrzeń barw obrazu jako deskryptor dla image-decoder.js
+   * (ICCBased/Cal* mapowane na Device* wg liczby komponentów)
+   * @param {PDFObject} value - /ColorSpace
+   * @returns {Object|null} { type, base?, hival?, lookup? } albo null (nieobsługiwana)
+   */
+  resolveColorSpace(value, depth = 0) {
+    const { PDFName, PDFArray, PDFRawStream, PDFString, PDFHexString } =
+      this.PDFLib;
+    const byName = {
+      DeviceGray: 'DeviceGray',
+      CalGray: 'DeviceGray',
+      G: 'DeviceGray',
+      DeviceRGB: 'DeviceRGB',
+      CalRGB: 'DeviceRGB',
+      RGB: 'DeviceRGB',
+      DeviceCMYK: 'DeviceCMYK',
+      CMYK: 'DeviceCMYK',
+    };
+    if (value instanceof PDFName) {
+      const type = byName[value.decodeText()];
+      return type ? { type } : null;
+    }
+    if (!(value instanceof PDFArray) || depth > 3 || value.size() === 0) {
+      return null;
+    }
+    const family = value.lookup(0);
+    const familyName = family instanceof PDFName ? family.decodeText() : '';
+    if (familyName === 'CalGray' || familyName === 'CalRGB') {
+      return { type: byName[familyName] };
+    }
+    if (familyName === 'ICCBased') {
+      const profile = value.lookup(1);
+      if (!(profile instanceof PDFRawStream)) return null;
+      const alternate = profile.dict.lookup(PDFName.of('Alternate'));
+      if (alternate) {
+        const resolved = this.resolveColorSpace(alternate, depth + 1);
+        if (resolved) return resolved;
+      }
+      const n = this.numberOf(profile.dict.lookup(PDFName.of('N')));
+      const byCount = { 1: 'DeviceGray', 3: 'DeviceRGB', 4: 'DeviceCMYK' };
+      return byCount[n] ? { type: byCount[n] } : null;
+    }
+    if (familyName === 'Indexed' || familyName === 'I') {
+      const base = this.resolveColorSpace(value.lookup(1), depth + 1);
+      if (!base || base.type === 'Indexed') return null;
+      const table = value.lookup(3);
+      let lookup = null;
+      if (table instanceof PDFString || table instanceof PDFHexString) {
+        lookup = table.asBytes();
+      } else if (table instanceof PDFRawStream) {
+        lookup = this.decodeStreamContents(table);
+      }
+      if (!lookup) return null;
+      return {
+        type: 'Indexed',
+        base,
+        hival: this.numberOf(value.lookup(2)),
+        lookup,
       };
+    }
+    return null;
+  }
 
-      const compressInDict = async (dict, level = 0) => {
-        if (!dict || typeof dict.lookup !== 'function') return;
-        const resources = dict.lookup(PDFName.of('Resources'));
-        if (resources && resources instanceof PDFDict) {
-          const xobj = resources.lookup(PDFName.of('XObject'));
-          if (xobj && xobj instanceof PDFDict) {
-            const keys = xobj.keys();
-            for (const name of keys) {
-              try {
-                const obj = xobj.lookup(name);
-                const subtype =
-                  obj && obj.dict ? obj.dict.get(PDFName.of('Subtype')) : null;
-                const subtypeText =
-                  subtype && subtype.decodeText
-                    ? subtype.decodeText()
-                    : String(subtype || '');
-                if (/Form$/i.test(subtypeText)) {
-                  // Rekurencja do Form XObject (użyj dict strumienia formularza)
-                  await compressInDict(obj.dict, level + 1);
-                } else if (/Image$/i.test(subtypeText)) {
-                  const filters = getFilters(obj.dict || {});
-                  // Spróbuj recompress dla JPEG/JPX/PNG-like (Flate); funkcja sama zdecyduje czy się uda
-                  await recompressJpeg(obj, name, xobj);
-                  processedImages += 1;
-                  if (progressCallback) {
-                    const denom = totalEstimated || '?';
-                    const pct = totalEstimated
-                      ? Math.min(
-                          85,
-                          10 +
-                            Math.floor((processedImages / totalEstimated) * 70)
-                        )
-                      : 10;
-                    progressCallback({
-                      percentage: pct,
-                      message: `Compressing images ${processedImages}/${denom}…`,
-                    });
-                  }
-                }
-              } catch {
-                // ignore this entry
-              }
-            }
-          }
+  /**
+   * Przestrzeń barw do raportu, np. "DeviceRGB", "ICCBased (3)",
+   * "Indexed DeviceRGB", "Separation PANTONE 300 C"
+   * @param {PDFObject} value - /ColorSpace
+   * @returns {string} Pusty napis, gdy brak
+   */
+  describeColorSpace(value) {
+    const { PDFName, PDFArray, PDFStream } = this.PDFLib;
+    if (value instanceof PDFName) return value.decodeText();
+    if (!(value instanceof PDFArray) || value.size() === 0) return '';
+    const family = value.lookup(0);
+    const name = family instanceof PDFName ? family.decodeText() : '';
+    if (name === 'ICCBased') {
+      const profile = value.lookup(1);
+      const n =
+        profile instanceof PDFStream
+          ? this.numberOf(profile.dict.lookup(PDFName.of('N')))
+          : 0;
+      return n ? `ICCBased (${n})` : name;
+    }
+    if (name === 'Indexed' || name === 'I') {
+      return `Indexed ${this.describeColorSpace(value.lookup(1))}`.trim();
+    }
+    if (name === 'Separation') {
+      const colorant = value.lookup(1);
+      return colorant instanceof PDFName
+        ? `${name} ${colorant.decodeText()}`
+        : name;
+    }
+    return name;
+  }
+
+  /**
+   * Przygotuj obraz Flate/LZW/RunLength do dekodowania w image-decoder.js
+   * @param {PDFRawStream} obj - Obraz XObject
+   * @param {Object} [options]
+   * @param {boolean} [options.softMask] - Dołącz /SMask jako image.smask
+   *   (false, gdy maska zostaje przeniesiona bez dekodowania)
+   * @returns {Object|null} { samples, image } albo null (format nieobsługiwany)
+   */
+  describeSampledImage(obj, { softMask = true } = {}) {
+    const { PDFName, PDFArray, PDFDict, PDFRawStream, PDFBool } = this.PDFLib;
+    const { dict } = obj;
+    const filters = this.getFilterNames(dict);
+    if (!filters.every(f => SAMPLE_FILTERS.includes(f))) return null;
+    const imageMask = dict.lookup(PDFName.of('ImageMask'));
+    if (imageMask instanceof PDFBool && imageMask.asBoolean()) return null;
+
+    const width = this.numberOf(dict.lookup(PDFName.of('Width')));
+    const height = this.numberOf(dict.lookup(PDFName.of('Height')));
+    if (!width || !height || width * height > MAX_SAMPLED_PIXELS) return null;
+    const colorSpace = this.resolveColorSpace(
+      dict.lookup(PDFName.of('ColorSpace'))
+    );
+    if (!colorSpace) return null;
+
+    // /Predictor z /DecodeParms (dla tablicy filtrów: ostatni wpis ze słownikiem)
+    let predictor = 1;
+    const parms = dict.lookup(PDFName.of('DecodeParms'));
+    const parmList =
+      parms instanceof PDFArray
+        ? parms.asArray().map(p => dict.context.lookup(p))
+        : [parms];
+    parmList.forEach(p => {
+      if (p instanceof PDFDict) {
+        predictor = this.numberOf(p.lookup(PDFName.of('Predictor')), 1);
+      }
+    });
+
+    const decodeArr = dict.lookup(PDFName.of('Decode'));
+    const decode =
+      decodeArr instanceof PDFArray
+        ? decodeArr.asArray().map(n => this.numberOf(dict.context.lookup(n)))
+        : null;
+
+    const samples =
+      filters.length > 0 ? this.decodeStreamContents(obj) : obj.contents;
+    if (!samples) return null;
+
+    const image = {
+      width,
+      height,
+      bitsPerComponent: this.numberOf(
+        dict.lookup(PDFName.of('BitsPerComponent')),
+        8
+      ),
+      colorSpace,
+      decode,
+      predictor,
+      smask: null,
+      colorKey: this.getColorKey(obj),
+    };
+
+    // SMask → kanał alfa (obraz bez dekodowalnej maski pomijamy)
+    const smask = softMask ? dict.lookup(PDFName.of('SMask')) : null;
+    if (smask instanceof PDFRawStream) {
+      const mask = this.describeSampledImage(smask);
+      if (!mask) return null;
+      image.smask = { ...mask.image, data: mask.samples };
+    }
+    return { samples, image };
+  }
+
+  /**
+   * Maska kluczem koloru (/Mask jako tablica zakresów próbek)
+   * @param {PDFRawStream} obj - Obraz XObject
+   * @returns {number[]|null} [min0 max0 min1 max1 ...] albo null
+   */
+  getColorKey(obj) {
+    const { PDFName, PDFArray } = this.PDFLib;
+    const mask = obj.dict.lookup(PDFName.of('Mask'));
+    if (!(mask instanceof PDFArray)) return null;
+    return mask.asArray().map(n => this.numberOf(obj.dict.context.lookup(n)));
+  }
+
+  /**
+   * Wpisy przezroczystości obrazu przenoszone na obraz po rekompresji:
+   * /SMask i /Mask ze strumieniem maski zostają jako referencje
+   * @param {PDFRawStream} obj - Obraz XObject
+   * @returns {Object|null} { SMask?, Mask? } albo null, gdy obrazu nie da się
+   *   podmienić bez utraty przezroczystości (ImageMask, alfa w JPX)
+   */
+  getCarriedMasks(obj) {
+    const { PDFName, PDFBool, PDFRawStream } = this.PDFLib;
+    const { dict } = obj;
+    const imageMask = dict.lookup(PDFName.of('ImageMask'));
+    if (imageMask instanceof PDFBool && imageMask.asBoolean()) return null;
+    // SMaskInData: kanał alfa zapisany w samym strumieniu JPEG2000
+    if (this.numberOf(dict.lookup(PDFName.of('SMaskInData')))) return null;
+
+    const entries = {};
+    if (dict.lookup(PDFName.of('SMask')) instanceof PDFRawStream) {
+      entries.SMask = dict.get(PDFName.of('SMask'));
+    }
+    if (dict.lookup(PDFName.of('Mask')) instanceof PDFRawStream) {
+      entries.Mask = dict.get(PDFName.of('Mask'));
+    }
+    return entries;
+  }
+
+  /**
+   * Zdekoduj i zakoduj ponownie bajty obrazu – w puli workerów, jeśli jest dostępna
+   * @param {Uint8Array} raw - Oryginalne bajty strumienia
+   * @param {Object} params - { targetWidth, targetHeight, quality, colorMode }
+   * @returns {Promise<Object|null>} Wynik recompressImage() lub null (zostaw oryginał)
+   */
+  async recompressImageBytes(raw, params) {
+    if (this.workerPool) {
+      try {
+        // Kopia, bo bufor oryginału należy do dokumentu i nie może zostać przekazany
+        const copy = raw.slice();
+        const transfer = [copy.buffer];
+        let image = params.image;
+        if (image && image.smask) {
+          const mask = image.smask.data.slice();
+          image = { ...image, smask: { ...image.smask, data: mask.buffer } };
+          transfer.push(mask.buffer);
         }
-      };
+        const reply = await this.workerPool.run(
+          { type: 'recompress', raw: copy.buffer, ...params, image },
+          transfer
+        );
+        const { result } = reply;
+        if (!result) return null;
+        return {
+          ...result,
+          bytes: new Uint8Array(result.bytes),
+          mask: result.mask
+            ? { ...result.mask, bytes: new Uint8Array(result.mask.bytes) }
+            : null,
+        };
+      } catch (e) {
+        console.warn(
+          '[PDFProcessor] Worker recompression failed, using main thread:',
+          e
+        );
+      }
+    }
+    return recompressImage(raw, params);
+  }
 
-      // Przejdź po wszystkich stronach (z rekurencją do Form XObjects)
-      const pageCount = pdfDoc.getPageCount();
-      for (let i = 0; i < pageCount; i++) {
-        const page = pdfDoc.getPage(i);
-        const pageDict = pdfDoc.context.lookup(page.ref, PDFDict);
-        await compressInDict(pageDict, 0);
-        if (progressCallback) {
-          const basePct = totalEstimated
-            ? Math.min(90, 10 + Math.floor(((i + 1) / pageCount) * 70))
-            : 10 + Math.floor(((i + 1) / pageCount) * 70);
-          progressCallback({
-            percentage: basePct,
-            message: `Scanning page ${i + 1}/${pageCount}… (${processedImages}/${totalEstimated} images)`,
+  /**
+   * Strumień obrazu DeviceGray z wyniku encodeGray()/encodeAlpha() (niezarejestrowany)
+   * @param {PDFContext} context
+   * @param {Object} encoded - { bytes, filter, width, height, bitsPerComponent, colorSpace }
+   * @returns {PDFRawStream}
+   */
+  createRawImageStream(context, encoded) {
+    const dict = {
+      Type: 'XObject',
+      Subtype: 'Image',
+      Width: encoded.width,
+      Height: encoded.height,
+      ColorSpace: encoded.colorSpace,
+      BitsPerComponent: encoded.bitsPerComponent,
+    };
+    // Próbki już spakowane w workerze (CompressionStream) albo deflate przez pdf-lib
+    return encoded.filter
+      ? context.stream(encoded.bytes, { ...dict, Filter: encoded.filter })
+      : context.flateStream(encoded.bytes, dict);
+  }
+
+  /**
+   * Osadź wynik recompressImage() jako nowy obraz XObject
+   * @param {PDFDocument} pdfDoc
+   * @param {Object} encoded - { kind: 'jpeg', bytes } lub { kind: 'raw', bytes, filter, width, height, bitsPerComponent, colorSpace };
+   *   opcjonalnie `mask` (wynik encodeAlpha) zapisywany jako nowa /SMask
+   * @param {number} originalLength - Rozmiar oryginalnego strumienia
+   * @param {Object} [masks] - { SMask?, Mask? } wpisy przeniesione z oryginału
+   * @returns {Promise<PDFRef|null>} Referencja albo null, gdy wynik nie jest mniejszy
+   */
+  async embedEncodedImage(pdfDoc, encoded, originalLength, masks = {}) {
+    const { PDFName, JpegEmbedder } = this.PDFLib;
+    const { context } = pdfDoc;
+    const entries = { ...masks };
+    let maskSize = 0;
+    let maskStream = null;
+    if (encoded.mask) {
+      maskStream = this.createRawImageStream(context, encoded.mask);
+      maskSize = maskStream.getContentsSize();
+    }
+
+    if (encoded.kind === 'jpeg') {
+      if (maskSize && encoded.bytes.length + maskSize >= originalLength) {
+        return null;
+      }
+      if (maskStream) entries.SMask = context.register(maskStream);
+      // Nie embedJpg: ten zapisuje strumień dopiero przy save(), a maski
+      // i deduplikacja potrzebują obiektu w kontekście od razu
+      const embedder = await JpegEmbedder.for(encoded.bytes);
+      const ref = await embedder.embedIntoContext(context);
+      const image = context.lookup(ref);
+      Object.entries(entries).forEach(([key, value]) =>
+        image.dict.set(PDFName.of(key), value)
+      );
+      return ref;
+    }
+
+    const stream = this.createRawImageStream(context, encoded);
+    if (
+      originalLength &&
+      stream.getContentsSize() + maskSize >= originalLength
+    ) {
+      return null;
+    }
+    if (maskStream) entries.SMask = context.register(maskStream);
+    Object.entries(entries).forEach(([key, value]) =>
+      stream.dict.set(PDFName.of(key), value)
+    );
+    return context.register(stream);
+  }
+
+  /**
+   * Scal identyczne obrazy XObject (np. papier firmowy osobno na każdej stronie)
+   * w jeden obiekt; powtarzane, bo scalone maski SMask mogą zrównać obrazy
+   * @param {PDFDocument} pdfDoc
+   * @returns {number} Liczba scalonych duplikatów
+   */
+  deduplicateImages(pdfDoc) {
+    const { PDFName, PDFRawStream } = this.PDFLib;
+    let merged = 0;
+    for (let pass = 0; pass < 3; pass++) {
+      const refs = pdfDoc.context
+        .enumerateIndirectObjects()
+        .filter(
+          ([, obj]) =>
+            obj instanceof PDFRawStream &&
+            obj.dict.lookup(PDFName.of('Subtype')) === PDFName.of('Image')
+        )
+        .map(([ref]) => ref);
+      const count = this.mergeIdenticalObjects(pdfDoc, refs);
+      merged += count;
+      if (count === 0) break;
+    }
+    return merged;
+  }
+
+  /**
+   * Dane obrazu potrzebne do ponownego kodowania
+   * @param {PDFRawStream} obj - Image XObject
+   * @returns {{ raw: Uint8Array, width: number, height: number, masks: Object, input: Uint8Array, image: Object|null }|null}
+   *   null for images that stay unchanged (unreadable, unsupported filter or
+   *   mask); `input`/`image` are the samples and their description for
+   *   Flate/LZW/RunLength images, the raw bytes and null for JPEG/JPEG2000
+   */
+  prepareImageForEncoding(obj) {
+    const { PDFName } = this.PDFLib;
+    const width = this.numberOf(obj.dict.get(PDFName.of('Width')));
+    const height = this.numberOf(obj.dict.get(PDFName.of('Height')));
+    let raw = null;
+    try {
+      raw = typeof obj.getContents === 'function' ? obj.getContents() : null;
+    } catch {}
+    if (!raw) {
+      try {
+        raw = obj.contents || null;
+      } catch {}
+    }
+    if (!raw || !width || !height) return null;
+
+    // Przezroczystość: /SMask i /Mask (strumień) przechodzą na nowy obraz
+    // bez zmian, maska kluczem koloru wraca jako nowa /SMask
+    const masks = this.getCarriedMasks(obj);
+    if (!masks) return null;
+
+    // JPEG/JPEG2000 dekoduje przeglądarka; Flate/LZW/RunLength – image-decoder.js
+    const filters = this.getFilterNames(obj.dict);
+    let input = raw;
+    let image = null;
+    if (filters.length === 1 && BROWSER_FILTERS.includes(filters[0])) {
+      // Klucz koloru po stratnym JPEG nie trafiałby w te same próbki
+      if (this.getColorKey(obj)) return null;
+    } else {
+      const sampled = this.describeSampledImage(obj, { softMask: false });
+      if (!sampled) return null;
+      input = sampled.samples;
+      // /SMask ma pierwszeństwo przed /Mask obrazu
+      image = masks.SMask
+        ? { ...sampled.image, colorKey: null }
+        : sampled.image;
+    }
+    return { obj, raw, width, height, masks, input, image };
+  }
+
+  /**
+   * Zakoduj obraz z prepareImageForEncoding() z daną jakością
+   * @param {Object} prepared
+   * @param {number} q - Quality 0.1-1
+   * @param {Object} options - { colorMode, dpi, placements } (placements from
+   *   collectImagePlacements() when dpi > 0)
+   * @returns {Promise<Object|null>} recompressImageBytes() result
+   */
+  async encodePreparedImage(prepared, q, { colorMode, dpi, placements }) {
+    const { obj, raw, width, height, input, image } = prepared;
+    let scale = 1;
+    if (placements) {
+      // Tryb DPI: skaluj tylko obrazy rysowane z rozdzielczością powyżej progu
+      // (obrazy bez znanego umieszczenia zostają bez zmian)
+      const placed = placements.get(obj);
+      const actual = placed ? effectiveDpi(width, height, placed) : 0;
+      if (Number.isFinite(actual) && actual > dpi * DPI_TOLERANCE) {
+        scale = dpi / actual;
+      }
+    } else {
+      // Heurystyczny downscale przy niskiej jakości i dużych obrazach
+      // (bez skalowania dla 1-bit – cienkie linie tekstu by znikały)
+      if (q <= 0.5) scale = 0.75;
+      if (q <= 0.3) scale = 0.6;
+      if (colorMode === 'bilevel') scale = 1;
+    }
+    return this.recompressImageBytes(input, {
+      targetWidth: Math.max(1, Math.floor(width * scale)),
+      targetHeight: Math.max(1, Math.floor(height * scale)),
+      quality: q,
+      colorMode,
+      image,
+      originalLength: raw.length,
+    });
+  }
+
+  /**
+   * Kompresja obrazów: zbiera obrazy, koduje je ponownie (w workerach, gdy są
+   * dostępne) i podmienia tylko te, które po kompresji są mniejsze.
+   * Identyczne obrazy są scalane przed i po kodowaniu, a podmienione oryginały
+   * usuwane z dokumentu.
+   * @param {Object} [options] - { signal } sprawdzany przed każdym obrazem,
+   *   { colorMode: 'color'|'gray'|'bilevel' } tryb kolorów obrazów wynikowych,
+   *   { targetDpi } docelowa rozdzielczość (np. 72/150/300); 0 = skala wg jakości,
+   *   { stats } obiekt uzupełniany licznikami (imagesFound, imagesRecompressed,
+   *   duplicateImagesMerged)
+   */
+  async compressImagesInMainThread(
+    pdfDoc,
+    quality = 70,
+    progressCallback = null,
+    { signal, colorMode = 'color', targetDpi = 0, stats = null } = {}
+  ) {
+    try {
+      const q = Math.max(0.1, Math.min(1, Number(quality) / 100));
+
+      const mergedBefore = this.deduplicateImages(pdfDoc);
+      if (mergedBefore > 0 && progressCallback) {
+        progressCallback({
+          percentage: 10,
+          message: `Merged ${mergedBefore} duplicate images`,
+        });
+      }
+      // Ten sam obraz bywa w wielu słownikach XObject – kodujemy go raz
+      const byObject = new Map();
+      this.collectImageXObjects(pdfDoc).forEach(
+        ({ obj, name, xobjDict, pageIndex }) => {
+          if (!byObject.has(obj))
+            byObject.set(obj, { obj, pageIndex, uses: [] });
+          byObject.get(obj).uses.push({ name, xobjDict });
+        }
+      );
+      const images = [...byObject.values()];
+      const dpi = Math.max(0, Number(targetDpi) || 0);
+      const placements = dpi > 0 ? this.collectImagePlacements(pdfDoc) : null;
+      const total = images.length;
+      let processedImages = 0;
+      let replacedImages = 0;
+
+      const recompressXObject = async ({ obj, uses }) => {
+        try {
+          const prepared = this.prepareImageForEncoding(obj);
+          if (!prepared) return false;
+          const encoded = await this.encodePreparedImage(prepared, q, {
+            colorMode,
+            dpi,
+            placements,
+          });
+          if (!encoded) return false;
+
+          const ref = await this.embedEncodedImage(
+            pdfDoc,
+            encoded,
+            prepared.raw.length,
+            prepared.masks
+          );
+          if (!ref) return false;
+          // Zachowaj te same nazwy XObject we wszystkich słownikach XObject
+          uses.forEach(({ name, xobjDict }) => xobjDict.set(name, ref));
+          replacedImages += 1;
+          return true;
+        } catch {
+          return false;
+        }
+      };
+
+      // Główny wątek: jeden obraz naraz; pula: kilka zadań w kolejce na worker
+      const concurrency = this.workerPool ? this.workerPool.size * 2 : 1;
+      await mapWithConcurrency(images, concurrency, async image => {
+        throwIfAborted(signal);
+        await recompressXObject(image);
+        processedImages += 1;
+        if (progressCallback) {
+          progressCallback({
+            percentage: Math.min(
+              85,
+              10 + Math.floor((processedImages / total) * 70)
+            ),
+            message: `Compressing images ${processedImages}/${total} (page ${image.pageIndex + 1})…`,
+          });
+        }
+      });
+
+      // Nowe obrazy z identycznych pikseli też wskazują jeden obiekt;
+      // podmienione oryginały nie trafiają do zapisu
+      const merged = mergedBefore + this.deduplicateImages(pdfDoc);
+      this.removeUnusedObjects(pdfDoc);
+      if (stats) {
+        stats.imagesFound = total;
+        stats.imagesRecompressed = replacedImages;
+        stats.duplicateImagesMerged = merged;
+      }
+      if (progressCallback) {
+        progressCallback({
+          percentage: 85,
+          message: `Recompressed ${replacedImages}/${total} images, ${merged} duplicates merged`,
+        });
+      }
+      return pdfDoc;
+    } catch (e) {
+      if (isAbortError(e)) throw e;
+      console.warn('[PDFProcessor] compressImagesInMainThread fallback:', e);
+      return pdfDoc;
+    }
+  }
+
+  // Backward-compat API used by tests
+  async compressImages(
+    pdfDoc,
+    quality = 70,
+    progressCallback = null,
+    options = {}
+  ) {
+    try {
+      return await this.compressImagesInMainThread(
+        pdfDoc,
+        quality,
+        progressCallback,
+        options
+      );
+    } catch (e) {
+      if (isAbortError(e)) throw e;
+      throw new Error('Failed to compress images');
+    }
+  }
+
+  /**
+   * Nowy dokument ze stronami w podanej kolejności (zakładka Organize)
+   * Strony pominięte w układzie są usuwane, powtórzone – duplikowane.
+   * Informacje o dokumencie (/Info), metadane XMP i zakładki przechodzą do
+   * nowego dokumentu; zakładka wskazuje pierwsze wystąpienie swojej strony,
+   * zakładki usuniętych stron są pomijane. Formularz (/AcroForm) nie jest
+   * przenoszony.
+   * @param {PDFDocument} pdfDoc
+   * @param {Array<{ index: number, rotation?: number }>|null} layout - 0-based
+   *   page indices in output order; rotation (multiple of 90°) is added to
+   *   the page's /Rotate. null keeps all pages unchanged
+   * @returns {Promise<PDFDocument>}
+   */
+  async organizePages(pdfDoc, layout) {
+    const { PDFDocument, PDFObjectCopier, PDFName, degrees } = this.PDFLib;
+    const pageCount = pdfDoc.getPageCount();
+    const entries =
+      layout || Array.from({ length: pageCount }, (_, index) => ({ index }));
+    if (entries.length === 0) {
+      throw new Error('At least one page must be kept');
+    }
+    entries.forEach(({ index, rotation = 0 }) => {
+      if (!Number.isInteger(index) || index < 0 || index >= pageCount) {
+        throw new Error(`Page ${index + 1} is outside 1-${pageCount}`);
+      }
+      if (rotation % 90 !== 0) {
+        throw new Error(`Rotation must be a multiple of 90°: ${rotation}`);
+      }
+    });
+
+    const newDoc = await PDFDocument.create();
+    // copyPages klonuje słownik strony przy każdym indeksie, więc duplikaty
+    // można obracać niezależnie (zawartość i zasoby są współdzielone)
+    const copied = await newDoc.copyPages(
+      pdfDoc,
+      entries.map(({ index }) => index)
+    );
+    copied.forEach((page, i) => {
+      const rotation = entries[i].rotation || 0;
+      if (rotation) {
+        const angle = (page.getRotation().angle + rotation) % 360;
+        page.setRotation(degrees((angle + 360) % 360));
+      }
+      newDoc.addPage(page);
+    });
+
+    const copier = PDFObjectCopier.for(pdfDoc.context, newDoc.context);
+    newDoc.context.trailerInfo.Info = newDoc.context.register(
+      copier.copy(pdfDoc.getInfoDict())
+    );
+    const metadata = pdfDoc.catalog.get(PDFName.of('Metadata'));
+    if (metadata) {
+      newDoc.catalog.set(PDFName.of('Metadata'), copier.copy(metadata));
+    }
+    const newIndex = new Map();
+    entries.forEach(({ index }, i) => {
+      if (!newIndex.has(index)) newIndex.set(index, i);
+    });
+    this.writeOutline(
+      newDoc,
+      remapOutline(this.readOutline(pdfDoc), index => newIndex.get(index))
+    );
+    return newDoc;
+  }
+
+  /**
+   * Połącz kilka plików PDF w jeden (tryb Merge)
+   * Każdy plik dostaje zakładkę z nazwą pliku; jego własne zakładki są
+   * zachowywane jako jej dzieci.
+   * @param {File[]} files - PDFs in output order
+   * @param {Object} [options] - { keepOutlines } nest the files' own outlines
+   *   (default true), { signal } checked before each file
+   * @param {Function} [progressCallback]
+   * @returns {Promise<PDFDocument>}
+   */
+  async mergePDFs(
+    files,
+    { keepOutlines = true, signal } = {},
+    progressCallback = null
+  ) {
+    if (!files || files.length === 0) throw new Error('No files to merge');
+    if (!this.initialized) {
+      const ok = await this.initialize();
+      if (!ok) throw new Error('PDF libraries not available');
+    }
+    const merged = await this.PDFLib.PDFDocument.create();
+    const outline = [];
+
+    for (const [i, file] of files.entries()) {
+      throwIfAborted(signal);
+      if (progressCallback) {
+        progressCallback({
+          percentage: Math.round((i / files.length) * 90),
+          message: `Merging ${file.name} (${i + 1}/${files.length})`,
+        });
+      }
+      const { pdfDoc } = await this.loadPDF(file);
+      const offset = merged.getPageCount();
+      const copied = await merged.copyPages(pdfDoc, pdfDoc.getPageIndices());
+      copied.forEach(page => merged.addPage(page));
+      outline.push({
+        title: file.name.replace(/\.pdf$/i, ''),
+        pageIndex: offset,
+        view: null,
+        children: keepOutlines
+          ? shiftOutline(this.readOutline(pdfDoc), offset)
+          : [],
+      });
+    }
+    this.writeOutline(merged, outline);
+    return merged;
+  }
+
+  /**
+   * Podział według zakładek: jeden plik na zakładkę najwyższego poziomu
+   * albo do wybranej głębokości
+   * @param {PDFDocument} pdfDoc
+   * @param {number} [depth] - 1 = top-level bookmarks; 2 also splits each
+   *   chapter at its sections, and so on
+   * @param {Function} [progressCallback]
+   * @param {Object} [options] - { signal } checked before each part
+   * @returns {Promise<Array<{ title: string, doc: PDFDocument }>>} Parts in
+   *   page order, each with the bookmarks that fall inside it; pages before
+   *   the first bookmark become a "Front matter" part
+   * @throws {Error} When no bookmark points at a page of the document
+   */
+  async splitByOutline(
+    pdfDoc,
+    depth = 1,
+    progressCallback = null,
+    { signal } = {}
+  ) {
+    const pageCount = pdfDoc.getPageCount();
+    const maxLevel = Math.max(1, Number(depth) | 0);
+    const sections = [];
+    const collect = (items, level) => {
+      items.forEach(item => {
+        if (item.pageIndex !== null) {
+          sections.push({ ...item, level });
+        }
+        if (level < maxLevel) collect(item.children, level + 1);
+      });
+    };
+    collect(this.readOutline(pdfDoc), 1);
+    if (sections.length === 0) {
+      throw new Error('This PDF has no bookmarks to split by');
+    }
+
+    // Zakładki bywają w innej kolejności niż strony; przy wspólnej stronie
+    // startowej wygrywa płytsza (rozdział zaczynający się od podrozdziału
+    // zachowuje swój tytuł i zakładki potomne)
+    sections.sort((a, b) => a.pageIndex - b.pageIndex || a.level - b.level);
+    const starts = sections.filter(
+      (section, i) => i === 0 || section.pageIndex !== sections[i - 1].pageIndex
+    );
+    if (starts[0].pageIndex > 0) {
+      starts.unshift({ title: 'Front matter', pageIndex: 0, children: [] });
+    }
+
+    const parts = [];
+    for (const [i, section] of starts.entries()) {
+      throwIfAborted(signal);
+      const start = section.pageIndex;
+      const end = i + 1 < starts.length ? starts[i + 1].pageIndex : pageCount;
+      const doc = await this.organizePages(
+        pdfDoc,
+        Array.from({ length: end - start }, (_, k) => ({ index: start + k }))
+      );
+      this.writeOutline(
+        doc,
+        shiftOutline(section.children, -start, end - start)
+      );
+      parts.push({ title: section.title, doc });
+      if (progressCallback) {
+        progressCallback({
+          percentage: Math.min(95, Math.round((end / pageCount) * 100)),
+          message: `Splitting by bookmarks (${parts.length}/${starts.length})`,
+        });
+      }
+    }
+    return parts;
+  }
+
+  /**
+   * Podział na stronach rozdzielających (np. pustych kartkach między
+   * skanowanymi dokumentami)
+   * @param {PDFDocument} pdfDoc
+   * @param {number[]} separators - 0-based pages (see findSeparatorPages())
+   * @param {Object} [options] - { dropSeparators } leaves the separators out;
+   *   otherwise each one becomes the first page of the next part
+   * @param {Function} [progressCallback]
+   * @param {Object} [runOptions] - { signal } checked before each part
+   * @returns {Promise<PDFDocument[]>} Parts in page order; parts left without
+   *   pages (e.g. two separators in a row) are skipped
+   * @throws {Error} When there are no separators or nothing but separators
+   */
+  async splitAtPages(
+    pdfDoc,
+    separators,
+    { dropSeparators = true } = {},
+    progressCallback = null,
+    { signal } = {}
+  ) {
+    const pageCount = pdfDoc.getPageCount();
+    const isSeparator = new Set(separators);
+    if (isSeparator.size === 0) {
+      throw new Error('No separator pages found');
+    }
+    const groups = [[]];
+    for (let index = 0; index < pageCount; index++) {
+      if (isSeparator.has(index)) groups.push([]);
+      if (!isSeparator.has(index) || !dropSeparators) {
+        groups[groups.length - 1].push({ index });
+      }
+    }
+    const layouts = groups.filter(group => group.length > 0);
+    if (layouts.length === 0) {
+      throw new Error('Every page is a separator page');
+    }
+
+    const parts = [];
+    for (const layout of layouts) {
+      throwIfAborted(signal);
+      parts.push(await this.organizePages(pdfDoc, layout));
+      if (progressCallback) {
+        const last = layout[layout.length - 1].index + 1;
+        progressCallback({
+          percentage: Math.min(95, 50 + Math.round((last / pageCount) * 45)),
+          message: `Splitting at separator pages (${parts.length}/${layouts.length})`,
+        });
+      }
+    }
+    return parts;
+  }
+
+  /**
+   * Zakładki dokumentu (/Outlines) jako drzewo
+   * @param {PDFDocument} pdfDoc
+   * @returns {Array<{ title: string, pageIndex: number|null, view: Array|null,
+   *   children: Array }>} pageIndex is null for bookmarks that do not point
+   *   at a page of this document; view is the rest of the destination
+   *   (e.g. ['XYZ', 0, 792, null])
+   */
+  readOutline(pdfDoc) {
+    const { PDFName, PDFDict, PDFArray, PDFRef, PDFNumber, PDFNull } =
+      this.PDFLib;
+    const { catalog, context } = pdfDoc;
+    const root = catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict);
+    if (!root) return [];
+    const pageIndexByRef = new Map(
+      pdfDoc.getPages().map((page, i) => [page.ref.toString(), i])
+    );
+    const text = value =>
+      typeof value?.decodeText === 'function' ? value.decodeText() : '';
+
+    // Nazwane cele: /Dests w katalogu (nazwy) lub drzewo /Names /Dests (napisy)
+    const findInNameTree = (node, key, depth = 0) => {
+      if (!(node instanceof PDFDict) || depth > 32) return undefined;
+      const names = node.lookupMaybe(PDFName.of('Names'), PDFArray);
+      if (names) {
+        for (let i = 0; i + 1 < names.size(); i += 2) {
+          if (text(names.lookup(i)) === key) return names.lookup(i + 1);
+        }
+      }
+      const kids = node.lookupMaybe(PDFName.of('Kids'), PDFArray);
+      for (let i = 0; kids && i < kids.size(); i++) {
+        const found = findInNameTree(kids.lookup(i), key, depth + 1);
+        if (found !== undefined) return found;
+      }
+      return undefined;
+    };
+    const resolveNamed = dest => {
+      if (dest instanceof PDFName) {
+        return catalog.lookupMaybe(PDFName.of('Dests'), PDFDict)?.lookup(dest);
+      }
+      const tree = catalog
+        .lookupMaybe(PDFName.of('Names'), PDFDict)
+        ?.lookupMaybe(PDFName.of('Dests'), PDFDict);
+      return findInNameTree(tree, text(dest));
+    };
+    const readView = values =>
+      values.map(value => {
+        if (value instanceof PDFName) return value.decodeText();
+        if (value instanceof PDFNumber) return value.asNumber();
+        if (value === PDFNull) return null;
+        throw new Error('Unsupported destination');
+      });
+    const resolveDest = (dest, depth = 0) => {
+      if (depth > 2 || dest === undefined) return { pageIndex: null };
+      if (dest instanceof PDFDict) {
+        return resolveDest(dest.lookup(PDFName.of('D')), depth + 1);
+      }
+      if (!(dest instanceof PDFArray)) {
+        return resolveDest(resolveNamed(dest), depth + 1);
+      }
+      const [page, ...rest] = dest.asArray();
+      const pageIndex =
+        page instanceof PDFRef ? pageIndexByRef.get(page.toString()) : null;
+      if (pageIndex === undefined || pageIndex === null) {
+        return { pageIndex: null };
+      }
+      try {
+        return { pageIndex, view: readView(rest) };
+      } catch {
+        return { pageIndex, view: null };
+      }
+    };
+    const destinationOf = item => {
+      const dest = item.lookup(PDFName.of('Dest'));
+      if (dest) return resolveDest(dest);
+      const action = item.lookupMaybe(PDFName.of('A'), PDFDict);
+      if (action?.get(PDFName.of('S')) === PDFName.of('GoTo')) {
+        return resolveDest(action.lookup(PDFName.of('D')));
+      }
+      return { pageIndex: null };
+    };
+
+    // Lista First/Next; odwiedzone węzły chronią przed pętlami w uszkodzonych plikach
+    const visited = new Set();
+    const readLevel = parent => {
+      const items = [];
+      let ref = parent.get(PDFName.of('First'));
+      while (ref) {
+        const item = context.lookup(ref);
+        if (!(item instanceof PDFDict) || visited.has(item)) break;
+        visited.add(item);
+        const { pageIndex, view = null } = destinationOf(item);
+        items.push({
+          title: text(item.lookup(PDFName.of('Title'))),
+          pageIndex,
+          view,
+          children: readLevel(item),
+        });
+        ref = item.get(PDFName.of('Next'));
+      }
+      return items;
+    };
+    return readLevel(root);
+  }
+
+  /**
+   * Zastąp zakładki dokumentu (wszystkie zapisywane jako zwinięte)
+   * @param {PDFDocument} pdfDoc
+   * @param {Array} items - readOutline()-shaped tree; view null = 'Fit'
+   */
+  writeOutline(pdfDoc, items) {
+    const { PDFName, PDFHexString, PDFNumber } = this.PDFLib;
+    const { catalog, context } = pdfDoc;
+    const pageRefs = pdfDoc.getPages().map(page => page.ref);
+    if (items.length === 0) {
+      catalog.delete(PDFName.of('Outlines'));
+      return;
+    }
+
+    const writeLevel = (parentRef, levelItems) => {
+      const refs = levelItems.map(() => context.nextRef());
+      levelItems.forEach((item, i) => {
+        const dict = context.obj({
+          Title: PDFHexString.fromText(item.title),
+          Parent: parentRef,
+        });
+        if (i > 0) dict.set(PDFName.of('Prev'), refs[i - 1]);
+        if (i < refs.length - 1) dict.set(PDFName.of('Next'), refs[i + 1]);
+        const pageRef = pageRefs[item.pageIndex];
+        if (pageRef) {
+          const view = item.view?.length ? item.view : ['Fit'];
+          dict.set(PDFName.of('Dest'), context.obj([pageRef, ...view]));
+        }
+        const children = item.children || [];
+        if (children.length > 0) {
+          const [first, last] = writeLevel(refs[i], children);
+          dict.set(PDFName.of('First'), first);
+          dict.set(PDFName.of('Last'), last);
+          // Ujemny /Count = zwinięta zakładka
+          dict.set(PDFName.of('Count'), PDFNumber.of(-children.length));
+        }
+        context.assign(refs[i], dict);
+      });
+      return [refs[0], refs[refs.length - 1]];
+    };
+
+    const rootRef = context.nextRef();
+    const [first, last] = writeLevel(rootRef, items);
+    context.assign(
+      rootRef,
+      context.obj({
+        Type: 'Outlines',
+        First: first,
+        Last: last,
+        Count: items.length,
+      })
+    );
+    catalog.set(PDFName.of('Outlines'), rootRef);
+  }
+
+  async splitByPages(pdfDoc, start, end) {
+    if (!pdfDoc || typeof pdfDoc.getPageCount !== 'function') {
+      throw new Error('Invalid PDF document');
+    }
+    const pageCount = pdfDoc.getPageCount();
+    const from = Math.max(1, Number(start) | 0);
+    const to = Math.max(1, Number(end) | 0);
+    if (from < 1 || to < from || from > pageCount) {
+      throw new Error('Invalid page range');
+    }
+    const newDoc = await this.PDFLib.PDFDocument.create();
+    const copied = await newDoc.copyPages(
+      pdfDoc,
+      Array.from({ length: Math.min(pageCount, to) - from + 1 }, (_, i) => from - 1 + i)
+    );
+    copied.forEach(p => newDoc.addPage(p));
+    return newDoc;
+  }
+
+  /**
+   * Compress to approximate target final size with a quality chosen per image.
+   * Images are ranked by their current size and the largest step down through
+   * QUALITY_LEVELS first, until the estimated size is under the target; every
+   * image is encoded at most once per level and unpacked only for the encode,
+   * keeping just its smallest result. The result is confirmed with a save and
+   * reduced further when the estimate was too optimistic. Modifies pdfDoc in
+   * place.
+   * - targetMB: desired size in megabytes
+   * - options.signal: cancels between images
+   * - options.colorMode, options.targetDpi: see compressImagesInMainThread
+   * - options.stats: filled with the image counters
+   * Returns { processedDoc, qualityUsed, size } – the lowest quality given to
+   * any image (100 when none had to change) and the byte count of the last
+   * confirming save; when the target can't be reached every image ends at its
+   * smallest encoding
+   */
+  async compressToTargetSize(
+    pdfDoc,
+    targetMB,
+    progressCallback = null,
+    { signal, colorMode = 'color', targetDpi = 0, stats = null } = {}
+  ) {
+    const measure = async () =>
+      (await pdfDoc.save({ useObjectStreams: true, addDefaultPage: false }))
+        .length;
+    const targetBytes = Math.max(1, Math.round(Number(targetMB) * 1024 * 1024));
+
+    // Quick early exit: if saving now is already <= target, return as-is
+    let bytes;
+    try {
+      bytes = await measure();
+    } catch {
+      bytes = Infinity;
+    }
+    if (bytes <= targetBytes) {
+      return { processedDoc: pdfDoc, qualityUsed: 100, size: bytes };
+    }
+
+    let merged = this.deduplicateImages(pdfDoc);
+    const byObject = new Map();
+    this.collectImageXObjects(pdfDoc).forEach(({ obj, name, xobjDict }) => {
+      if (!byObject.has(obj)) byObject.set(obj, []);
+      byObject.get(obj).push({ name, xobjDict });
+    });
+    const dpi = Math.max(0, Number(targetDpi) || 0);
+    const placements = dpi > 0 ? this.collectImagePlacements(pdfDoc) : null;
+    const lastLevel = QUALITY_LEVELS.length - 1;
+    // level: ostatni sprawdzony poziom, best: najmniejszy wynik { level,
+    // encoded, size }, applied: poziom w dokumencie
+    const images = [];
+    byObject.forEach((uses, obj) => {
+      let rawSize = 0;
+      try {
+        rawSize = obj.getContentsSize();
+      } catch {}
+      if (!rawSize) return;
+      images.push({
+        obj,
+        uses,
+        rawSize,
+        size: rawSize,
+        masks: null,
+        level: -1,
+        best: null,
+        applied: -1,
+      });
+    });
+
+    // Rozpakowane próbki żyją tylko w trakcie jednego kodowania (pamięć);
+    // null, gdy wynik nie jest mniejszy od dotychczasowego
+    const encodeLevel = async (entry, level) => {
+      let encoded = null;
+      try {
+        const prepared = this.prepareImageForEncoding(entry.obj);
+        if (!prepared) {
+          // Obraz zostaje bez zmian (nieobsługiwany filtr lub maska)
+          entry.level = lastLevel;
+          return null;
+        }
+        entry.masks = prepared.masks;
+        encoded = await this.encodePreparedImage(
+          prepared,
+          QUALITY_LEVELS[level] / 100,
+          { colorMode, dpi, placements }
+        );
+      } catch (e) {
+        if (isAbortError(e)) throw e;
+      }
+      if (!encoded) return null;
+      const size =
+        encoded.bytes.length + (encoded.mask ? encoded.mask.bytes.length : 0);
+      return size < entry.size ? { level, encoded, size } : null;
+    };
+
+    const concurrency = this.workerPool ? this.workerPool.size * 2 : 1;
+    const startBytes = bytes;
+    let estimate = bytes;
+    let encodes = 0;
+    while (bytes > targetBytes) {
+      while (estimate > targetBytes * TARGET_MARGIN) {
+        const candidates = images
+          .filter(entry => entry.level < lastLevel)
+          .sort((a, b) => b.size - a.size);
+        if (candidates.length === 0) break;
+        // Równolegle (pula workerów) tylko obrazy zbliżone do największego
+        const batch = candidates
+          .filter(entry => entry.size >= candidates[0].size / 2)
+          .slice(0, concurrency);
+        await mapWithConcurrency(batch, concurrency, async entry => {
+          throwIfAborted(signal);
+          entry.level += 1;
+          const result = await encodeLevel(entry, entry.level);
+          encodes += 1;
+          if (!result) return;
+          estimate -= entry.size - result.size;
+          entry.size = result.size;
+          entry.best = result;
+        });
+        if (progressCallback) {
+          const done = (startBytes - estimate) / (startBytes - targetBytes);
+          progressCallback({
+            percentage: 15 + Math.round(Math.min(1, Math.max(0, done)) * 65),
+            message: `Tuning image quality… (${encodes} encodes)`,
+          });
+        }
+      }
+
+      // Podmień obrazy, których wybrany poziom się zmienił, i zmierz wynik
+      for (const entry of images) {
+        if (!entry.best || entry.best.level === entry.applied) continue;
+        const ref = await this.embedEncodedImage(
+          pdfDoc,
+          entry.best.encoded,
+          entry.rawSize,
+          entry.masks
+        );
+        if (!ref) continue;
+        entry.uses.forEach(({ name, xobjDict }) => xobjDict.set(name, ref));
+        entry.applied = entry.best.level;
+        // Wynik jest już w dokumencie
+        entry.best.encoded = null;
+      }
+      merged += this.deduplicateImages(pdfDoc);
+      this.removeUnusedObjects(pdfDoc);
+      bytes = await measure();
+      estimate = bytes;
+      if (!images.some(entry => entry.level < lastLevel)) break;
+    }
+
+    const applied = images.filter(entry => entry.applied >= 0);
+    const qualityUsed = Math.min(
+      100,
+      ...applied.map(entry => QUALITY_LEVELS[entry.applied])
+    );
+    if (progressCallback)
+      progressCallback({
+        percentage: 80,
+        message: `Selected q=${qualityUsed} (${applied.length}/${byObject.size} images)`,
+      });
+    if (stats) {
+      stats.imagesFound = byObject.size;
+      stats.imagesRecompressed = applied.length;
+      stats.duplicateImagesMerged = merged;
+    }
+    return { processedDoc: pdfDoc, qualityUsed, size: bytes };
+  }
+
+  /**
+   * Podmień referencje w całym dokumencie (słowniki, tablice, słowniki strumieni)
+   * @param {PDFDocument} pdfDoc
+   * @param {Map<PDFRef, PDFRef>} mapping - Stara → nowa referencja
+   * @returns {number} Liczba podmienionych wpisów
+   */
+  replaceReferences(pdfDoc, mapping) {
+    const { PDFDict, PDFArray, PDFRef, PDFStream } = this.PDFLib;
+    const { context } = pdfDoc;
+    let replaced = 0;
+    const visit = obj => {
+      if (obj instanceof PDFStream) {
+        visit(obj.dict);
+      } else if (obj instanceof PDFDict) {
+        obj.entries().forEach(([key, value]) => {
+          if (value instanceof PDFRef && mapping.has(value)) {
+            obj.set(key, mapping.get(value));
+            replaced += 1;
+          } else {
+            visit(value);
+          }
+        });
+      } else if (obj instanceof PDFArray) {
+        obj.asArray().forEach((value, i) => {
+          if (value instanceof PDFRef && mapping.has(value)) {
+            obj.set(i, mapping.get(value));
+            replaced += 1;
+          } else {
+            visit(value);
+          }
+        });
+      }
+    };
+    context.enumerateIndirectObjects().forEach(([, obj]) => visit(obj));
+    ['Root', 'Info', 'Encrypt'].forEach(key => {
+      const ref = context.trailerInfo[key];
+      if (ref instanceof PDFRef && mapping.has(ref)) {
+        context.trailerInfo[key] = mapping.get(ref);
+      }
+    });
+    return replaced;
+  }
+
+  /**
+   * Usuń obiekty pośrednie nieosiągalne z trailera (Root/Info/Encrypt),
+   * np. obrazy podmienione przy rekompresji albo scalone duplikaty
+   * @param {PDFDocument} pdfDoc
+   * @returns {number} Liczba usuniętych obiektów
+   */
+  removeUnusedObjects(pdfDoc) {
+    const { PDFDict, PDFArray, PDFRef, PDFStream } = this.PDFLib;
+    const { context } = pdfDoc;
+    const reachable = new Set();
+    const { Root, Info, Encrypt } = context.trailerInfo;
+    const stack = [Root, Info, Encrypt];
+    // Iteracyjnie – głębokie drzewa stron nie przepełnią stosu wywołań
+    while (stack.length > 0) {
+      const obj = stack.pop();
+      if (obj instanceof PDFRef) {
+        if (reachable.has(obj)) continue;
+        reachable.add(obj);
+        stack.push(context.lookup(obj));
+      } else if (obj instanceof PDFStream) {
+        stack.push(obj.dict);
+      } else if (obj instanceof PDFDict) {
+        obj.values().forEach(value => stack.push(value));
+      } else if (obj instanceof PDFArray) {
+        obj.asArray().forEach(value => stack.push(value));
+      }
+    }
+    let removed = 0;
+    context.enumerateIndirectObjects().forEach(([ref]) => {
+      if (!reachable.has(ref)) {
+        context.delete(ref);
+        removed += 1;
+      }
+    });
+    return removed;
+  }
+
+  /**
+   * Scal identyczne obiekty: wszystkie referencje wskazują potem na pierwszy
+   * z nich (strumienie porównywane po słowniku i bajtach zawartości),
+   * a zbędne kopie są usuwane z kontekstu
+   * @param {PDFDocument} pdfDoc
+   * @param {PDFRef[]} refs - Kandydaci do scalenia
+   * @returns {number} Liczba scalonych (zbędnych) obiektów
+   */
+  mergeIdenticalObjects(pdfDoc, refs) {
+    const { PDFRawStream } = this.PDFLib;
+    const { context } = pdfDoc;
+    const groups = new Map();
+    const mapping = new Map();
+    refs.forEach(ref => {
+      const obj = context.lookup(ref);
+      if (!obj) return;
+      const isStream = obj instanceof PDFRawStream;
+      const key = isStream
+        ? `${obj.dict.toString()}#${hashBytes(obj.contents)}`
+        : obj.toString();
+      const candidates = groups.get(key) || [];
+      const same = candidates.find(
+        c => !isStream || sameBytes(c.obj.contents, obj.contents)
+      );
+      if (same) {
+        mapping.set(ref, same.ref);
+      } else {
+        candidates.push({ ref, obj });
+        groups.set(key, candidates);
+      }
+    });
+    if (mapping.size > 0) {
+      this.replaceReferences(pdfDoc, mapping);
+      mapping.forEach((_, ref) => context.delete(ref));
+    }
+    return mapping.size;
+  }
+
+  /**
+   * Scal zduplikowane fonty (np. z dokumentów sklejonych z osobnych eksportów):
+   * najpierw programy fontów i ToUnicode, potem deskryptory, fonty CID i słowniki
+   * fontów, które po poprzednim kroku stały się identyczne
+   * @param {PDFDocument} pdfDoc
+   * @returns {number} Liczba scalonych obiektów
+   */
+  deduplicateFonts(pdfDoc) {
+    const { PDFName, PDFDict, PDFRef } = this.PDFLib;
+    const { context } = pdfDoc;
+    const typeOf = obj =>
+      obj instanceof PDFDict ? obj.lookup(PDFName.of('Type')) : null;
+    const isCIDFont = obj =>
+      ['CIDFontType0', 'CIDFontType2'].some(
+        name => obj.lookup(PDFName.of('Subtype')) === PDFName.of(name)
+      );
+    const refsOf = predicate =>
+      context
+        .enumerateIndirectObjects()
+        .filter(([, obj]) => predicate(obj))
+        .map(([ref]) => ref);
+
+    const streams = new Set();
+    context.enumerateIndirectObjects().forEach(([, obj]) => {
+      const type = typeOf(obj);
+      const keys =
+        type === PDFName.of('FontDescriptor')
+          ? ['FontFile', 'FontFile2', 'FontFile3']
+          : type === PDFName.of('Font')
+            ? ['ToUnicode']
+            : [];
+      keys.forEach(key => {
+        const ref = obj.get(PDFName.of(key));
+        if (ref instanceof PDFRef) streams.add(ref);
+      });
+    });
+
+    const isFont = obj => typeOf(obj) === PDFName.of('Font');
+    let merged = this.mergeIdenticalObjects(pdfDoc, [...streams]);
+    merged += this.mergeIdenticalObjects(
+      pdfDoc,
+      refsOf(obj => typeOf(obj) === PDFName.of('FontDescriptor'))
+    );
+    merged += this.mergeIdenticalObjects(
+      pdfDoc,
+      refsOf(obj => isFont(obj) && isCIDFont(obj))
+    );
+    merged += this.mergeIdenticalObjects(
+      pdfDoc,
+      refsOf(obj => isFont(obj) && !isCIDFont(obj))
+    );
+    return merged;
+  }
+
+  /**
+   * Kody znaków użyte przez każdy font: treść stron, Form XObjecty, wzorce,
+   * grupy SMask, wyglądy adnotacji i glify fontów Type3
+   * @param {PDFDocument} pdfDoc
+   * @returns {{ used: Map<PDFDict, Set<number>>, unsafe: Set<PDFDict>, complete: boolean }}
+   *   `used` obejmuje każdy font z przejrzanych zasobów (także bez tekstu);
+   *   `unsafe` – fonty, których użycia nie da się ustalić (AcroForm, ExtGState);
+   *   `complete` jest false, gdy tekst pojawia się bez wybranego fontu (Tf)
+   */
+  collectFontUsage(pdfDoc) {
+    const { PDFName, PDFDict, PDFArray, PDFStream } = this.PDFLib;
+    const used = new Map();
+    const unsafe = new Set();
+    const visited = new Set();
+    let complete = true;
+
+    const dictIn = (dict, key) => {
+      const value =
+        dict instanceof PDFDict ? dict.lookup(PDFName.of(key)) : null;
+      return value instanceof PDFDict ? value : null;
+    };
+    const codesOf = font => {
+      if (!used.has(font)) used.set(font, new Set());
+      return used.get(font);
+    };
+
+    const walkStream = (stream, resources) => {
+      if (!(stream instanceof PDFStream) || visited.has(stream)) return;
+      visited.add(stream);
+      const content = this.decodeStreamContents(stream);
+      const own = dictIn(stream.dict, 'Resources');
+      if (content) walk(content, own || resources);
+    };
+
+    const walkResources = resources => {
+      const fonts = dictIn(resources, 'Font');
+      if (fonts) {
+        fonts.values().forEach(ref => {
+          const font = resources.context.lookup(ref);
+          if (!(font instanceof PDFDict)) return;
+          codesOf(font);
+          // Type3: glify to strumienie treści z własnymi zasobami
+          const charProcs = dictIn(font, 'CharProcs');
+          if (charProcs) {
+            const own = dictIn(font, 'Resources') || resources;
+            charProcs
+              .values()
+              .forEach(p => walkStream(font.context.lookup(p), own));
+          }
+        });
+      }
+      [dictIn(resources, 'XObject'), dictIn(resources, 'Pattern')].forEach(
+        dict => {
+          if (!dict) return;
+          dict.values().forEach(value => {
+            const stream = dict.context.lookup(value);
+            // Obrazy nie zawierają tekstu – nie dekodujemy ich
+            const subtype =
+              stream instanceof PDFStream
+                ? stream.dict.lookup(PDFName.of('Subtype'))
+                : null;
+            if (subtype !== PDFName.of('Image')) walkStream(stream, resources);
+          });
+        }
+      );
+      const states = dictIn(resources, 'ExtGState');
+      if (states) {
+        states.values().forEach(ref => {
+          const gs = states.context.lookup(ref);
+          if (!(gs instanceof PDFDict)) return;
+          const fontEntry = gs.lookup(PDFName.of('Font'));
+          if (fontEntry instanceof PDFArray) {
+            unsafe.add(fontEntry.lookup(0));
+          }
+          const smask = dictIn(gs, 'SMask');
+          if (smask) walkStream(smask.lookup(PDFName.of('G')), resources);
+        });
+      }
+    };
+
+    const walk = (bytes, resources) => {
+      walkResources(resources);
+      const fonts = dictIn(resources, 'Font');
+      const stack = [];
+      let font = null;
+      parseContentStream(bytes).forEach(({ op, operands }) => {
+        if (op === 'q') {
+          stack.push(font);
+        } else if (op === 'Q') {
+          if (stack.length > 0) font = stack.pop();
+        } else if (op === 'Tf') {
+          const name = operands[0];
+          const value =
+            fonts && name && name.type === 'name'
+              ? fonts.lookup(PDFName.of(name.value))
+              : null;
+          font = value instanceof PDFDict ? value : null;
+        } else if (!font && TEXT_SHOWING_OPS.includes(op)) {
+          // Font odziedziczony z miejsca wywołania formularza – nie wiemy który
+          complete = false;
+        } else if (font && TEXT_SHOWING_OPS.includes(op)) {
+          const last = operands[operands.length - 1];
+          const strings =
+            op === 'TJ' ? (Array.isArray(last) ? last : []) : [last];
+          // Type0 (CMap Identity): kody dwubajtowe, fonty proste: jednobajtowe
+          const wide =
+            font.lookup(PDFName.of('Subtype')) === PDFName.of('Type0');
+          const codes = codesOf(font);
+          strings.forEach(token => {
+            if (!token || token.type !== 'string') return;
+            const text = decodeStringToken(bytes, token);
+            for (let i = 0; i < text.length; i += wide ? 2 : 1) {
+              codes.add(wide ? (text[i] << 8) | (text[i + 1] || 0) : text[i]);
+            }
           });
         }
-      }
+      });
+    };
 
-      return pdfDoc;
-    } catch (e) {
-      console.warn('[PDFProcessor] compressImagesInMainThread fallback:', e);
-      return pdfDoc;
+    const pageCount = pdfDoc.getPageCount();
+    for (let i = 0; i < pageCount; i++) {
+      const page = pdfDoc.getPage(i);
+      const resources = page.node.Resources();
+      walk(this.getPageContentBytes(page), resources);
+      // Wygląd adnotacji: /AP /N|/R|/D to strumień albo słownik strumieni
+      const annots = page.node.Annots();
+      (annots ? annots.asArray() : []).forEach(ref => {
+        const ap = dictIn(pdfDoc.context.lookup(ref), 'AP');
+        if (!ap) return;
+        ['N', 'R', 'D'].forEach(key => {
+          const value = ap.lookup(PDFName.of(key));
+          const streams =
+            value instanceof PDFDict
+              ? value.values().map(v => pdfDoc.context.lookup(v))
+              : [value];
+          streams.forEach(stream => walkStream(stream, resources));
+        });
+      });
     }
-  }
 
-  // Backward-compat API used by tests
-  async compressImages(pdfDoc, quality = 70, progressCallback = null) {
-    try {
-      return await this.compressImagesInMainThread(pdfDoc, quality, progressCallback);
-    } catch (_) {
-      throw new Error('Failed to compress images');
+    // Pola formularza generują wygląd z fontów /DR – tych nie zawężamy
+    const acroForm = dictIn(pdfDoc.catalog, 'AcroForm');
+    const formFonts = dictIn(dictIn(acroForm, 'DR'), 'Font');
+    if (formFonts) {
+      formFonts.values().forEach(ref => unsafe.add(pdfDoc.context.lookup(ref)));
     }
+    return { used, unsafe, complete };
   }
 
-  async splitByPages(pdfDoc, start, end) {
-    if (!pdfDoc || typeof pdfDoc.getPageCount !== 'function') {
-      throw new Error('Invalid PDF document');
-    }
-    const pageCount = pdfDoc.getPageCount();
-    const from = Math.max(1, Number(start) | 0);
-    const to = Math.max(1, Number(end) | 0);
-    if (from < 1 || to < from || from > pageCount) {
-      throw new Error('Invalid page range');
+  /**
+   * Program TrueType (FontFile2) fontu i mapowanie kodów na glify
+   * @param {PDFDict} font
+   * @returns {{ fileRef: PDFRef|null, toGlyph: Function|null }} `toGlyph` jest
+   *   null, gdy fontu nie da się bezpiecznie zawęzić (obsługiwane: Type0 z CMap
+   *   Identity-H/V i CIDFontType2)
+   */
+  getFontFileTarget(font) {
+    const { PDFName, PDFDict, PDFArray, PDFRef, PDFRawStream } = this.PDFLib;
+    const isType0 = font.lookup(PDFName.of('Subtype')) === PDFName.of('Type0');
+    let owner = font;
+    if (isType0) {
+      const descendants = font.lookup(PDFName.of('DescendantFonts'));
+      owner = descendants instanceof PDFArray ? descendants.lookup(0) : null;
     }
-    const newDoc = await this.PDFLib.PDFDocument.create();
-    const copied = await newDoc.copyPages(
-      pdfDoc,
-      Array.from({ length: Math.min(pageCount, to) - from + 1 }, (_, i) => from - 1 + i)
+    const descriptor =
+      owner instanceof PDFDict
+        ? owner.lookup(PDFName.of('FontDescriptor'))
+        : null;
+    const file =
+      descriptor instanceof PDFDict
+        ? descriptor.get(PDFName.of('FontFile2'))
+        : null;
+    const fileRef = file instanceof PDFRef ? file : null;
+    if (!fileRef || !isType0) return { fileRef, toGlyph: null };
+
+    const encoding = font.lookup(PDFName.of('Encoding'));
+    const identity = ['Identity-H', 'Identity-V'].some(
+      name => encoding === PDFName.of(name)
     );
-    copied.forEach(p => newDoc.addPage(p));
-    return newDoc;
+    const subtype = owner.lookup(PDFName.of('Subtype'));
+    if (!identity || subtype !== PDFName.of('CIDFontType2')) {
+      return { fileRef, toGlyph: null };
+    }
+    // CIDToGIDMap: brak/Identity → GID = CID; strumień → tablica 2-bajtowa
+    const map = owner.lookup(PDFName.of('CIDToGIDMap'));
+    if (map instanceof PDFRawStream) {
+      const table = this.decodeStreamContents(map);
+      if (!table) return { fileRef, toGlyph: null };
+      return {
+        fileRef,
+        toGlyph: cid =>
+          ((table[cid * 2] || 0) << 8) | (table[cid * 2 + 1] || 0),
+      };
+    }
+    if (map && map !== PDFName.of('Identity')) {
+      return { fileRef, toGlyph: null };
+    }
+    return { fileRef, toGlyph: cid => cid };
   }
 
   /**
-   * Compress to approximate target final size using bounded binary search over JPEG quality.
-   * - targetMB: desired size in megabytes
-   * Returns { processedDoc, qualityUsed }
+   * Zawęź osadzone fonty TrueType do glifów użytych w dokumencie
+   * (font-subset.js; nieużyte glify są opróżniane, numeracja zostaje)
+   * @param {PDFDocument} pdfDoc
+   * @returns {number} Liczba zmniejszonych programów fontów
    */
-  async compressToTargetSize(pdfDoc, targetMB, progressCallback = null) {
-    const cloneDoc = async doc => {
-      const rebuilt = await this.PDFLib.PDFDocument.create();
-      const pc = doc.getPageCount();
-      const pages = await rebuilt.copyPages(
-        doc,
-        Array.from({ length: pc }, (_, i) => i)
+  subsetFonts(pdfDoc) {
+    const { PDFName, PDFDict } = this.PDFLib;
+    const { context } = pdfDoc;
+    const { used, unsafe, complete } = this.collectFontUsage(pdfDoc);
+    if (!complete) return 0;
+
+    // Program fontu → glify wszystkich fontów, które go używają
+    // (null: choć jeden z nich jest nieobsługiwany albo nieprzejrzany)
+    const glyphsByFile = new Map();
+    const fonts = new Set(used.keys());
+    context.enumerateIndirectObjects().forEach(([, obj]) => {
+      // Fonty CID (potomne) ocenia się razem z ich fontem Type0
+      const isFont =
+        obj instanceof PDFDict &&
+        obj.lookup(PDFName.of('Type')) === PDFName.of('Font');
+      const subtype = isFont ? obj.lookup(PDFName.of('Subtype')) : null;
+      const isCIDFont = ['CIDFontType0', 'CIDFontType2'].some(
+        name => subtype === PDFName.of(name)
       );
-      pages.forEach(p => rebuilt.addPage(p));
-      return rebuilt;
-    };
+      if (isFont && !isCIDFont) fonts.add(obj);
+    });
+    fonts.forEach(font => {
+      const { fileRef, toGlyph } = this.getFontFileTarget(font);
+      if (!fileRef) return;
+      const codes = used.get(font);
+      if (!toGlyph || !codes || unsafe.has(font)) {
+        glyphsByFile.set(fileRef, null);
+        return;
+      }
+      if (glyphsByFile.get(fileRef) === null) return;
+      const glyphs = glyphsByFile.get(fileRef) || new Set();
+      codes.forEach(code => glyphs.add(toGlyph(code)));
+      glyphsByFile.set(fileRef, glyphs);
+    });
 
-    const targetBytes = Math.max(1, Math.round(Number(targetMB) * 1024 * 1024));
+    let subset = 0;
+    glyphsByFile.forEach((glyphs, fileRef) => {
+      if (!glyphs) return;
+      const program = this.decodeStreamContents(context.lookup(fileRef));
+      const bytes = program && subsetTrueTypeGlyphs(program, glyphs);
+      if (!bytes) return;
+      const stream = context.flateStream(bytes, { Length1: bytes.length });
+      const before = context.lookup(fileRef).getContentsSize();
+      if (stream.getContentsSize() >= before) return;
+      context.assign(fileRef, stream);
+      subset += 1;
+    });
+    return subset;
+  }
 
-    // Quick early exit: if saving now is already <= target, return as-is
-    let baselineBytes;
+  /**
+   * Optymalizacja bezstratna: scala zduplikowane fonty, opcjonalnie zawęża
+   * fonty TrueType do użytych glifów i usuwa nieużywane obiekty
+   * @param {PDFDocument} pdfDoc
+   * @param {Object} [options] - { subsetFonts } zawężanie fontów (domyślnie wyłączone)
+   * @returns {Promise<PDFDocument>}
+   */
+  async optimizePDF(pdfDoc, { subsetFonts = false } = {}) {
+    if (!pdfDoc || !pdfDoc.context || !this.PDFLib) return pdfDoc;
     try {
-      baselineBytes = (
-        await pdfDoc.save({
-          useObjectStreams: true,
-          addDefaultPage: false,
-          compress: true,
-        })
-      ).length;
-    } catch {
-      baselineBytes = Infinity;
-    }
-    if (baselineBytes <= targetBytes) {
-      return { processedDoc: pdfDoc, qualityUsed: 100 };
+      this.deduplicateFonts(pdfDoc);
+      if (subsetFonts) this.subsetFonts(pdfDoc);
+      this.removeUnusedObjects(pdfDoc);
+    } catch (e) {
+      console.warn('[PDFProcessor] optimizePDF skipped:', e);
     }
+    return pdfDoc;
+  }
 
-    let lowQ = 10; // percent
-    let highQ = 90; // conservative upper bound
-    let best = { bytes: Infinity, quality: lowQ, doc: pdfDoc };
-
-    for (let iter = 0; iter < 6; iter++) {
-      // ~6 iters → 64 steps
-      const mid = Math.floor((lowQ + highQ) / 2);
-      if (progressCallback)
-        progressCallback({
-          percentage: 15 + iter * 8,
-          message: `Tuning quality… q=${mid}`,
-        });
-
-      // Work on a fresh clone to avoid cumulative degradation across iterations
-      let working = await cloneDoc(pdfDoc);
-      working = await this.compressImagesInMainThread(working, mid, null);
-      const bytes = (
-        await working.save({
-          useObjectStreams: true,
-          addDefaultPage: false,
-          compress: true,
-        })
-      ).length;
-
-      // Track best candidate not exceeding target; otherwise smallest overall
-      const score =
-        bytes <= targetBytes
-          ? targetBytes - bytes
-          : bytes - targetBytes + 10_000_000;
-      if (score < (best.score ?? Number.POSITIVE_INFINITY)) {
-        best = { bytes, quality: mid, doc: working, score };
-      }
-
-      if (bytes > targetBytes) {
-        // too big → lower quality
-        highQ = Math.max(lowQ, mid - 1);
-      } else {
-        // under or equal → try higher quality but keep candidate
-        lowQ = Math.min(100, mid + 1);
+  /**
+   * Wywołaj fn dla każdego słownika w dokumencie: obiektów pośrednich,
+   * słowników strumieni i słowników zagnieżdżonych bezpośrednio
+   * @param {PDFDocument} pdfDoc
+   * @param {(dict: PDFDict) => void} fn
+   */
+  forEachDict(pdfDoc, fn) {
+    const { PDFDict, PDFArray, PDFStream } = this.PDFLib;
+    const stack = pdfDoc.context.enumerateIndirectObjects().map(([, o]) => o);
+    while (stack.length > 0) {
+      const obj = stack.pop();
+      if (obj instanceof PDFStream) {
+        stack.push(obj.dict);
+      } else if (obj instanceof PDFDict) {
+        fn(obj);
+        obj.values().forEach(value => stack.push(value));
+      } else if (obj instanceof PDFArray) {
+        obj.asArray().forEach(value => stack.push(value));
       }
     }
-
-    if (progressCallback)
-      progressCallback({
-        percentage: 80,
-        message: `Selected q=${best.quality}`,
-      });
-    return { processedDoc: best.doc, qualityUsed: best.quality };
   }
 
   /**
-   * Prosty optimizer (no-op)
+   * Sanityzacja przed wysłaniem dokumentu na zewnątrz: usuwa wybrane kategorie
+   * danych i liczy, ile bajtów zwolniła każda z nich
+   * - metadata: XMP (/Metadata) i słownik /Info
+   * - thumbnails: miniatury stron (/Thumb)
+   * - javascript: /Names /JavaScript, /OpenAction, /AA i akcje /JavaScript
+   * - embeddedFiles: /Names /EmbeddedFiles, /AF i adnotacje FileAttachment
+   * - pieceInfo: dane aplikacji (/PieceInfo)
+   * @param {PDFDocument} pdfDoc
+   * @param {string[]} [categories] - Podzbiór SANITIZE_CATEGORIES
+   * @returns {Object<string, number>} Zwolnione bajty (przed kompresją) na kategorię
    */
-  async optimizePDF(pdfDoc) {
-    return pdfDoc;
+  sanitizePDF(pdfDoc, categories = SANITIZE_CATEGORIES) {
+    const { PDFName, PDFDict, PDFArray } = this.PDFLib;
+    const { context, catalog } = pdfDoc;
+    const key = name => PDFName.of(name);
+    const names = catalog.lookup(key('Names'));
+    const deleteKeys = (...keys) =>
+      this.forEachDict(pdfDoc, dict => keys.forEach(k => dict.delete(key(k))));
+    const isAction = (value, type) =>
+      value instanceof PDFDict && value.lookup(key('S')) === key(type);
+
+    const removers = {
+      metadata: () => {
+        deleteKeys('Metadata');
+        context.trailerInfo.Info = undefined;
+      },
+      thumbnails: () => deleteKeys('Thumb'),
+      javascript: () => {
+        if (names instanceof PDFDict) names.delete(key('JavaScript'));
+        catalog.delete(key('OpenAction'));
+        this.forEachDict(pdfDoc, dict => {
+          dict.delete(key('AA'));
+          if (isAction(dict.lookup(key('A')), 'JavaScript')) {
+            dict.delete(key('A'));
+          }
+        });
+      },
+      embeddedFiles: () => {
+        if (names instanceof PDFDict) names.delete(key('EmbeddedFiles'));
+        deleteKeys('AF');
+        pdfDoc.getPages().forEach(page => {
+          const annots = page.node.Annots();
+          if (!(annots instanceof PDFArray)) return;
+          for (let i = annots.size() - 1; i >= 0; i--) {
+            const annot = annots.lookup(i);
+            if (
+              annot instanceof PDFDict &&
+              annot.lookup(key('Subtype')) === key('FileAttachment')
+            ) {
+              annots.remove(i);
+            }
+          }
+        });
+      },
+      pieceInfo: () => deleteKeys('PieceInfo'),
+    };
+
+    const documentSize = () =>
+      context
+        .enumerateIndirectObjects()
+        .reduce((sum, [, obj]) => sum + obj.sizeInBytes(), 0);
+    // Wcześniejsze sieroty nie mogą zawyżyć pierwszej kategorii
+    this.removeUnusedObjects(pdfDoc);
+    let size = documentSize();
+    const freed = {};
+    categories.forEach(category => {
+      if (!removers[category]) return;
+      removers[category]();
+      this.removeUnusedObjects(pdfDoc);
+      const next = documentSize();
+      freed[category] = size - next;
+      size = next;
+    });
+    return freed;
   }
 
   /**
@@ -748,12 +2632,18 @@ export class PDFProcessor {
       suffix += `-compressed-${options.imageQuality ?? 70}`;
     if (options.removeImages) suffix += '-no-images';
     if (options.splitPDF) suffix += '-split';
+    if (options.sanitize) suffix += '-sanitized';
+    if (options.organizePages) suffix += '-organized';
     const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
     return `${nameWithoutExt}${suffix}-${timestamp}${extension}`;
   }
 
   /**
    * Metoda do usuwania obrazków z PDF
+   * @param {Object} [options] - { signal }, { placeholders } ramki w miejscu
+   *   obrazów, { placeholderCaptions } wymiary obrazu w ramkach,
+   *   { imageFilter } które obrazy usuwać (zob. createImageMatcher(); `pages`
+   *   to zakres stron, np. "2-")
    */
   async removeImages(file, options = {}, progressCallback = null) {
     console.log('removeImages called with:', {
@@ -883,25 +2773,34 @@ export class PDFProcessor {
         throw new Error('Failed to get PDF pages: ' + error.message);
       }
 
-      // Zlicz obrazki
-      let totalImages = 0;
-      for (let i = 0; i < pages.length; i++) {
-        const imageCount = await this.countPageImages(pages[i], pdfDoc, i);
-        totalImages += imageCount;
-      }
-
-      console.log(`Found ${totalImages} total images to remove`);
-
       // Progress: Removing images
       if (progressCallback) {
         progressCallback({
           percent: 30,
-          message: `Removing ${totalImages} images...`,
+          message: 'Removing images...',
         });
       }
 
-      // Usuń obrazki z każdej strony
+      // Filtry: rozmiar, strony, kolor, obrazy odznaczone na liście
+      const filter = options.imageFilter || {};
+      const selectedPages = parsePageRange(filter.pages, pageCount);
+      const matches = this.createImageMatcher(filter);
+
+      // Usuń obrazki z każdej strony (wspólne formularze czyścimy raz);
+      // formularzy ze stron spoza zakresu nie ruszamy. removedImages zbiera
+      // faktycznie usunięte obrazy (filtr może część zostawić)
+      const visitedForms = new Set();
+      const removedImages = new Set();
+      if (selectedPages) {
+        pages.forEach((page, i) => {
+          if (!selectedPages.includes(i)) {
+            this.collectFormRefs(pdfDoc, page.node.Resources(), visitedForms);
+          }
+        });
+      }
       for (let i = 0; i < pages.length; i++) {
+        throwIfAborted(options.signal);
+        if (selectedPages && !selectedPages.includes(i)) continue;
         if (progressCallback) {
           const percent = 30 + Math.round((i / pages.length) * 50);
           progressCallback({
@@ -910,7 +2809,14 @@ export class PDFProcessor {
           });
         }
 
-        await this.removeImagesFromPage(pages[i], pdfDoc, i);
+        await this.removeImagesFromPage(pages[i], pdfDoc, i, {
+          visitedForms,
+          removedImages,
+          placeholders: Boolean(options.placeholders),
+          captions: Boolean(options.placeholderCaptions),
+          matches,
+          isolateResources: Boolean(selectedPages),
+        });
       }
 
       // Progress: Saving
@@ -921,6 +2827,8 @@ export class PDFProcessor {
         });
       }
 
+      throwIfAborted(options.signal);
+
       // Opcjonalna rekonstrukcja dokumentu, aby usunąć osierocone obiekty (np. obrazy)
       let targetDoc = pdfDoc;
       try {
@@ -955,7 +2863,7 @@ export class PDFProcessor {
         originalSize: file.size,
         newSize: pdfBytes.length,
         reduction: ((1 - pdfBytes.length / file.size) * 100).toFixed(2),
-        imagesRemoved: totalImages,
+        imagesRemoved: removedImages.size,
         pageCount: pageCount,
       };
 
@@ -1051,164 +2959,496 @@ export class PDFProcessor {
   }
 
   /**
-   * Usuwa obrazki ze strony z pełną obsługą błędów
+   * Usuwa obrazki ze strony z pełną obsługą błędów: najpierw operatory
+   * rysujące obrazy w treści strony i jej Form XObjectach, potem wpisy
+   * obrazów w słowniku XObject strony
+   * @param {Object} [options]
+   * @param {Set<PDFRef>} [options.visitedForms] - Formularze już oczyszczone
+   *   (wspólne dla stron jednego dokumentu)
+   * @param {boolean} [options.placeholders] - Rysuj jasnoszarą ramkę w miejscu obrazu
+   * @param {boolean} [options.captions] - Dopisz w ramce wymiary obrazu (px)
+   * @param {Function} [options.matches] - Które obrazy usuwać
+   *   (createImageMatcher()); domyślnie wszystkie
+   * @param {boolean} [options.isolateResources] - Daj stronie własną kopię
+   *   zasobów, gdy inne strony (nieprzetwarzane) mogą je współdzielić
+   * @param {Set} [options.removedImages] - Uzupełniany usuniętymi obrazami
+   *   (strumienie XObject i operacje BI obrazów inline)
+   * @returns {Promise<number>} Liczba usuniętych operacji rysujących obrazy
    */
-  async removeImagesFromPage(page, pdfDoc, pageIndex) {
+  async removeImagesFromPage(
+    page,
+    pdfDoc,
+    pageIndex,
+    {
+      visitedForms = new Set(),
+      placeholders = false,
+      captions = false,
+      matches = null,
+      isolateResources = false,
+      removedImages = null,
+    } = {}
+  ) {
     try {
       if (!page || !page.node) {
         console.warn(`Page ${pageIndex} has no node, skipping`);
-        return;
+        return 0;
       }
 
-      const pageDict = page.node;
-      const entries = pageDict.normalizedEntries
-        ? pageDict.normalizedEntries()
-        : {};
-      const resources = entries.Resources;
-
+      let resources = page.node.Resources();
       if (!resources) {
         console.log(`Page ${pageIndex + 1}: No resources found`);
-        return;
+        return 0;
+      }
+      if (isolateResources) {
+        const { PDFName, PDFDict } = this.PDFLib;
+        resources = resources.clone();
+        const xobjects = resources.lookup(PDFName.of('XObject'));
+        if (xobjects instanceof PDFDict) {
+          resources.set(PDFName.of('XObject'), xobjects.clone());
+        }
+        page.node.set(PDFName.of('Resources'), resources);
       }
 
-      // Sprawdź XObjects
-      try {
-        const xobjects = resources.lookup
-          ? resources.lookup(
-              this.PDFLib.PDFName.of('XObject'),
-              this.PDFLib.PDFDict
-            )
-          : null;
-
-        if (xobjects && xobjects.entries) {
-          const newXObjectDict = pdfDoc.context.obj({});
-          const xobjectEntries = xobjects.entries();
-          let hasNonImages = false;
-          let removedCount = 0;
+      // Oczyść content stream (i formularze), zanim znikną wpisy obrazów
+      const removed = await this.cleanContentStream(page, pdfDoc, pageIndex, {
+        visitedForms,
+        placeholders,
+        captions,
+        matches,
+        removedImages,
+      });
+      const dropped = this.removeImageResources(
+        pdfDoc,
+        resources,
+        matches,
+        removedImages
+      );
+      if (dropped > 0) {
+        console.log(`  Removed ${dropped} images from page ${pageIndex + 1}`);
+      }
+      return removed;
+    } catch (error) {
+      console.error(`Error removing images from page ${pageIndex}:`, error);
+      return 0;
+    }
+  }
 
-          for (const [name, ref] of xobjectEntries) {
-            try {
-              const xobject = pdfDoc.context.lookup(ref);
+  /**
+   * Czy obraz jest w skali szarości lub jednobitowy (podpisy, skany)
+   * @param {PDFRawStream} obj - Obraz XObject
+   * @returns {boolean}
+   */
+  isGrayImage(obj) {
+    const { PDFName, PDFBool } = this.PDFLib;
+    const { dict } = obj;
+    if (dict.lookup(PDFName.of('ImageMask')) === PDFBool.True) return true;
+    const space = this.resolveColorSpace(dict.lookup(PDFName.of('ColorSpace')));
+    if (!space) return false;
+    const base = space.type === 'Indexed' ? space.base : space;
+    return base.type === 'DeviceGray';
+  }
 
-              if (xobject && xobject.dict) {
-                const subtype = xobject.dict.get(
-                  this.PDFLib.PDFName.of('Subtype')
-                );
+  /**
+   * Dane obrazu dla filtrów i listy podglądu
+   * @param {PDFRawStream} obj - Obraz XObject
+   * @param {PDFRef} [ref] - Referencja (identyfikator na liście, np. "12 0 R")
+   * @returns {{ id: string|null, width: number, height: number, size: number, gray: boolean }}
+   */
+  getImageInfo(obj, ref = null) {
+    const { PDFName, PDFRef } = this.PDFLib;
+    return {
+      id: ref instanceof PDFRef ? ref.toString() : null,
+      width: this.numberOf(obj.dict.lookup(PDFName.of('Width'))),
+      height: this.numberOf(obj.dict.lookup(PDFName.of('Height'))),
+      size: obj.getContentsSize(),
+      gray: this.isGrayImage(obj),
+    };
+  }
 
-                if (subtype && subtype.encodedName === '/Image') {
-                  // To jest obrazek - pomijamy
-                  removedCount++;
-                  console.log(
-                    `  Removing image: ${name.encodedName} from page ${pageIndex + 1}`
-                  );
-                } else {
-                  // To nie jest obrazek - zachowujemy
-                  newXObjectDict.set(name, ref);
-                  hasNonImages = true;
-                }
-              }
-            } catch (err) {
-              console.warn(
-                `Error processing XObject ${name.encodedName}:`,
-                err
-              );
-            }
-          }
+  /**
+   * Dane obrazu inline (operacja BI z parseContentStream()) dla filtrów
+   * @returns {{ id: null, width: number, height: number, size: number, gray: boolean }}
+   */
+  getInlineImageInfo({ operands, dataStart, dataEnd }) {
+    const dict = operands[0].value;
+    const space = dict.CS ?? dict.ColorSpace;
+    const gray =
+      dict.IM === true ||
+      dict.ImageMask === true ||
+      ['G', 'DeviceGray', 'CalGray'].includes(space?.value);
+    return {
+      id: null,
+      width: dict.W ?? dict.Width ?? 0,
+      height: dict.H ?? dict.Height ?? 0,
+      size: dataEnd - dataStart,
+      gray,
+    };
+  }
 
-          // Aktualizuj XObjects
-          if (hasNonImages) {
-            resources.set(this.PDFLib.PDFName.of('XObject'), newXObjectDict);
-          } else if (resources.delete) {
-            resources.delete(this.PDFLib.PDFName.of('XObject'));
-          }
+  /**
+   * Filtr selektywnego usuwania obrazów; wszystkie ustawione warunki muszą
+   * być spełnione
+   * @param {Object} [filter]
+   * @param {number} [filter.minKB] - Tylko obrazy większe niż N KB (strumień)
+   * @param {number} [filter.minPixels] - Tylko obrazy o dłuższym boku > N px
+   * @param {boolean} [filter.colorOnly] - Zostaw obrazy szare i jednobitowe
+   * @param {string[]} [filter.keepIds] - Obrazy odznaczone na liście podglądu
+   * @returns {(info: Object) => boolean} Dla getImageInfo()/getInlineImageInfo()
+   */
+  createImageMatcher({
+    minKB = 0,
+    minPixels = 0,
+    colorOnly = false,
+    keepIds = [],
+  } = {}) {
+    const keep = new Set(keepIds);
+    const minBytes = Math.max(0, Number(minKB) || 0) * 1024;
+    const minSide = Math.max(0, Number(minPixels) || 0);
+    return ({ id, width, height, size, gray }) =>
+      !(id && keep.has(id)) &&
+      (minBytes === 0 || size > minBytes) &&
+      (minSide === 0 || Math.max(width, height) > minSide) &&
+      !(colorOnly && gray);
+  }
 
-          if (removedCount > 0) {
-            console.log(
-              `  Removed ${removedCount} images from page ${pageIndex + 1}`
-            );
-          }
+  /**
+   * Lista obrazów XObject do podglądu przed usuwaniem
+   * @param {PDFDocument} pdfDoc
+   * @returns {Array<Object>} getImageInfo() + { name, pages } (indeksy od 0)
+   */
+  listImages(pdfDoc) {
+    const images = new Map();
+    this.collectImageXObjects(pdfDoc).forEach(
+      ({ obj, name, xobjDict, pageIndex }) => {
+        const info = this.getImageInfo(obj, xobjDict.get(name));
+        if (!info.id) return;
+        if (!images.has(info.id)) {
+          images.set(info.id, { ...info, name: name.decodeText(), pages: [] });
         }
-      } catch (error) {
-        console.warn(`Error modifying XObjects on page ${pageIndex}:`, error);
+        const entry = images.get(info.id);
+        if (!entry.pages.includes(pageIndex)) entry.pages.push(pageIndex);
       }
+    );
+    return [...images.values()];
+  }
 
-      // Oczyść content stream
-      await this.cleanContentStream(page, pdfDoc, pageIndex);
-    } catch (error) {
-      console.error(`Error removing images from page ${pageIndex}:`, error);
-    }
+  /**
+   * Zbierz referencje Form XObjectów osiągalnych z zasobów (rekurencyjnie)
+   * @param {PDFDocument} pdfDoc
+   * @param {PDFDict} resources
+   * @param {Set<PDFRef>} into
+   */
+  collectFormRefs(pdfDoc, resources, into) {
+    const { PDFName, PDFDict, PDFRef, PDFStream } = this.PDFLib;
+    const xobjects =
+      resources instanceof PDFDict
+        ? resources.lookup(PDFName.of('XObject'))
+        : null;
+    if (!(xobjects instanceof PDFDict)) return;
+    xobjects.values().forEach(value => {
+      if (!(value instanceof PDFRef) || into.has(value)) return;
+      const form = pdfDoc.context.lookup(value);
+      if (
+        !(form instanceof PDFStream) ||
+        form.dict.lookup(PDFName.of('Subtype')) !== PDFName.of('Form')
+      ) {
+        return;
+      }
+      into.add(value);
+      this.collectFormRefs(
+        pdfDoc,
+        form.dict.lookup(PDFName.of('Resources')),
+        into
+      );
+    });
   }
 
   /**
-   * Czyści content stream z odniesień do obrazków
+   * Usuń wpisy obrazów ze słownika /XObject zasobów (formularze zostają)
+   * @param {PDFDocument} pdfDoc
+   * @param {PDFDict} resources
+   * @param {Function} [matches] - Tylko obrazy spełniające filtr
+   * @param {Set} [removedImages] - Uzupełniany usuniętymi obrazami
+   * @returns {number} Liczba usuniętych wpisów
    */
-  async cleanContentStream(page, pdfDoc, pageIndex) {
-    try {
-      if (!page || !page.node) return;
+  removeImageResources(
+    pdfDoc,
+    resources,
+    matches = null,
+    removedImages = null
+  ) {
+    const { PDFName, PDFDict, PDFStream } = this.PDFLib;
+    const xobjects =
+      resources instanceof PDFDict
+        ? resources.lookup(PDFName.of('XObject'))
+        : null;
+    if (!(xobjects instanceof PDFDict)) return 0;
+    let dropped = 0;
+    xobjects.entries().forEach(([name, value]) => {
+      const obj = pdfDoc.context.lookup(value);
+      if (
+        obj instanceof PDFStream &&
+        obj.dict.lookup(PDFName.of('Subtype')) === PDFName.of('Image') &&
+        (!matches || matches(this.getImageInfo(obj, value)))
+      ) {
+        xobjects.delete(name);
+        dropped += 1;
+        if (removedImages) removedImages.add(obj);
+      }
+    });
+    if (xobjects.keys().length === 0) resources.delete(PDFName.of('XObject'));
+    return dropped;
+  }
 
-      const pageDict = page.node;
-      const entries = pageDict.normalizedEntries
-        ? pageDict.normalizedEntries()
-        : {};
-      const contents = entries.Contents;
+  /**
+   * Operatory ramki zastępczej: jasnoszary prostokąt w granicach obrazu
+   * (CTM z chwili rysowania), opcjonalnie z podpisem „W x H px”
+   * @param {number[]} ctm - CTM przy operatorze Do / BI
+   * @param {string|null} caption - Podpis albo null
+   * @param {string|null} fontName - Nazwa fontu w zasobach (dla podpisu)
+   * @returns {string} Operatory; pusty napis dla zdegenerowanej macierzy
+   */
+  placeholderOperators(ctm, caption, fontName) {
+    const inverse = invert(ctm);
+    if (!inverse) return '';
+    // Rysujemy w przestrzeni sprzed CTM obrazu, więc grubość linii nie
+    // skaluje się z obrazem
+    const box = unitSquareBounds(ctm);
+    const fmt = n => String(Number(n.toFixed(4)));
+    const ops = [
+      'q',
+      `${inverse.map(fmt).join(' ')} cm`,
+      '0.75 G 0.5 w [] 0 d',
+      `${[box.x, box.y, box.width, box.height].map(fmt).join(' ')} re S`,
+    ];
+    const size = 8;
+    // Helvetica: średnio ~0.55 em na znak
+    const fits = text =>
+      box.width >= text.length * size * 0.55 + 4 && box.height >= size + 4;
+    if (caption && fontName && fits(caption)) {
+      ops.push(
+        `BT /${fontName} ${size} Tf 0.5 g ${fmt(box.x + 2)} ${fmt(box.y + 3)} Td (${caption}) Tj ET`
+      );
+    }
+    ops.push('Q');
+    return ops.join(' ');
+  }
 
-      if (!contents) return;
+  /**
+   * Font dla podpisów ramek dodany do zasobów (Helvetica, wspólny słownik)
+   * @returns {string} Nazwa fontu w /Font zasobów
+   */
+  addPlaceholderFont(pdfDoc, resources, removal) {
+    const { PDFName, PDFDict } = this.PDFLib;
+    const { context } = pdfDoc;
+    if (!removal.fontRef) {
+      removal.fontRef = context.register(
+        context.obj({
+          Type: 'Font',
+          Subtype: 'Type1',
+          BaseFont: 'Helvetica',
+          Encoding: 'WinAnsiEncoding',
+        })
+      );
+    }
+    let fonts = resources.lookup(PDFName.of('Font'));
+    if (!(fonts instanceof PDFDict)) {
+      fonts = context.obj({});
+      resources.set(PDFName.of('Font'), fonts);
+    }
+    const name = 'ImagePlaceholder';
+    fonts.set(PDFName.of(name), removal.fontRef);
+    return name;
+  }
 
-      let contentStream = '';
+  /**
+   * Wytnij z treści operatory Do rysujące obrazy oraz obrazy inline
+   * (BI…ID…EI) na podstawie tokenizera, nie wyrażeń regularnych: wywołania
+   * Form XObjectów (wykresy, grafika wektorowa, tekst) zostają, a ich treść
+   * jest czyszczona rekurencyjnie
+   * @param {PDFDocument} pdfDoc
+   * @param {Uint8Array} bytes - Zdekodowana treść
+   * @param {PDFDict} resources - Zasoby, w których szukamy nazw z Do
+   * @param {Object} removal - { visitedForms, placeholders, captions, matches?,
+   *   removedImages?, fontRef? }
+   * @returns {{ bytes: Uint8Array, removed: number }}
+   */
+  stripImageOperations(pdfDoc, bytes, resources, removal) {
+    const { PDFName, PDFDict, PDFRef, PDFStream } = this.PDFLib;
+    const { context } = pdfDoc;
+    const { visitedForms } = removal;
+    const xobjects =
+      resources instanceof PDFDict
+        ? resources.lookup(PDFName.of('XObject'))
+        : null;
+    const lookupXObject = name =>
+      xobjects instanceof PDFDict ? xobjects.lookup(PDFName.of(name)) : null;
+    const subtypeOf = obj =>
+      obj instanceof PDFStream ? obj.dict.lookup(PDFName.of('Subtype')) : null;
+
+    let removed = 0;
+    if (xobjects instanceof PDFDict) {
+      xobjects.values().forEach(value => {
+        if (!(value instanceof PDFRef) || visitedForms.has(value)) return;
+        if (subtypeOf(context.lookup(value)) !== PDFName.of('Form')) return;
+        visitedForms.add(value);
+        removed += this.removeImagesFromForm(pdfDoc, value, resources, removal);
+      });
+    }
 
-      // Pobierz content stream
-      try {
-        if (contents.constructor && contents.constructor.name === 'PDFArray') {
-          for (let i = 0; i < contents.size(); i++) {
-            const stream = contents.lookup(i);
-            if (stream && stream.contents) {
-              contentStream += new TextDecoder().decode(stream.contents) + '\n';
-            }
-          }
-        } else if (contents && contents.contents) {
-          contentStream = new TextDecoder().decode(contents.contents);
+    const ops = parseContentStream(bytes);
+    const ctmAt = new Map(
+      findDrawnXObjects(ops).map(({ index, ctm }) => [index, ctm])
+    );
+    let fontName = null;
+    const placeholder = (index, width, height) => {
+      if (!removal.placeholders) return true;
+      let caption = null;
+      if (removal.captions && width > 0 && height > 0) {
+        caption = `${width} x ${height} px`;
+        if (!fontName && resources instanceof PDFDict) {
+          fontName = this.addPlaceholderFont(pdfDoc, resources, removal);
         }
-      } catch (error) {
-        console.warn(
-          `Error reading content stream on page ${pageIndex}:`,
-          error
+      }
+      return this.placeholderOperators(ctmAt.get(index), caption, fontName);
+    };
+
+    // Do zostaje tylko dla formularzy (i innych nie-obrazów); Do bez zasobu
+    // nic nie rysuje, więc też może zniknąć
+    const matches = removal.matches || (() => true);
+    const result = removeOperations(
+      bytes,
+      (entry, index) => {
+        const { op, operands } = entry;
+        if (op === 'BI') {
+          const info = this.getInlineImageInfo(entry);
+          if (!matches(info)) return false;
+          if (removal.removedImages) removal.removedImages.add(entry);
+          return placeholder(index, info.width, info.height);
+        }
+        if (op !== 'Do' || !operands[0] || operands[0].type !== 'name') {
+          return false;
+        }
+        const obj = lookupXObject(operands[0].value);
+        const subtype = subtypeOf(obj);
+        if (!subtype) return true;
+        if (subtype !== PDFName.of('Image')) return false;
+        const ref = xobjects.get(PDFName.of(operands[0].value));
+        if (!matches(this.getImageInfo(obj, ref))) return false;
+        return placeholder(
+          index,
+          this.numberOf(obj.dict.lookup(PDFName.of('Width'))),
+          this.numberOf(obj.dict.lookup(PDFName.of('Height')))
+        );
+      },
+      ops
+    );
+    return { bytes: result.bytes, removed: removed + result.removed };
+  }
+
+  /**
+   * Oczyść Form XObject z obrazów (treść i wpisy /XObject)
+   * @param {PDFDocument} pdfDoc
+   * @param {PDFRef} ref - Referencja formularza
+   * @param {PDFDict} parentResources - Zasoby używane, gdy formularz nie ma własnych
+   * @param {Object} removal - Zob. stripImageOperations()
+   * @returns {number} Liczba usuniętych operacji
+   */
+  removeImagesFromForm(pdfDoc, ref, parentResources, removal) {
+    const { PDFName, PDFDict } = this.PDFLib;
+    const { context } = pdfDoc;
+    try {
+      const form = context.lookup(ref);
+      const content = this.decodeStreamContents(form);
+      if (!content) return 0;
+      const own = form.dict.lookup(PDFName.of('Resources'));
+      const resources = own instanceof PDFDict ? own : parentResources;
+      const { bytes, removed } = this.stripImageOperations(
+        pdfDoc,
+        content,
+        resources,
+        removal
+      );
+      if (removed > 0) {
+        // Nowy strumień z tym samym słownikiem (BBox, Matrix, Resources, …)
+        const skip = ['Filter', 'DecodeParms', 'Length'].map(PDFName.of);
+        const next = context.flateStream(bytes);
+        form.dict.entries().forEach(([key, value]) => {
+          if (!skip.includes(key)) next.dict.set(key, value);
+        });
+        context.assign(ref, next);
+      }
+      if (own instanceof PDFDict) {
+        this.removeImageResources(
+          pdfDoc,
+          own,
+          removal.matches,
+          removal.removedImages
         );
-        return;
       }
+      return removed;
+    } catch (error) {
+      console.warn('Error removing images from form XObject:', error);
+      return 0;
+    }
+  }
 
-      // Modyfikuj content
-      let modified = contentStream;
+  /**
+   * Czyści content stream z odniesień do obrazków
+   * @param {Object} [options] - Zob. removeImagesFromPage()
+   * @returns {Promise<number>} Liczba usuniętych operacji
+   */
+  async cleanContentStream(
+    page,
+    pdfDoc,
+    pageIndex,
+    {
+      visitedForms = new Set(),
+      placeholders = false,
+      captions = false,
+      matches = null,
+      removedImages = null,
+    } = {}
+  ) {
+    try {
+      if (!page || !page.node || !page.node.Contents()) return 0;
+      // Strumień, którego nie umiemy zdekodować, zniknąłby przy zapisie
+      const { PDFArray } = this.PDFLib;
+      const contents = page.node.Contents();
+      const streams =
+        contents instanceof PDFArray
+          ? contents.asArray().map(ref => pdfDoc.context.lookup(ref))
+          : [contents];
+      if (streams.some(stream => !this.decodeStreamContents(stream))) {
+        return 0;
+      }
 
-      // Usuń obrazki
-      const originalLength = modified.length;
-      modified = modified.replace(/q[^Q]*?\/\w+\s+Do\s*Q/g, '');
-      modified = modified.replace(/\/\w+\s+Do/g, '');
-      modified = modified.replace(/BI\s+[\s\S]*?\s+ID\s+[\s\S]*?\s+EI/g, '');
+      const content = this.getPageContentBytes(page);
+      const { bytes, removed } = this.stripImageOperations(
+        pdfDoc,
+        content,
+        page.node.Resources(),
+        { visitedForms, placeholders, captions, matches, removedImages }
+      );
 
-      // Zapisz jeśli zmieniono
-      if (modified !== contentStream && modified.trim()) {
-        try {
-          // Zapisuj skompresowany strumień, aby uniknąć wzrostu rozmiaru
-          if (!this._textEncoder) this._textEncoder = new TextEncoder();
-          const newContents = pdfDoc.context.flateStream(
-            this._textEncoder.encode(modified)
-          );
-          pageDict.set(this.PDFLib.PDFName.of('Contents'), newContents);
-          console.log(
-            `  Cleaned content stream on page ${pageIndex + 1} (${originalLength} -> ${modified.length} bytes)`
-          );
-        } catch (error) {
-          console.warn(
-            `Error updating content stream on page ${pageIndex}:`,
-            error
-          );
-        }
+      // Zapisz jeśli zmieniono (skompresowany strumień, aby uniknąć wzrostu rozmiaru)
+      if (removed > 0) {
+        const newContents = pdfDoc.context.flateStream(bytes);
+        page.node.set(
+          this.PDFLib.PDFName.of('Contents'),
+          pdfDoc.context.register(newContents)
+        );
+        console.log(
+          `  Cleaned content stream on page ${pageIndex + 1} (${content.length} -> ${bytes.length} bytes)`
+        );
       }
+      return removed;
     } catch (error) {
       console.warn(
         `Error cleaning content stream on page ${pageIndex}:`,
         error
       );
+      return 0;
     }
   }
 
@@ -1217,9 +3457,15 @@ export class PDFProcessor {
    * @param {PDFDocument} pdfDoc
    * @param {number} pagesPerChunk
    * @param {Function} progressCallback
+   * @param {Object} [options] - { signal } checked before each chunk
    * @returns {Promise<PDFDocument[]>}
    */
-  async splitByPagesFixed(pdfDoc, pagesPerChunk, progressCallback = null) {
+  async splitByPagesFixed(
+    pdfDoc,
+    pagesPerChunk,
+    progressCallback = null,
+    { signal } = {}
+  ) {
     const outputs = [];
     try {
       const pageCount = pdfDoc.getPageCount();
@@ -1227,6 +3473,7 @@ export class PDFProcessor {
       let from = 1;
       let part = 0;
       while (from <= pageCount) {
+        throwIfAborted(signal);
         const to = Math.min(pageCount, from + chunkSize - 1);
         const partDoc = await this.PDFLib.PDFDocument.create();
         const copied = await partDoc.copyPages(
@@ -1247,6 +3494,7 @@ export class PDFProcessor {
       }
       return outputs;
     } catch (e) {
+      if (isAbortError(e)) throw e;
       console.error('[PDFProcessor] splitByPagesFixed error:', e);
       return outputs;
     }
@@ -0,0 +1,89 @@
+// separator-pages.js - Detection of separator sheets in batch scans
+// Pages are rendered with pdf.js (page-renderer.js); a separator is either a
+// near-blank page or a page whose text contains a marker such as "SEPARATOR".
+
+import { throwIfAborted } from './async-utils.js';
+import { renderPage } from './page-renderer.js';
+
+// Jaśniejsze piksele to papier (szum skanera, szare tło), ciemniejsze to tusz
+const INK_LEVEL = 200;
+
+/**
+ * Share of ink (dark) pixels in an RGBA bitmap
+ * @param {{ data: Uint8ClampedArray }} imageData - Canvas getImageData() result
+ * @param {number} [inkLevel] - Luminance (0-255) below which a pixel is ink
+ * @returns {number} 0-1; transparent pixels count as paper
+ */
+export function inkCoverage({ data }, inkLevel = INK_LEVEL) {
+  const pixels = data.length / 4;
+  if (pixels === 0) return 0;
+  let ink = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    const luminance =
+      0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    if (data[i + 3] > 127 && luminance < inkLevel) ink++;
+  }
+  return ink / pixels;
+}
+
+/**
+ * Text of one page, words joined with single spaces
+ * @param {Object} pdf - openRenderDocument() result
+ * @param {number} pageIndex - 0-based page index
+ * @returns {Promise<string>}
+ */
+export async function getPageText(pdf, pageIndex) {
+  const page = await pdf.getPage(pageIndex + 1);
+  const { items } = await page.getTextContent();
+  page.cleanup();
+  return items
+    .map(item => item.str || '')
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Find separator pages
+ * @param {Object} pdf - openRenderDocument() result
+ * @param {Object} options - { mode: 'blank'|'marker', blankThreshold, marker }
+ *   `blankThreshold` is the ink coverage in percent (default 0.5) at or below
+ *   which a page counts as blank; `marker` is matched case-insensitively
+ * @param {Function} [progressCallback]
+ * @param {Object} [runOptions] - { signal } checked before each page
+ * @returns {Promise<number[]>} Ascending 0-based page indices
+ * @throws {Error} When the marker mode has no marker text
+ */
+export async function findSeparatorPages(
+  pdf,
+  { mode = 'blank', blankThreshold = 0.5, marker = '' } = {},
+  progressCallback = null,
+  { signal } = {}
+) {
+  const needle = String(marker).replace(/\s+/g, ' ').trim().toLowerCase();
+  if (mode === 'marker' && !needle) {
+    throw new Error('Enter the marker text to split on');
+  }
+  const limit = Math.max(0, Number(blankThreshold) || 0) / 100;
+  const separators = [];
+  for (let i = 0; i < pdf.numPages; i++) {
+    throwIfAborted(signal);
+    if (mode === 'marker') {
+      const text = await getPageText(pdf, i);
+      if (text.toLowerCase().includes(needle)) separators.push(i);
+    } else {
+      const canvas = await renderPage(pdf, i, 300);
+      const imageData = canvas
+        .getContext('2d')
+        .getImageData(0, 0, canvas.width, canvas.height);
+      if (inkCoverage(imageData) <= limit) separators.push(i);
+    }
+    if (progressCallback) {
+      progressCallback({
+        percentage: Math.round(((i + 1) / pdf.numPages) * 50),
+        message: `Looking for separator pages (${i + 1}/${pdf.numPages})`,
+      });
+    }
+  }
+  return separators;
+}
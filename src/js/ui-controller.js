@@ -1,5 +1,16 @@
 // ui-controller.js - Manages the user interface for the PDF Compressor PWA
 // Implements singleton pattern for UI management
+import { CompareViewer } from './compare-viewer.js';
+import { parsePageGroups, parsePageSpec } from './page-range.js';
+
+// Result labels for the categories removed in the Sanitize tab
+const SANITIZE_LABELS = {
+  metadata: 'Metadata',
+  thumbnails: 'Thumbnails',
+  javascript: 'JavaScript',
+  embeddedFiles: 'Embedded files',
+  pieceInfo: 'Application data',
+};
 
 /**
  * UIController - Singleton class for managing the user interface
@@ -111,21 +122,80 @@ export class UIController {
     this.elements.fileSize = document.getElementById('fileSize');
     this.elements.pageCount = document.getElementById('pageCount');
     this.elements.imageCount = document.getElementById('imageCount');
+    this.elements.analyzeBtn = document.getElementById('analyzeBtn');
+
+    // Page thumbnails
+    this.elements.thumbnailSection =
+      document.getElementById('thumbnailSection');
+    this.elements.thumbnailGrid = document.getElementById('thumbnailGrid');
+    this.elements.organizeSummary = document.getElementById('organizeSummary');
+    this.elements.organizeResetBtn =
+      document.getElementById('organizeResetBtn');
+
+    // Analyze view
+    this.elements.analysisSection = document.getElementById('analysisSection');
+    this.elements.analysisSummary = document.getElementById('analysisSummary');
+    this.elements.analysisImages = document.getElementById('analysisImages');
+    this.elements.analysisPages = document.getElementById('analysisPages');
+    this.elements.analysisPreview = document.getElementById('analysisPreview');
 
     // Option panel elements
     this.elements.tabs = document.querySelectorAll('.tab');
     this.elements.tabPanes = document.querySelectorAll('.tab-pane');
     this.elements.qualitySlider = document.getElementById('qualitySlider');
     this.elements.qualityValue = document.getElementById('qualityValue');
+    this.elements.colorModeSelect = document.getElementById('colorModeSelect');
+    this.elements.targetDpiSelect = document.getElementById('targetDpiSelect');
+    this.elements.subsetFontsCheckbox = document.getElementById(
+      'subsetFontsCheckbox'
+    );
+    this.elements.sanitizeCheckboxes =
+      document.querySelectorAll('[data-sanitize]');
+    this.elements.placeholdersCheckbox = document.getElementById(
+      'placeholdersCheckbox'
+    );
+    this.elements.placeholderCaptionsCheckbox = document.getElementById(
+      'placeholderCaptionsCheckbox'
+    );
+    this.elements.removeMinKB = document.getElementById('removeMinKB');
+    this.elements.removeMinPixels = document.getElementById('removeMinPixels');
+    this.elements.removePages = document.getElementById('removePages');
+    this.elements.removeColorOnly = document.getElementById('removeColorOnly');
+    this.elements.imageList = document.getElementById('imageList');
     this.elements.targetSizeSlider =
       document.getElementById('targetSizeSlider');
     this.elements.targetSizeValue = document.getElementById('targetSizeValue');
+    this.elements.fitAttachmentsCheckbox = document.getElementById(
+      'fitAttachmentsCheckbox'
+    );
+    this.elements.maxAttachments = document.getElementById('maxAttachments');
     this.elements.splitByPages = document.getElementById('splitByPages');
     this.elements.splitBySize = document.getElementById('splitBySize');
+    this.elements.splitByBookmarks =
+      document.getElementById('splitByBookmarks');
+    this.elements.splitBySeparators =
+      document.getElementById('splitBySeparators');
     this.elements.pageRange = document.getElementById('pageRange');
+    this.elements.pageRangeError = document.getElementById('pageRangeError');
+    this.elements.splitGroupsCheckbox = document.getElementById(
+      'splitGroupsCheckbox'
+    );
     this.elements.fileSizeLimit = document.getElementById('fileSizeLimit');
     this.elements.pagesInput = document.getElementById('pagesInput');
     this.elements.sizeInput = document.getElementById('sizeInput');
+    this.elements.bookmarksInput = document.getElementById('bookmarksInput');
+    this.elements.bookmarkDepth = document.getElementById('bookmarkDepth');
+    this.elements.separatorsInput = document.getElementById('separatorsInput');
+    this.elements.separatorMode = document.getElementById('separatorMode');
+    this.elements.blankThresholdField = document.getElementById(
+      'blankThresholdField'
+    );
+    this.elements.blankThreshold = document.getElementById('blankThreshold');
+    this.elements.separatorMarkerField = document.getElementById(
+      'separatorMarkerField'
+    );
+    this.elements.separatorMarker = document.getElementById('separatorMarker');
+    this.elements.dropSeparators = document.getElementById('dropSeparators');
 
     // Action buttons
     this.elements.resetBtn = document.getElementById('resetBtn');
@@ -135,16 +205,32 @@ export class UIController {
     this.elements.progressSection = document.getElementById('progressSection');
     this.elements.progressFill = document.getElementById('progressFill');
     this.elements.progressText = document.getElementById('progressText');
+    this.elements.cancelBtn = document.getElementById('cancelBtn');
+
+    // Batch queue elements
+    this.elements.batchSection = document.getElementById('batchSection');
+    this.elements.batchList = document.getElementById('batchList');
+    this.elements.batchSummary = document.getElementById('batchSummary');
+    this.elements.batchConcurrency =
+      document.getElementById('batchConcurrency');
+    this.elements.batchZipBtn = document.getElementById('batchZipBtn');
+    this.elements.mergeControls = document.getElementById('mergeControls');
+    this.elements.mergeKeepOutlines =
+      document.getElementById('mergeKeepOutlines');
+    this.elements.mergeBtn = document.getElementById('mergeBtn');
 
     // Results elements
     this.elements.resultsSection = document.getElementById('resultsSection');
     this.elements.originalSize = document.getElementById('originalSize');
     this.elements.compressedSize = document.getElementById('compressedSize');
     this.elements.savings = document.getElementById('savings');
+    this.elements.resultDetails = document.getElementById('resultDetails');
     this.elements.originalDownload =
       document.getElementById('originalDownload');
     this.elements.compressedDownload =
       document.getElementById('compressedDownload');
+    this.elements.compareBtn = document.getElementById('compareBtn');
+    this.elements.compareSection = document.getElementById('compareSection');
 
     // Notification elements
     this.elements.installBanner = document.getElementById('installBanner');
@@ -222,6 +308,21 @@ export class UIController {
       });
     }
 
+    if (this.elements.analyzeBtn) {
+      this.elements.analyzeBtn.addEventListener('click', async () => {
+        if (!this.app) return;
+        this.elements.analyzeBtn.disabled = true;
+        try {
+          await this.app.analyzeCurrentFile();
+        } finally {
+          this.elements.analyzeBtn.disabled = false;
+        }
+      });
+    }
+
+    // Organize tab: tile buttons and drag-to-reorder in the thumbnail grid
+    this.setupPageOrganizer();
+
     // Tab navigation
     this.setupTabs();
 
@@ -245,6 +346,19 @@ export class UIController {
       });
     }
 
+    if (this.elements.cancelBtn) {
+      this.elements.cancelBtn.addEventListener('click', () => {
+        this.handleCancel();
+      });
+    }
+
+    // Before/after viewer for the result shown in showResults()
+    if (this.elements.compareBtn) {
+      this.elements.compareBtn.addEventListener('click', () => {
+        if (this.compareFiles) this.openCompare(...this.compareFiles);
+      });
+    }
+
     // Install banner events
     if (this.elements.installBtn) {
       this.elements.installBtn.addEventListener('click', () => {
@@ -305,6 +419,16 @@ export class UIController {
         '.upload-container, .options-section, .results-section'
       );
       observeElements.forEach(el => observer.observe(el));
+
+      // Page thumbnails: render tiles close to the visible part of the grid,
+      // drop the canvases of tiles scrolled far away (virtualised grid)
+      this.thumbnailObserver = new IntersectionObserver(
+        entries => this.handleThumbnailVisibility(entries),
+        {
+          root: this.elements.thumbnailGrid || null,
+          rootMargin: '300px 0px',
+        }
+      );
     }
   }
 
@@ -363,6 +487,418 @@ export class UIController {
     this.triggerAnimation('file-info-show');
   }
 
+  /**
+   * List the images of the loaded file in the Removal tab; unticked images
+   * are kept (imageFilter.keepIds)
+   * @param {Array} images - PDFProcessor.listImages() entries
+   */
+  showImageList(images) {
+    if (!this.elements.imageList) return;
+    this.elements.imageList.innerHTML = '';
+    (images || []).forEach(image => {
+      const item = document.createElement('li');
+      item.innerHTML = `
+        <label><input type="checkbox" checked><span></span></label>
+      `;
+      item.querySelector('input').dataset.imageId = image.id;
+      const pages = image.pages.map(p => p + 1).join(', ');
+      item.querySelector('span').textContent =
+        `p. ${pages} · ${image.width} × ${image.height} px · ` +
+        `${this.formatFileSize(image.size)}` +
+        (image.gray ? ' · grayscale' : '');
+      this.elements.imageList.appendChild(item);
+    });
+    if (this.app) {
+      this.app.updateProcessingOptions({ imageFilter: this.getImageFilter() });
+    }
+  }
+
+  /**
+   * Selective removal filter from the Removal tab inputs
+   * @returns {Object} See PDFProcessor.createImageMatcher() (+ pages)
+   */
+  getImageFilter() {
+    const keepIds = Array.from(
+      this.elements.imageList?.querySelectorAll('input[data-image-id]') || []
+    )
+      .filter(cb => !cb.checked)
+      .map(cb => cb.dataset.imageId);
+    return {
+      minKB: Math.max(0, Number(this.elements.removeMinKB?.value) || 0),
+      minPixels: Math.max(0, Number(this.elements.removeMinPixels?.value) || 0),
+      pages: String(this.elements.removePages?.value || '').trim(),
+      colorOnly: Boolean(this.elements.removeColorOnly?.checked),
+      keepIds,
+    };
+  }
+
+  /**
+   * Thumbnail grid of the loaded file; tiles get their size from the page
+   * sizes and are rendered by app.createThumbnail('page', i) when they come
+   * into view
+   * @param {Array<{ width: number, height: number }>} pages - Page sizes (pt)
+   */
+  showThumbnails(pages) {
+    const grid = this.elements.thumbnailGrid;
+    if (!grid) return;
+    this.hideThumbnails();
+    this.pageSizes = pages;
+    pages.forEach((size, index) => {
+      grid.appendChild(this.createThumbnailTile(index));
+    });
+    if (this.elements.thumbnailSection) {
+      this.elements.thumbnailSection.style.display = 'block';
+    }
+    this.updatePageLayout();
+  }
+
+  /**
+   * One tile of the thumbnail grid (buttons are shown in the Organize tab)
+   * @param {number} index - 0-based page index in the loaded file
+   * @returns {HTMLElement}
+   */
+  createThumbnailTile(index) {
+    const { width, height } = this.pageSizes[index];
+    const tile = document.createElement('div');
+    tile.className = 'thumbnail';
+    tile.dataset.pageIndex = String(index);
+    tile.dataset.rotation = '0';
+    tile.style.aspectRatio = `${width} / ${height}`;
+    tile.draggable = Boolean(
+      this.elements.thumbnailGrid?.classList.contains('organizing')
+    );
+    tile.setAttribute('aria-label', `Page ${index + 1}`);
+    tile.innerHTML = `
+      <div class="thumbnail-actions">
+        <button type="button" data-organize="left" title="Move left">&larr;</button>
+        <button type="button" data-organize="right" title="Move right">&rarr;</button>
+        <button type="button" data-organize="rotate" title="Rotate 90°">&#8635;</button>
+        <button type="button" data-organize="duplicate" title="Duplicate">&#10697;</button>
+        <button type="button" data-organize="delete" title="Delete">&times;</button>
+      </div>
+      <span class="thumbnail-number"></span>
+    `;
+    tile.querySelector('.thumbnail-number').textContent = String(index + 1);
+    // Bez IntersectionObserver renderujemy wszystko po kolei
+    if (this.thumbnailObserver) this.thumbnailObserver.observe(tile);
+    else this.queueThumbnail(tile);
+    return tile;
+  }
+
+  /**
+   * Hide and empty the thumbnail grid (new file, batch mode or reset)
+   */
+  hideThumbnails() {
+    if (this.thumbnailObserver) this.thumbnailObserver.disconnect();
+    this.thumbnailQueue = new Set();
+    if (this.elements.thumbnailGrid) this.elements.thumbnailGrid.innerHTML = '';
+    if (this.elements.thumbnailSection) {
+      this.elements.thumbnailSection.style.display = 'none';
+    }
+    this.pageSizes = [];
+    this.updatePageLayout();
+  }
+
+  /**
+   * Organize tab: show the tile buttons and allow dragging tiles
+   * @param {boolean} active
+   */
+  setOrganizeMode(active) {
+    const grid = this.elements.thumbnailGrid;
+    if (!grid) return;
+    grid.classList.toggle('organizing', active);
+    grid.querySelectorAll('.thumbnail').forEach(tile => {
+      tile.draggable = active;
+    });
+  }
+
+  /**
+   * Apply a tile button of the Organize tab
+   * @param {HTMLElement} tile - Thumbnail tile
+   * @param {'left'|'right'|'rotate'|'duplicate'|'delete'} action
+   */
+  organizeTile(tile, action) {
+    const grid = this.elements.thumbnailGrid;
+    if (!grid || !tile) return;
+    if (action === 'left' && tile.previousElementSibling) {
+      grid.insertBefore(tile, tile.previousElementSibling);
+    } else if (action === 'right' && tile.nextElementSibling) {
+      grid.insertBefore(tile.nextElementSibling, tile);
+    } else if (action === 'rotate') {
+      this.setTileRotation(tile, (Number(tile.dataset.rotation) + 90) % 360);
+    } else if (action === 'duplicate') {
+      const copy = this.createThumbnailTile(Number(tile.dataset.pageIndex));
+      this.setTileRotation(copy, Number(tile.dataset.rotation));
+      tile.after(copy);
+    } else if (action === 'delete') {
+      if (grid.children.length <= 1) {
+        this.showNotification('The document needs at least one page', 'error');
+        return;
+      }
+      this.thumbnailQueue?.delete(tile);
+      this.thumbnailObserver?.unobserve?.(tile);
+      tile.remove();
+    }
+    this.updatePageLayout();
+  }
+
+  /**
+   * Show a tile turned by the given angle; quarter turns are scaled down so
+   * the page still fits the tile
+   * @param {HTMLElement} tile - Thumbnail tile
+   * @param {number} rotation - 0, 90, 180 or 270
+   */
+  setTileRotation(tile, rotation) {
+    const { width, height } = this.pageSizes[Number(tile.dataset.pageIndex)];
+    const fit =
+      rotation % 180 === 0 ? 1 : Math.min(width / height, height / width);
+    tile.dataset.rotation = String(rotation);
+    tile.style.setProperty('--thumbnail-rotation', `${rotation}deg`);
+    tile.style.setProperty('--thumbnail-fit', String(fit));
+  }
+
+  /**
+   * Pages as arranged in the grid
+   * @returns {Array<{ index: number, rotation: number }>|null} Output order
+   *   for PDFProcessor.organizePages(); null when no file is shown
+   */
+  getPageLayout() {
+    const tiles = this.elements.thumbnailGrid?.querySelectorAll('.thumbnail');
+    if (!tiles || tiles.length === 0) return null;
+    return Array.from(tiles, tile => ({
+      index: Number(tile.dataset.pageIndex),
+      rotation: Number(tile.dataset.rotation),
+    }));
+  }
+
+  /**
+   * Pass the grid arrangement to the app and update the Organize summary
+   */
+  updatePageLayout() {
+    const layout = this.getPageLayout();
+    if (this.elements.organizeSummary) {
+      this.elements.organizeSummary.textContent = layout
+        ? `Output: ${layout.length} pages (original: ${this.pageSizes.length})`
+        : 'Load a PDF to arrange its pages.';
+    }
+    if (this.app) this.app.updateProcessingOptions({ pageLayout: layout });
+  }
+
+  /**
+   * IntersectionObserver callback of the thumbnail grid
+   * @param {IntersectionObserverEntry[]} entries
+   */
+  handleThumbnailVisibility(entries) {
+    entries.forEach(({ target, isIntersecting }) => {
+      if (isIntersecting) {
+        if (!target.dataset.state) this.queueThumbnail(target);
+        return;
+      }
+      // Poza zasięgiem: anuluj oczekujące renderowanie i zwolnij canvas
+      this.thumbnailQueue.delete(target);
+      target.querySelector('canvas')?.remove();
+      delete target.dataset.state;
+    });
+  }
+
+  /**
+   * Add a tile to the render queue
+   * @param {HTMLElement} tile - Thumbnail tile
+   */
+  queueThumbnail(tile) {
+    if (!this.thumbnailQueue) this.thumbnailQueue = new Set();
+    tile.dataset.state = 'queued';
+    this.thumbnailQueue.add(tile);
+    if (!this.thumbnailRendering) this.renderQueuedThumbnails();
+  }
+
+  /**
+   * Render queued tiles one at a time (pdf.js renders pages sequentially
+   * anyway; tiles that left the view meanwhile are skipped)
+   */
+  async renderQueuedThumbnails() {
+    this.thumbnailRendering = true;
+    try {
+      while (this.thumbnailQueue.size > 0 && this.app) {
+        const [tile] = this.thumbnailQueue;
+        this.thumbnailQueue.delete(tile);
+        if (!tile.isConnected || tile.dataset.state !== 'queued') continue;
+        tile.dataset.state = 'rendering';
+        let canvas = null;
+        try {
+          canvas = await this.app.createThumbnail(
+            'page',
+            Number(tile.dataset.pageIndex)
+          );
+        } catch (error) {
+          console.warn('[UIController] Thumbnail failed:', error);
+        }
+        if (!tile.isConnected || tile.dataset.state !== 'rendering') continue;
+        if (canvas) tile.prepend(canvas);
+        tile.dataset.state = canvas ? 'rendered' : 'failed';
+      }
+    } finally {
+      this.thumbnailRendering = false;
+    }
+  }
+
+  /**
+   * Fill the Analyze view
+   * @param {Object} report - PDFProcessor.analyzePDF() result
+   */
+  showAnalysis(report) {
+    if (!this.elements.analysisSection) return;
+    const { images, pages, totalBytes, documentBytes } = report;
+    const imageBytes = images.reduce((sum, image) => sum + image.size, 0);
+    if (this.elements.analysisSummary) {
+      this.elements.analysisSummary.textContent =
+        `${images.length} images, ${this.formatFileSize(imageBytes)} of ` +
+        `image data · ${this.formatFileSize(documentBytes)} of ` +
+        `${this.formatFileSize(totalBytes)} not tied to a page`;
+    }
+
+    const imageRows = this.elements.analysisImages?.querySelector('tbody');
+    if (imageRows) {
+      imageRows.innerHTML = '';
+      images.forEach(image => {
+        imageRows.appendChild(
+          this.createAnalysisRow(
+            [
+              image.pages.map(p => p + 1).join(', '),
+              `${image.width} × ${image.height}`,
+              image.filters.join(', ') || 'none',
+              image.colorSpace || '—',
+              image.bitsPerComponent || '—',
+              this.formatFileSize(image.size),
+              image.dpi ?? '—',
+            ],
+            {
+              kind: 'image',
+              key: image.id,
+              label: `${image.name} · ${image.width} × ${image.height} px`,
+            }
+          )
+        );
+      });
+    }
+
+    const pageRows = this.elements.analysisPages?.querySelector('tbody');
+    if (pageRows) {
+      pageRows.innerHTML = '';
+      pages.forEach(page => {
+        pageRows.appendChild(
+          this.createAnalysisRow(
+            [
+              page.index + 1,
+              this.formatFileSize(page.bytes),
+              `${(page.share * 100).toFixed(1)}%`,
+              this.formatFileSize(page.imageBytes),
+            ],
+            { kind: 'page', key: page.index, label: `Page ${page.index + 1}` }
+          )
+        );
+      });
+    }
+
+    this.clearAnalysisPreview();
+    this.elements.analysisSection.style.display = 'block';
+  }
+
+  /**
+   * One table row of the Analyze view with a link to its thumbnail
+   * @param {Array} cells - Cell values
+   * @param {Object} thumbnail - { kind, key, label } for showAnalysisPreview()
+   * @returns {HTMLTableRowElement}
+   */
+  createAnalysisRow(cells, thumbnail) {
+    const row = document.createElement('tr');
+    cells.forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = String(value);
+      row.appendChild(cell);
+    });
+    const link = document.createElement('a');
+    link.href = '#';
+    link.textContent = 'Thumbnail';
+    link.addEventListener('click', e => {
+      e.preventDefault();
+      this.showAnalysisPreview(thumbnail);
+    });
+    const cell = document.createElement('td');
+    cell.appendChild(link);
+    row.appendChild(cell);
+    return row;
+  }
+
+  /**
+   * Show the thumbnail of an image or page below the analysis tables
+   * @param {Object} thumbnail - { kind: 'image'|'page', key, label }
+   */
+  async showAnalysisPreview({ kind, key, label }) {
+    const preview = this.elements.analysisPreview;
+    if (!preview || !this.app) return;
+    this.clearAnalysisPreview();
+    // Klik w kolejny wiersz przed końcem renderowania unieważnia poprzedni
+    const request = (this.analysisPreviewRequest =
+      (this.analysisPreviewRequest || 0) + 1);
+    const content = preview.querySelector('.analysis-preview-content');
+    const caption = preview.querySelector('figcaption');
+    caption.textContent = `${label} · loading…`;
+    preview.hidden = false;
+
+    let thumbnail = null;
+    try {
+      thumbnail = await this.app.createThumbnail(kind, key);
+    } catch (error) {
+      console.warn('[UIController] Thumbnail failed:', error);
+    }
+    if (request !== this.analysisPreviewRequest) return;
+    if (!thumbnail) {
+      caption.textContent = `${label} · preview not available`;
+      return;
+    }
+    if (thumbnail instanceof Blob) {
+      this.analysisPreviewUrl = URL.createObjectURL(thumbnail);
+      const img = document.createElement('img');
+      img.src = this.analysisPreviewUrl;
+      img.alt = label;
+      content.appendChild(img);
+    } else {
+      content.appendChild(thumbnail);
+    }
+    caption.textContent = label;
+  }
+
+  /**
+   * Hide the analysis thumbnail and release its object URL
+   */
+  clearAnalysisPreview() {
+    const preview = this.elements.analysisPreview;
+    if (!preview) return;
+    preview.hidden = true;
+    const content = preview.querySelector('.analysis-preview-content');
+    if (content) content.innerHTML = '';
+    if (this.analysisPreviewUrl) {
+      URL.revokeObjectURL(this.analysisPreviewUrl);
+      this.analysisPreviewUrl = null;
+    }
+  }
+
+  /**
+   * Hide and empty the Analyze view (new file or reset)
+   */
+  hideAnalysis() {
+    if (!this.elements.analysisSection) return;
+    this.elements.analysisSection.style.display = 'none';
+    [this.elements.analysisImages, this.elements.analysisPages].forEach(
+      table => {
+        const body = table?.querySelector('tbody');
+        if (body) body.innerHTML = '';
+      }
+    );
+    this.clearAnalysisPreview();
+  }
+
   /**
    * Reset upload area
    */
@@ -391,7 +927,9 @@ export class UIController {
    * @param {Event} e - File input change event
    */
   handleFileSelect(e) {
-    if (e.target.files && e.target.files.length > 0) {
+    if (e.target.files && e.target.files.length > 1) {
+      this.processSelectedFiles(e.target.files);
+    } else if (e.target.files && e.target.files.length > 0) {
       const file = e.target.files[0];
       this.processSelectedFile(file);
     }
@@ -402,12 +940,28 @@ export class UIController {
    * @param {Event} e - Drop event
    */
   handleDrop(e) {
-    if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
+    if (e.dataTransfer.files && e.dataTransfer.files.length > 1) {
+      this.processSelectedFiles(e.dataTransfer.files);
+    } else if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
       const file = e.dataTransfer.files[0];
       this.processSelectedFile(file);
     }
   }
 
+  /**
+   * Queue several files for batch processing
+   * @param {FileList|File[]} files - Selected or dropped files
+   */
+  processSelectedFiles(files) {
+    if (this.__isDebug())
+      console.log('[UIController] Files selected for batch:', files.length);
+    if (this.app) {
+      this.app.addFilesToQueue(Array.from(files));
+    } else {
+      console.warn('[UIController] No app reference available for batch mode');
+    }
+  }
+
   /**
    * Process selected file
    * @param {File} file - Selected file
@@ -464,6 +1018,55 @@ export class UIController {
     });
   }
 
+  /**
+   * Click and drag handlers of the thumbnail grid used by the Organize tab
+   */
+  setupPageOrganizer() {
+    const grid = this.elements.thumbnailGrid;
+    if (!grid) return;
+    grid.addEventListener('click', e => {
+      const button = e.target.closest('button[data-organize]');
+      if (button) {
+        this.organizeTile(
+          button.closest('.thumbnail'),
+          button.dataset.organize
+        );
+      }
+    });
+    // Kafelek przesuwany jest na bieżąco nad innymi kafelkami (podgląd
+    // kolejności), układ zapisujemy po upuszczeniu
+    grid.addEventListener('dragstart', e => {
+      this.draggedTile = e.target.closest('.thumbnail');
+      if (!this.draggedTile) return;
+      this.draggedTile.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+      // Firefox nie zaczyna przeciągania bez danych
+      e.dataTransfer.setData('text/plain', this.draggedTile.dataset.pageIndex);
+    });
+    grid.addEventListener('dragover', e => {
+      if (!this.draggedTile) return;
+      e.preventDefault();
+      const target = e.target.closest('.thumbnail');
+      if (!target || target === this.draggedTile) return;
+      const { left, width } = target.getBoundingClientRect();
+      const after = e.clientX > left + width / 2;
+      grid.insertBefore(this.draggedTile, after ? target.nextSibling : target);
+    });
+    grid.addEventListener('drop', e => e.preventDefault());
+    grid.addEventListener('dragend', () => {
+      if (!this.draggedTile) return;
+      this.draggedTile.classList.remove('dragging');
+      this.draggedTile = null;
+      this.updatePageLayout();
+    });
+
+    if (this.elements.organizeResetBtn) {
+      this.elements.organizeResetBtn.addEventListener('click', () => {
+        if (this.pageSizes?.length) this.showThumbnails(this.pageSizes);
+      });
+    }
+  }
+
   /**
    * Switch active tab
    * @param {Element} clickedTab - The tab that was clicked
@@ -488,6 +1091,7 @@ export class UIController {
     if (pane) {
       pane.classList.add('active');
     }
+    this.setOrganizeMode(tabId === 'organize');
 
     // Trigger animation
     this.triggerAnimation('tab-switch');
@@ -495,7 +1099,8 @@ export class UIController {
 
   /**
    * Apply processing options based on active tab
-   * @param {string} tabId - 'compression' | 'removal' | 'split'
+   * @param {string} tabId - 'compression' | 'removal' | 'split' | 'sanitize'
+   *   | 'organize'
    */
   applyActiveTabOptions(tabId) {
     if (!this.app) return;
@@ -511,6 +1116,8 @@ export class UIController {
         imageCompression: false,
         removeImages: false,
         splitPDF: false,
+        sanitize: false,
+        organizePages: false,
       });
     } else if (tabId === 'compression') {
       this.app.updateProcessingOptions({
@@ -518,6 +1125,8 @@ export class UIController {
         imageCompression: true,
         removeImages: false,
         splitPDF: false,
+        sanitize: false,
+        organizePages: false,
       });
     } else if (tabId === 'removal') {
       this.app.updateProcessingOptions({
@@ -525,6 +1134,8 @@ export class UIController {
         imageCompression: false,
         removeImages: true,
         splitPDF: false,
+        sanitize: false,
+        organizePages: false,
       });
     } else if (tabId === 'split') {
       let method = 'pages';
@@ -532,6 +1143,8 @@ export class UIController {
         method = 'size';
       if (this.elements.splitByPages && this.elements.splitByPages.checked)
         method = 'pages';
+      if (this.elements.splitByBookmarks?.checked) method = 'bookmarks';
+      if (this.elements.splitBySeparators?.checked) method = 'separators';
       if (this.__isDebug())
         console.log('[UIController] split method selected:', method);
       this.app.updateProcessingOptions({
@@ -539,10 +1152,42 @@ export class UIController {
         removeImages: false,
         splitPDF: true,
         splitMethod: method,
+        sanitize: false,
+        organizePages: false,
+      });
+    } else if (tabId === 'sanitize') {
+      this.app.updateProcessingOptions({
+        targetSizeMode: false,
+        imageCompression: false,
+        removeImages: false,
+        splitPDF: false,
+        sanitize: true,
+        sanitizeCategories: this.getSanitizeCategories(),
+        organizePages: false,
+      });
+    } else if (tabId === 'organize') {
+      this.app.updateProcessingOptions({
+        targetSizeMode: false,
+        imageCompression: false,
+        removeImages: false,
+        splitPDF: false,
+        sanitize: false,
+        organizePages: true,
+        pageLayout: this.getPageLayout(),
       });
     }
   }
 
+  /**
+   * Categories ticked in the Sanitize tab
+   * @returns {string[]} Subset of SANITIZE_CATEGORIES (pdf-processor.js)
+   */
+  getSanitizeCategories() {
+    return Array.from(this.elements.sanitizeCheckboxes || [])
+      .filter(cb => cb.checked)
+      .map(cb => cb.dataset.sanitize);
+  }
+
   /**
    * Setup option controls event listeners
    */
@@ -568,6 +1213,29 @@ export class UIController {
       });
     }
 
+    // Target Size tab: split into attachments when the target is out of reach
+    if (this.elements.fitAttachmentsCheckbox) {
+      this.elements.fitAttachmentsCheckbox.addEventListener('change', e => {
+        if (this.elements.maxAttachments) {
+          this.elements.maxAttachments.disabled = !e.target.checked;
+        }
+        if (this.app) {
+          this.app.updateProcessingOptions({
+            fitAttachments: e.target.checked,
+          });
+        }
+      });
+    }
+
+    if (this.elements.maxAttachments) {
+      this.elements.maxAttachments.addEventListener('input', e => {
+        const count = Math.round(Number(e.target.value));
+        if (this.app && count >= 1) {
+          this.app.updateProcessingOptions({ maxAttachments: count });
+        }
+      });
+    }
+
     // Quality slider
     if (this.elements.qualitySlider && this.elements.qualityValue) {
       if (this.__isDebug())
@@ -583,6 +1251,100 @@ export class UIController {
       });
     }
 
+    // Colour mode select (color / gray / bilevel)
+    if (this.elements.colorModeSelect) {
+      if (this.__isDebug())
+        console.log('[UIController] Binding change: colorModeSelect');
+      this.elements.colorModeSelect.addEventListener('change', e => {
+        if (this.app) {
+          const mode = ['color', 'gray', 'bilevel'].includes(e.target.value)
+            ? e.target.value
+            : 'color';
+          this.app.updateProcessingOptions({ colorMode: mode });
+        }
+      });
+    }
+
+    // Target DPI select (0 = downscale by quality)
+    if (this.elements.targetDpiSelect) {
+      if (this.__isDebug())
+        console.log('[UIController] Binding change: targetDpiSelect');
+      this.elements.targetDpiSelect.addEventListener('change', e => {
+        if (this.app) {
+          const dpi = Math.max(0, Math.min(600, Number(e.target.value) || 0));
+          this.app.updateProcessingOptions({ targetDpi: dpi });
+        }
+      });
+    }
+
+    // Font subsetting checkbox
+    if (this.elements.subsetFontsCheckbox) {
+      if (this.__isDebug())
+        console.log('[UIController] Binding change: subsetFontsCheckbox');
+      this.elements.subsetFontsCheckbox.addEventListener('change', e => {
+        if (this.app) {
+          this.app.updateProcessingOptions({ subsetFonts: e.target.checked });
+        }
+      });
+    }
+
+    // Placeholder boxes for removed images
+    if (this.elements.placeholdersCheckbox) {
+      if (this.__isDebug())
+        console.log('[UIController] Binding change: placeholdersCheckbox');
+      this.elements.placeholdersCheckbox.addEventListener('change', e => {
+        if (this.app) {
+          this.app.updateProcessingOptions({ placeholders: e.target.checked });
+        }
+      });
+    }
+
+    if (this.elements.placeholderCaptionsCheckbox) {
+      if (this.__isDebug())
+        console.log(
+          '[UIController] Binding change: placeholderCaptionsCheckbox'
+        );
+      this.elements.placeholderCaptionsCheckbox.addEventListener(
+        'change',
+        e => {
+          if (this.app) {
+            this.app.updateProcessingOptions({
+              placeholderCaptions: e.target.checked,
+            });
+          }
+        }
+      );
+    }
+
+    // Selective removal filters and the per-image list (its checkboxes
+    // bubble "change" up to the list)
+    const updateImageFilter = () => {
+      if (this.app) {
+        this.app.updateProcessingOptions({
+          imageFilter: this.getImageFilter(),
+        });
+      }
+    };
+    [
+      this.elements.removeMinKB,
+      this.elements.removeMinPixels,
+      this.elements.removePages,
+    ].forEach(input => input?.addEventListener('input', updateImageFilter));
+    [this.elements.removeColorOnly, this.elements.imageList].forEach(element =>
+      element?.addEventListener('change', updateImageFilter)
+    );
+
+    // Sanitize category checkboxes
+    (this.elements.sanitizeCheckboxes || []).forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        if (this.app) {
+          this.app.updateProcessingOptions({
+            sanitizeCategories: this.getSanitizeCategories(),
+          });
+        }
+      });
+    });
+
     // Split method radio buttons
     if (this.elements.splitByPages) {
       if (this.__isDebug())
@@ -608,6 +1370,73 @@ export class UIController {
       });
     }
 
+    if (this.elements.splitByBookmarks) {
+      this.elements.splitByBookmarks.addEventListener('change', () => {
+        this.showSplitInput('bookmarks');
+        if (this.app) {
+          this.app.updateProcessingOptions({ splitMethod: 'bookmarks' });
+        }
+      });
+    }
+
+    if (this.elements.bookmarkDepth) {
+      this.elements.bookmarkDepth.addEventListener('change', e => {
+        if (this.app) {
+          this.app.updateProcessingOptions({
+            bookmarkDepth: Number(e.target.value) || 1,
+          });
+        }
+      });
+    }
+
+    if (this.elements.splitBySeparators) {
+      this.elements.splitBySeparators.addEventListener('change', () => {
+        this.showSplitInput('separators');
+        if (this.app) {
+          this.app.updateProcessingOptions({ splitMethod: 'separators' });
+        }
+      });
+    }
+
+    // Separator pages: blank sheets or a text marker
+    if (this.elements.separatorMode) {
+      this.elements.separatorMode.addEventListener('change', e => {
+        this.showSeparatorFields(e.target.value);
+        if (this.app) {
+          this.app.updateProcessingOptions({ separatorMode: e.target.value });
+        }
+      });
+    }
+
+    if (this.elements.blankThreshold) {
+      this.elements.blankThreshold.addEventListener('input', e => {
+        const value = Number(e.target.value);
+        if (this.app && isFinite(value) && value >= 0) {
+          this.app.updateProcessingOptions({ blankThreshold: value });
+        }
+      });
+    }
+
+    if (this.elements.separatorMarker) {
+      this.elements.separatorMarker.addEventListener('input', e => {
+        if (this.app) {
+          this.app.updateProcessingOptions({
+            separatorMarker: String(e.target.value || '').trim(),
+          });
+        }
+      });
+    }
+
+    if (this.elements.dropSeparators) {
+      this.elements.dropSeparators.addEventListener('change', e => {
+        if (this.app) {
+          this.app.updateProcessingOptions({
+            dropSeparators: e.target.checked,
+          });
+        }
+      });
+    }
+
     // Page range input
     if (this.elements.pageRange) {
       if (this.__isDebug())
@@ -619,6 +1448,53 @@ export class UIController {
             pageRange: String(e.target.value || '').trim(),
           });
         }
+        this.validateInputs();
+      });
+    }
+
+    // Split tab: one output file per comma-separated group
+    if (this.elements.splitGroupsCheckbox) {
+      this.elements.splitGroupsCheckbox.addEventListener('change', e => {
+        if (this.app) {
+          this.app.updateProcessingOptions({ splitGroups: e.target.checked });
+        }
+      });
+    }
+
+    // Batch ZIP download
+    if (this.elements.batchZipBtn) {
+      this.elements.batchZipBtn.addEventListener('click', () => {
+        if (this.app) this.app.downloadBatchZip();
+      });
+    }
+
+    // Merge mode: queue order buttons and the merge button
+    if (this.elements.batchList) {
+      this.elements.batchList.addEventListener('click', e => {
+        const button = e.target.closest('button[data-move]');
+        if (!button || !this.app) return;
+        this.app.moveQueueTask(
+          button.closest('.batch-item').dataset.taskId,
+          Number(button.dataset.move)
+        );
+      });
+    }
+    if (this.elements.mergeBtn) {
+      this.elements.mergeBtn.addEventListener('click', () => {
+        if (!this.app) return;
+        this.app.mergeQueue({
+          keepOutlines: this.elements.mergeKeepOutlines?.checked !== false,
+        });
+      });
+    }
+
+    // Batch concurrency select
+    if (this.elements.batchConcurrency) {
+      this.elements.batchConcurrency.addEventListener('change', e => {
+        if (this.app) {
+          const n = Math.max(1, Math.min(3, Number(e.target.value) || 1));
+          this.app.updateProcessingOptions({ batchConcurrency: n });
+        }
       });
     }
 
@@ -648,13 +1524,40 @@ export class UIController {
     this.showSplitInput(method);
   }
 
+  /**
+   * Check the split inputs; a page range error is shown under its field
+   * @returns {boolean}
+   */
   validateInputs() {
-    // Validate pageRange like "1-5" and fileSizeLimit between 1 and 500
+    // pageRange: see getPageRangeError(); fileSizeLimit between 1 and 500
     const pr = this.elements.pageRange ? String(this.elements.pageRange.value || '').trim() : '';
     const fs = this.elements.fileSizeLimit ? Number(this.elements.fileSizeLimit.value || 0) : 0;
-    const rangeOk = pr === '' || /^\d+-\d+$/.test(pr);
+    const rangeError = this.getPageRangeError(pr);
+    if (this.elements.pageRangeError) {
+      this.elements.pageRangeError.textContent = rangeError || '';
+    }
+    this.elements.pageRange?.setAttribute('aria-invalid', String(!!rangeError));
     const sizeOk = !fs || (fs >= 1 && fs <= 500);
-    return rangeOk && sizeOk;
+    return !rangeError && sizeOk;
+  }
+
+  /**
+   * Validate the Split tab's page range against the loaded document
+   * @param {string} text - Pages per file ("10") or a range list
+   * @returns {string|null} Error message, null when valid
+   */
+  getPageRangeError(text) {
+    // Pusty tekst lub jedna liczba = stała liczba stron na plik
+    if (text === '' || /^\d+$/.test(text)) return null;
+    const pageCount = this.app?.state?.pdfDocument?.getPageCount?.();
+    try {
+      // Bez wczytanego dokumentu sprawdzamy tylko składnię
+      if (pageCount) parsePageGroups(text, pageCount);
+      else parsePageSpec(text);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
   }
 
   /**
@@ -679,17 +1582,35 @@ export class UIController {
 
   /**
    * Show split input based on selected method
-   * @param {string} method - Split method ('pages' or 'size')
+   * @param {string} method - Split method ('pages', 'size', 'bookmarks' or
+   *   'separators')
    */
   showSplitInput(method) {
     if (!this.elements.pagesInput || !this.elements.sizeInput) return;
 
-    if (method === 'pages') {
-      this.elements.pagesInput.style.display = 'block';
-      this.elements.sizeInput.style.display = 'none';
-    } else {
-      this.elements.pagesInput.style.display = 'none';
-      this.elements.sizeInput.style.display = 'block';
+    const inputs = {
+      pages: this.elements.pagesInput,
+      size: this.elements.sizeInput,
+      bookmarks: this.elements.bookmarksInput,
+      separators: this.elements.separatorsInput,
+    };
+    Object.entries(inputs).forEach(([name, input]) => {
+      if (input) input.style.display = name === method ? 'block' : 'none';
+    });
+  }
+
+  /**
+   * Show the threshold or the marker field of the separator split
+   * @param {string} mode - 'blank' or 'marker'
+   */
+  showSeparatorFields(mode) {
+    if (this.elements.blankThresholdField) {
+      this.elements.blankThresholdField.style.display =
+        mode === 'marker' ? 'none' : 'block';
+    }
+    if (this.elements.separatorMarkerField) {
+      this.elements.separatorMarkerField.style.display =
+        mode === 'marker' ? 'block' : 'none';
     }
   }
 
@@ -708,6 +1629,8 @@ export class UIController {
       this.elements.fileInfoPanel.style.display = 'none';
     }
 
+    if (this.elements.cancelBtn) this.elements.cancelBtn.disabled = false;
+
     this.state.isProcessing = true;
 
     // Trigger animation
@@ -733,6 +1656,21 @@ export class UIController {
     this.triggerAnimation('progress-update');
   }
 
+  /**
+   * Leave the progress view and show the file info/options again
+   * (used after a job is cancelled)
+   */
+  showOptionsView() {
+    this.hideProgress();
+    if (this.elements.cancelBtn) this.elements.cancelBtn.disabled = false;
+    if (this.elements.fileInfoPanel && this.app && this.app.state.currentFile) {
+      this.elements.fileInfoPanel.style.display = 'block';
+    }
+
+    // Trigger animation
+    this.triggerAnimation('options-show');
+  }
+
   /**
    * Hide progress section
    */
@@ -747,6 +1685,141 @@ export class UIController {
     this.triggerAnimation('progress-hide');
   }
 
+  // === BATCH QUEUE ===
+
+  /**
+   * Show the batch queue in place of the single-file info panel
+   * @param {Array} tasks - Queue tasks from app.state.processingQueue
+   */
+  showBatch(tasks) {
+    if (!this.elements.batchSection || !this.elements.batchList) return;
+    if (this.elements.fileInfoPanel) {
+      this.elements.fileInfoPanel.style.display = 'none';
+    }
+    this.hideThumbnails();
+    this.hideAnalysis();
+    this.clearResults();
+
+    this.elements.batchList.innerHTML = '';
+    tasks.forEach(task => {
+      const item = document.createElement('li');
+      item.className = 'batch-item';
+      item.dataset.taskId = task.id;
+      item.innerHTML = `
+        <span class="batch-name"></span>
+        <span class="batch-status"></span>
+        <span class="batch-move">
+          <button type="button" data-move="-1" title="Move up">&uarr;</button>
+          <button type="button" data-move="1" title="Move down">&darr;</button>
+        </span>
+        <div class="batch-progress"><div class="batch-progress-fill"></div></div>
+        <span class="batch-download"></span>
+      `;
+      item.querySelector('.batch-name').textContent = task.file.name;
+      this.elements.batchList.appendChild(item);
+      this.updateQueueItem(task);
+    });
+    if (this.elements.batchSummary) {
+      this.elements.batchSummary.textContent = `${tasks.length} files queued`;
+    }
+    if (this.elements.batchZipBtn) {
+      this.elements.batchZipBtn.style.display = 'none';
+    }
+    if (this.elements.mergeControls) {
+      this.elements.mergeControls.style.display =
+        tasks.length > 1 ? 'flex' : 'none';
+    }
+    this.elements.batchSection.style.display = 'block';
+
+    // Trigger animation
+    this.triggerAnimation('batch-show');
+  }
+
+  /**
+   * Hide and empty the batch queue
+   */
+  hideBatch() {
+    if (!this.elements.batchSection) return;
+    this.elements.batchSection.style.display = 'none';
+    if (this.elements.batchList) this.elements.batchList.innerHTML = '';
+  }
+
+  /**
+   * Refresh one row of the batch queue
+   * @param {Object} task - Queue task
+   */
+  updateQueueItem(task) {
+    if (!this.elements.batchList) return;
+    const item = this.elements.batchList.querySelector(
+      `[data-task-id="${task.id}"]`
+    );
+    if (!item) return;
+
+    item.className = `batch-item batch-${task.status}`;
+    const fill = item.querySelector('.batch-progress-fill');
+    if (fill) fill.style.width = `${task.progress || 0}%`;
+
+    const status = item.querySelector('.batch-status');
+    if (task.status === 'done' && task.result) {
+      const { originalFile, processedFile, files } = task.result;
+      const saved = originalFile.size - processedFile.size;
+      const percent =
+        originalFile.size > 0
+          ? Math.round((saved / originalFile.size) * 100)
+          : 0;
+      status.textContent = `${this.formatFileSize(originalFile.size)} → ${this.formatFileSize(processedFile.size)} (${percent}%)`;
+      this.renderQueueDownloads(item, files || [processedFile]);
+    } else {
+      status.textContent = task.message || task.status;
+    }
+  }
+
+  /**
+   * Add download buttons for a finished task
+   * @param {HTMLElement} item - Batch row
+   * @param {File[]} files - Output files (several when the PDF was split)
+   */
+  renderQueueDownloads(item, files) {
+    const container = item.querySelector('.batch-download');
+    if (!container || container.childElementCount > 0) return;
+    files.forEach((file, i) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'download-button';
+      btn.textContent = files.length > 1 ? `Part ${i + 1}` : 'Download';
+      btn.addEventListener('click', () => this.handleDownload(file));
+      container.appendChild(btn);
+    });
+  }
+
+  /**
+   * Show the totals once the batch has finished
+   * @param {Array} tasks - Queue tasks
+   */
+  updateBatchSummary(tasks) {
+    if (!this.elements.batchSummary) return;
+    const done = tasks.filter(t => t.status === 'done' && t.result);
+    const failed = tasks.filter(t => t.status === 'error').length;
+    const original = done.reduce(
+      (sum, t) => sum + t.result.originalFile.size,
+      0
+    );
+    const processed = done.reduce(
+      (sum, t) => sum + t.result.processedFile.size,
+      0
+    );
+    let text = `${done.length}/${tasks.length} files processed`;
+    if (failed > 0) text += `, ${failed} failed`;
+    if (done.length > 0) {
+      text += ` · ${this.formatFileSize(original)} → ${this.formatFileSize(processed)}`;
+    }
+    this.elements.batchSummary.textContent = text;
+    if (this.elements.batchZipBtn) {
+      this.elements.batchZipBtn.style.display =
+        done.length > 0 ? 'inline-block' : 'none';
+    }
+  }
+
   // === RESULTS DISPLAY ===
 
   /**
@@ -814,6 +1887,43 @@ export class UIController {
         ` (${files.savings.savingsPercentage}% reduction)`;
     }
 
+    // Image counters from the compression pass (absent when nothing ran)
+    if (this.elements.resultDetails) {
+      const stats = files.stats || {};
+      const details = [];
+      if (stats.duplicateImagesMerged > 0) {
+        details.push(`${stats.duplicateImagesMerged} duplicate images merged`);
+      }
+      if (stats.imagesRecompressed > 0) {
+        details.push(`${stats.imagesRecompressed} images recompressed`);
+      }
+      if (files.fit) {
+        details.push(`fits in 1 attachment of at most ${files.fit.limitMB} MB`);
+      }
+      Object.entries(stats.sanitizedBytes || {}).forEach(
+        ([category, bytes]) => {
+          details.push(
+            `${SANITIZE_LABELS[category] || category}: ${this.formatFileSize(bytes)} removed`
+          );
+        }
+      );
+      this.elements.resultDetails.textContent = details.join(', ');
+      this.elements.resultDetails.style.display = details.length
+        ? 'block'
+        : 'none';
+    }
+
+    // Compare view only for a single output (not for split parts)
+    this.compareFiles =
+      files.originalFile && !(files.files && files.files.length > 1)
+        ? [files.originalFile, files.processedFile]
+        : null;
+    if (this.elements.compareBtn) {
+      this.elements.compareBtn.style.display = this.compareFiles
+        ? 'inline-block'
+        : 'none';
+    }
+
     // Setup download handlers with error handling
     if (this.elements.originalDownload) {
       // Remove any existing event listeners to prevent duplicates
@@ -871,6 +1981,41 @@ export class UIController {
     this.triggerAnimation('results-show');
   }
 
+  /**
+   * Open the before/after viewer below the results
+   * @param {File} original - File before processing
+   * @param {File} processed - Processed file
+   */
+  async openCompare(original, processed) {
+    if (!this.elements.compareSection) return;
+    if (!this.compareViewer) {
+      this.compareViewer = new CompareViewer(this.elements.compareSection, {
+        onError: error => {
+          console.error('[UIController] Cannot render comparison:', error);
+          this.showNotification(
+            'Cannot render the comparison: ' + error.message,
+            'error'
+          );
+        },
+      });
+    }
+    try {
+      const opened = await this.compareViewer.open(original, processed);
+      if (!opened) {
+        this.showNotification(
+          'Preview is not available: pdf.js is not loaded',
+          'warning'
+        );
+      }
+    } catch (error) {
+      console.error('[UIController] Cannot open comparison:', error);
+      this.showNotification(
+        'Cannot open the comparison: ' + error.message,
+        'error'
+      );
+    }
+  }
+
   /**
    * Create result card for a file
    * @param {File} file - File to create card for
@@ -961,6 +2106,8 @@ export class UIController {
     if (this.elements.resultsSection) {
       this.elements.resultsSection.style.display = 'none';
     }
+    if (this.compareViewer) this.compareViewer.close();
+    this.compareFiles = null;
 
     // Trigger animation
     this.triggerAnimation('results-clear');
@@ -1367,6 +2514,16 @@ export class UIController {
       console.log('[UIController] App reference:', this.app);
 
     if (this.app) {
+      // The page range is checked here so its errors show up before any work
+      const { splitPDF, splitMethod } = this.app.state?.processingOptions || {};
+      if (splitPDF && splitMethod === 'pages' && !this.validateInputs()) {
+        this.showNotification(
+          this.elements.pageRangeError?.textContent ||
+            'Check the split settings',
+          'error'
+        );
+        return;
+      }
       if (this.__isDebug())
         console.log('[UIController] Calling app.processPDF');
       this.app.processPDF();
@@ -1394,6 +2551,19 @@ export class UIController {
     }
   }
 
+  /**
+   * Handle cancel button click
+   */
+  handleCancel() {
+    if (!this.app || !this.state.isProcessing) return;
+    if (this.elements.cancelBtn) this.elements.cancelBtn.disabled = true;
+    this.updateProgress(
+      parseFloat(this.elements.progressFill?.style.width) || 0,
+      'Cancelling…'
+    );
+    this.app.cancelProcessing();
+  }
+
   /**
    * Reset application state
    */
@@ -1404,6 +2574,9 @@ export class UIController {
     this.resetUploadArea();
     this.hideProgress();
     this.clearResults();
+    this.showImageList([]);
+    this.hideThumbnails();
+    this.hideAnalysis();
 
     // Trigger animation
     this.triggerAnimation('app-reset');
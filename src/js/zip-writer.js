@@ -0,0 +1,308 @@
+// zip-writer.js - Minimal ZIP (STORE) writer running entirely in the browser
+// PDFs are already compressed, so entries are stored without deflate. The
+// archive is assembled as a Blob whose parts reference the original files,
+// so outputs are never copied into one big buffer; only the CRC pass reads
+// them, chunk by chunk.
+
+const CHUNK_SIZE = 4 * 1024 * 1024;
+const MAX_UINT32 = 0xffffffff;
+const FLAG_UTF8 = 0x0800;
+
+let crcTable = null;
+
+function getCrcTable() {
+  if (crcTable) return crcTable;
+  crcTable = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    crcTable[n] = c >>> 0;
+  }
+  return crcTable;
+}
+
+/**
+ * Update a CRC-32 with more bytes
+ * @param {Uint8Array} bytes - Next chunk
+ * @param {number} crc - CRC of the previous chunks (0 to start)
+ * @returns {number} Unsigned CRC-32
+ */
+export function crc32(bytes, crc = 0) {
+  const table = getCrcTable();
+  let c = (crc ^ MAX_UINT32) >>> 0;
+  for (let i = 0; i < bytes.length; i++) {
+    c = table[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ MAX_UINT32) >>> 0;
+}
+
+/**
+ * Read a Blob slice as bytes (Blob.arrayBuffer is missing in older engines)
+ * @param {Blob} blob
+ * @returns {Promise<Uint8Array>}
+ */
+function readBlob(blob) {
+  if (typeof blob.arrayBuffer === 'function') {
+    return blob.arrayBuffer().then(buf => new Uint8Array(buf));
+  }
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+/**
+ * Compute the CRC-32 of a Blob without loading it all at once
+ * @param {Blob} blob
+ * @returns {Promise<number>}
+ */
+async function crc32Blob(blob) {
+  let crc = 0;
+  if (typeof blob.stream === 'function') {
+    const reader = blob.stream().getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      crc = crc32(value, crc);
+    }
+    return crc;
+  }
+  for (let pos = 0; pos < blob.size; pos += CHUNK_SIZE) {
+    crc = crc32(await readBlob(blob.slice(pos, pos + CHUNK_SIZE)), crc);
+  }
+  return crc;
+}
+
+/**
+ * Convert a date to MS-DOS time/date fields
+ * @param {Date} date
+ * @returns {{ time: number, date: number }}
+ */
+function toDosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * ZipWriter - collects entries and produces a ZIP Blob.
+ *
+ * Usage:
+ *   const zip = new ZipWriter();
+ *   await zip.add('part-1.pdf', file);
+ *   const blob = zip.close();
+ */
+export class ZipWriter {
+  constructor() {
+    this.parts = [];
+    this.entries = [];
+    this.names = new Set();
+    this.offset = 0;
+    this.closed = false;
+    this.encoder = new TextEncoder();
+  }
+
+  /**
+   * Add one file to the archive
+   * @param {string} name - Path inside the archive (made unique if taken)
+   * @param {Blob|Uint8Array|string} data - Entry contents
+   * @param {Object} [options]
+   * @param {Date} [options.date] - Modification time
+   * @returns {Promise<string>} Name actually used
+   */
+  async add(name, data, { date = new Date() } = {}) {
+    if (this.closed) throw new Error('ZIP archive already closed');
+    const blob = data instanceof Blob ? data : new Blob([data]);
+    if (blob.size > MAX_UINT32 || this.offset + blob.size > MAX_UINT32) {
+      throw new Error('ZIP archive too large (over 4 GB)');
+    }
+
+    const entryName = this.uniqueName(name);
+    const nameBytes = this.encoder.encode(entryName);
+    const crc = await crc32Blob(blob);
+    const dos = toDosDateTime(date);
+
+    const header = new Uint8Array(30 + nameBytes.length);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, 0x04034b50, true); // local file header signature
+    view.setUint16(4, 20, true); // version needed
+    view.setUint16(6, FLAG_UTF8, true);
+    view.setUint16(8, 0, true); // method: STORE
+    view.setUint16(10, dos.time, true);
+    view.setUint16(12, dos.date, true);
+    view.setUint32(14, crc, true);
+    view.setUint32(18, blob.size, true); // compressed size
+    view.setUint32(22, blob.size, true); // uncompressed size
+    view.setUint16(26, nameBytes.length, true);
+    view.setUint16(28, 0, true); // extra field length
+    header.set(nameBytes, 30);
+
+    this.entries.push({
+      nameBytes,
+      crc,
+      size: blob.size,
+      dos,
+      offset: this.offset,
+    });
+    this.parts.push(header, blob);
+    this.offset += header.length + blob.size;
+    return entryName;
+  }
+
+  /**
+   * Avoid duplicate entry names ("a.pdf" → "a (2).pdf")
+   * @param {string} name
+   * @returns {string}
+   */
+  uniqueName(name) {
+    const clean = String(name || 'file').replace(/\\/g, '/');
+    let candidate = clean;
+    for (let i = 2; this.names.has(candidate); i++) {
+      const dot = clean.lastIndexOf('.');
+      candidate =
+        dot > 0
+          ? `${clean.slice(0, dot)} (${i})${clean.slice(dot)}`
+          : `${clean} (${i})`;
+    }
+    this.names.add(candidate);
+    return candidate;
+  }
+
+  /**
+   * Write the central directory and return the finished archive
+   * @returns {Blob} application/zip
+   */
+  close() {
+    if (this.closed) throw new Error('ZIP archive already closed');
+    if (this.entries.length > 0xffff) {
+      throw new Error('Too many files for a ZIP archive');
+    }
+    this.closed = true;
+
+    const start = this.offset;
+    let dirSize = 0;
+    this.entries.forEach(entry => {
+      const record = new Uint8Array(46 + entry.nameBytes.length);
+      const view = new DataView(record.buffer);
+      view.setUint32(0, 0x02014b50, true); // central directory signature
+      view.setUint16(4, 20, true); // version made by
+      view.setUint16(6, 20, true); // version needed
+      view.setUint16(8, FLAG_UTF8, true);
+      view.setUint16(10, 0, true); // method: STORE
+      view.setUint16(12, entry.dos.time, true);
+      view.setUint16(14, entry.dos.date, true);
+      view.setUint32(16, entry.crc, true);
+      view.setUint32(20, entry.size, true);
+      view.setUint32(24, entry.size, true);
+      view.setUint16(28, entry.nameBytes.length, true);
+      // extra/comment length, disk number, attributes: all zero
+      view.setUint32(42, entry.offset, true);
+      record.set(entry.nameBytes, 46);
+      this.parts.push(record);
+      dirSize += record.length;
+    });
+
+    const end = new Uint8Array(22);
+    const view = new DataView(end.buffer);
+    view.setUint32(0, 0x06054b50, true); // end of central directory
+    view.setUint16(8, this.entries.length, true);
+    view.setUint16(10, this.entries.length, true);
+    view.setUint32(12, dirSize, true);
+    view.setUint32(16, start, true);
+    this.parts.push(end);
+
+    return new Blob(this.parts, { type: 'application/zip' });
+  }
+}
+
+/**
+ * Savings of one output compared with its source
+ * @param {number} originalSize
+ * @param {number} size
+ * @returns {{ savingsBytes: number, savingsPercentage: number }}
+ */
+function savingsOf(originalSize, size) {
+  const savingsBytes = originalSize - size;
+  return {
+    savingsBytes,
+    savingsPercentage:
+      originalSize > 0
+        ? Math.round((savingsBytes / originalSize) * 1000) / 10
+        : 0,
+  };
+}
+
+/**
+ * Package outputs into one ZIP with a manifest.json listing sizes and savings
+ * @param {Array<File|{ file: File, originalName?: string, originalSize?: number }>} items
+ *   Outputs; pass the source name/size to get per-file savings (batch mode)
+ * @param {Object} [options]
+ * @param {Object|false} [options.manifest] - Extra top-level manifest fields, or false for no manifest;
+ *   `source: { name, size }` (parts of one split file) gives the total savings against the source
+ * @param {Function} [options.onProgress] - Called with (done, total)
+ * @returns {Promise<Blob>}
+ */
+export async function createZipArchive(
+  items,
+  { manifest = {}, onProgress } = {}
+) {
+  const zip = new ZipWriter();
+  const listed = [];
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i] instanceof Blob ? { file: items[i] } : items[i];
+    const name = await zip.add(item.file.name, item.file);
+    const entry = { name, size: item.file.size };
+    if (typeof item.originalSize === 'number') {
+      entry.originalName = item.originalName;
+      entry.originalSize = item.originalSize;
+      Object.assign(entry, savingsOf(item.originalSize, item.file.size));
+    }
+    listed.push(entry);
+    if (onProgress) onProgress(i + 1, items.length);
+  }
+
+  if (manifest !== false) {
+    const totalSize = listed.reduce((sum, e) => sum + e.size, 0);
+    const totals = { files: listed.length, size: totalSize };
+    const withSource = listed.filter(e => typeof e.originalSize === 'number');
+    if (withSource.length > 0) {
+      const original = withSource.reduce((sum, e) => sum + e.originalSize, 0);
+      const size = withSource.reduce((sum, e) => sum + e.size, 0);
+      Object.assign(
+        totals,
+        { originalSize: original },
+        savingsOf(original, size)
+      );
+    } else if (typeof manifest.source?.size === 'number') {
+      // Części jednego pliku: oszczędność liczona względem całego źródła
+      Object.assign(
+        totals,
+        { originalSize: manifest.source.size },
+        savingsOf(manifest.source.size, totalSize)
+      );
+    }
+    await zip.add(
+      'manifest.json',
+      JSON.stringify(
+        {
+          createdAt: new Date().toISOString(),
+          ...manifest,
+          files: listed,
+          totals,
+        },
+        null,
+        2
+      )
+    );
+  }
+  return zip.close();
+}
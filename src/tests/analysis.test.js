@@ -0,0 +1,156 @@
+import * as PDFLib from 'pdf-lib';
+import { createProcessor } from './test-utils.js';
+
+const { PDFName } = PDFLib;
+
+const bytesOf = text => Uint8Array.from(text, c => c.charCodeAt(0));
+
+/**
+ * Two pages sharing a font: page 1 draws a 300x300 JPEG at 2x2 inches
+ * (150 DPI), page 2 carries an indexed image it never draws and links to
+ * page 1
+ */
+async function documentToAnalyze() {
+  const pdfDoc = await PDFLib.PDFDocument.create();
+  const { context } = pdfDoc;
+  const font = context.register(
+    context.flateStream(new Uint8Array(2000).fill(1))
+  );
+  const photo = context.register(
+    context.stream(new Uint8Array(5000), {
+      Type: 'XObject',
+      Subtype: 'Image',
+      Width: 300,
+      Height: 300,
+      ColorSpace: 'DeviceRGB',
+      BitsPerComponent: 8,
+      Filter: 'DCTDecode',
+    })
+  );
+  const palette = context.register(
+    context.flateStream(new Uint8Array(100), {
+      Type: 'XObject',
+      Subtype: 'Image',
+      Width: 10,
+      Height: 10,
+      ColorSpace: ['Indexed', 'DeviceRGB', 1, PDFLib.PDFHexString.of('ff0000')],
+      BitsPerComponent: 1,
+    })
+  );
+  const pages = [0, 1].map(() => {
+    const page = pdfDoc.addPage([600, 600]);
+    page.node.setFontDictionary(PDFName.of('F1'), font);
+    return page;
+  });
+  pages[0].node.setXObject(PDFName.of('Photo'), photo);
+  pages[0].node.set(
+    PDFName.of('Contents'),
+    context.register(
+      context.stream(bytesOf('q 144 0 0 144 0 0 cm /Photo Do Q'))
+    )
+  );
+  pages[1].node.setXObject(PDFName.of('Logo'), palette);
+  pages[1].node.set(
+    PDFName.of('Annots'),
+    context.obj([
+      context.obj({
+        Type: 'Annot',
+        Subtype: 'Link',
+        Rect: [0, 0, 10, 10],
+        Dest: [pages[0].ref, 'Fit'],
+      }),
+    ])
+  );
+  return { pdfDoc, pages, font, photo, palette };
+}
+
+describe('analyzePDF', () => {
+  it('should list images with their encoding and effective DPI', async () => {
+    const { pdfDoc, photo } = await documentToAnalyze();
+
+    const { images } = createProcessor().analyzePDF(pdfDoc);
+
+    expect(images.map(image => image.name)).toEqual(['Photo', 'Logo']);
+    expect(images[0]).toEqual({
+      id: photo.toString(),
+      name: 'Photo',
+      pages: [0],
+      width: 300,
+      height: 300,
+      size: 5000,
+      gray: false,
+      filters: ['DCTDecode'],
+      colorSpace: 'DeviceRGB',
+      bitsPerComponent: 8,
+      dpi: 150,
+    });
+    expect(images[1]).toMatchObject({
+      pages: [1],
+      filters: ['FlateDecode'],
+      colorSpace: 'Indexed DeviceRGB',
+      bitsPerComponent: 1,
+      dpi: null,
+    });
+  });
+
+  it('should list inline images drawn in page content', async () => {
+    const { pdfDoc, pages } = await documentToAnalyze();
+    pages[1].node.set(
+      PDFName.of('Contents'),
+      pdfDoc.context.register(
+        pdfDoc.context.stream(
+          bytesOf('q 72 0 0 72 0 0 cm BI /W 2 /H 2 /CS /G /BPC 8 ID abcd EI Q')
+        )
+      )
+    );
+
+    const { images } = createProcessor().analyzePDF(pdfDoc);
+
+    expect(images.find(image => image.id === 'inline-1')).toMatchObject({
+      name: 'Inline image 1',
+      pages: [1],
+      width: 2,
+      height: 2,
+      filters: [],
+      colorSpace: 'DeviceGray',
+      bitsPerComponent: 8,
+      dpi: 2,
+    });
+  });
+
+  it('should split the file size between pages', async () => {
+    const { pdfDoc, pages, font } = await documentToAnalyze();
+    const processor = createProcessor();
+
+    const report = processor.analyzePDF(pdfDoc, 100000);
+
+    expect(report.totalBytes).toBe(100000);
+    const [first, second] = report.pages;
+    expect(first.share).toBeGreaterThan(second.share);
+    expect(first.imageBytes).toBeGreaterThan(second.imageBytes);
+    const pageBytes = first.bytes + second.bytes;
+    expect(pageBytes + report.documentBytes).toBe(100000);
+    // Wspólny font liczony dla obu stron, link nie wciąga strony 1
+    const objects = processor.collectPageObjects(pdfDoc, pages[1]);
+    expect(objects.has(font)).toBe(true);
+    expect(objects.has(pages[0].ref)).toBe(false);
+  });
+});
+
+describe('createImageThumbnail', () => {
+  it('should return JPEG images as they are stored', async () => {
+    const { pdfDoc, photo } = await documentToAnalyze();
+    const processor = createProcessor();
+
+    const thumbnail = await processor.createImageThumbnail(
+      pdfDoc,
+      photo.toString()
+    );
+
+    expect(thumbnail.type).toBe('image/jpeg');
+    expect(thumbnail.size).toBe(5000);
+    await expect(
+      processor.createImageThumbnail(pdfDoc, '999 0 R')
+    ).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,142 @@
+import { CompareViewer } from '../js/compare-viewer.js';
+import { openRenderDocument, renderPage } from '../js/page-renderer.js';
+
+jest.mock('../js/page-renderer.js', () => ({
+  openRenderDocument: jest.fn(),
+  renderPage: jest.fn(),
+}));
+
+const MARKUP = `
+  <div id="compareSection" style="display: none;">
+    <button type="button" data-compare="prev"></button>
+    <span data-compare="page"></span>
+    <button type="button" data-compare="next"></button>
+    <button type="button" data-compare="zoomOut"></button>
+    <span data-compare="zoom"></span>
+    <button type="button" data-compare="zoomIn"></button>
+    <select data-compare="mode">
+      <option value="side">Side by side</option>
+      <option value="slider">Slider</option>
+      <option value="diff">Difference</option>
+    </select>
+    <input type="range" data-compare="slider" hidden>
+    <button type="button" data-compare="close"></button>
+    <div class="compare-stage mode-side">
+      <div class="compare-pane"><div class="compare-canvas"></div></div>
+      <div class="compare-pane"><div class="compare-canvas"></div></div>
+    </div>
+  </div>
+`;
+
+const fakeDocument = numPages => ({ numPages, destroy: jest.fn() });
+const holders = () => Array.from(document.querySelectorAll('.compare-canvas'));
+const click = action =>
+  document.querySelector(`[data-compare="${action}"]`).click();
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('CompareViewer', () => {
+  let viewer;
+  let documents;
+  let onError;
+
+  beforeEach(async () => {
+    document.body.innerHTML = MARKUP;
+    documents = [fakeDocument(3), fakeDocument(2)];
+    openRenderDocument
+      .mockResolvedValueOnce(documents[0])
+      .mockResolvedValueOnce(documents[1]);
+    renderPage.mockImplementation(async (pdf, pageIndex, size) => {
+      const canvas = document.createElement('canvas');
+      canvas.width = size;
+      canvas.height = size;
+      canvas.dataset.page = String(pageIndex);
+      return canvas;
+    });
+    onError = jest.fn();
+    viewer = new CompareViewer(document.getElementById('compareSection'), {
+      onError,
+    });
+    await viewer.open(new Blob(['a']), new Blob(['b']));
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should render the same page of both documents', () => {
+    expect(viewer.root.style.display).toBe('block');
+    expect(renderPage).toHaveBeenCalledWith(documents[0], 0, 600);
+    expect(renderPage).toHaveBeenCalledWith(documents[1], 0, 600);
+    holders().forEach(holder =>
+      expect(holder.querySelector('canvas').dataset.page).toBe('0')
+    );
+    // Wspólny zakres stron obu plików
+    expect(viewer.controls.page.textContent).toBe('1 / 2');
+    expect(viewer.controls.prev.disabled).toBe(true);
+  });
+
+  it('should navigate pages within the shorter document', async () => {
+    click('next');
+    await settle();
+    expect(viewer.controls.page.textContent).toBe('2 / 2');
+    holders().forEach(holder =>
+      expect(holder.querySelector('canvas').dataset.page).toBe('1')
+    );
+    expect(viewer.controls.next.disabled).toBe(true);
+  });
+
+  it('should report render errors from the toolbar', async () => {
+    renderPage.mockRejectedValueOnce(new Error('Broken page'));
+
+    click('next');
+    await settle();
+
+    expect(onError).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'Broken page' })
+    );
+  });
+
+  it('should zoom and pan both views together', async () => {
+    const stage = document.querySelector('.compare-stage');
+    const pointer = (type, x, y) => {
+      const event = new Event(type);
+      Object.assign(event, { clientX: x, clientY: y, pointerId: 1 });
+      stage.dispatchEvent(event);
+    };
+    pointer('pointerdown', 100, 100);
+    pointer('pointermove', 130, 90);
+    pointer('pointerup', 130, 90);
+    holders().forEach(holder =>
+      expect(holder.style.transform).toBe('translate(30px, -10px)')
+    );
+
+    click('zoomIn');
+    await settle();
+    expect(renderPage).toHaveBeenLastCalledWith(expect.anything(), 0, 900);
+    expect(viewer.controls.zoom.textContent).toBe('150%');
+    // Przesunięcie skalowane razem z powiększeniem
+    holders().forEach(holder =>
+      expect(holder.style.transform).toBe('translate(45px, -15px)')
+    );
+  });
+
+  it('should overlay the pages in slider mode and release them on close', async () => {
+    const mode = viewer.controls.mode;
+    mode.value = 'slider';
+    mode.dispatchEvent(new Event('change'));
+    await settle();
+    const stage = document.querySelector('.compare-stage');
+    expect(stage.classList.contains('mode-slider')).toBe(true);
+    expect(stage.classList.contains('mode-side')).toBe(false);
+    expect(viewer.controls.slider.hidden).toBe(false);
+
+    viewer.controls.slider.value = '30';
+    viewer.controls.slider.dispatchEvent(new Event('input'));
+    expect(stage.style.getPropertyValue('--compare-split')).toBe('30%');
+
+    click('close');
+    expect(viewer.root.style.display).toBe('none');
+    documents.forEach(pdf => expect(pdf.destroy).toHaveBeenCalled());
+    holders().forEach(holder => expect(holder.childElementCount).toBe(0));
+  });
+});
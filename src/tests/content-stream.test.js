@@ -0,0 +1,107 @@
+import * as PDFLib from 'pdf-lib';
+import {
+  parseContentStream,
+  findDrawnXObjects,
+  placedSize,
+  effectiveDpi,
+  decodeStringToken,
+  removeOperations,
+} from '../js/content-stream.js';
+import { createProcessor } from './test-utils.js';
+
+const bytesOf = text => Uint8Array.from(text, c => c.charCodeAt(0));
+
+describe('content-stream', () => {
+  it('should parse operators with their operands and byte ranges', () => {
+    const text = 'q /GS0 gs [1 (a\\)b) <0A>] TJ 1 0 0 1 5 5 cm Q';
+    const ops = parseContentStream(bytesOf(text));
+
+    expect(ops.map(o => o.op)).toEqual(['q', 'gs', 'TJ', 'cm', 'Q']);
+    expect(ops[1].operands).toEqual([{ type: 'name', value: 'GS0' }]);
+    expect(ops[2].operands[0]).toHaveLength(3);
+    expect(text.slice(ops[3].start, ops[3].end)).toBe('1 0 0 1 5 5 cm');
+  });
+
+  it('should skip inline image data', () => {
+    const text = 'BI /W 2 /H 1 /BPC 8 /CS /G ID \x00EI\xff EI Q';
+    const ops = parseContentStream(bytesOf(text));
+
+    expect(ops.map(o => o.op)).toEqual(['BI', 'Q']);
+    expect(ops[0].operands[0].value.W).toBe(2);
+    expect(text.slice(ops[0].dataStart, ops[0].dataEnd)).toBe('\x00EI\xff');
+  });
+
+  it('should decode literal and hex string operands', () => {
+    const bytes = bytesOf('(a\\)\\101\\n) Tj <4 1f> Tj');
+    const [literal, hex] = parseContentStream(bytes).map(o => o.operands[0]);
+
+    expect(Array.from(decodeStringToken(bytes, literal))).toEqual([
+      0x61, 0x29, 0x41, 0x0a,
+    ]);
+    expect(Array.from(decodeStringToken(bytes, hex))).toEqual([0x41, 0xf0]);
+  });
+
+  it('should track the CTM through q/Q and cm', () => {
+    const ops = parseContentStream(
+      bytesOf('q 2 0 0 2 0 0 cm q 100 0 0 50 10 10 cm /Im0 Do Q /Im1 Do Q')
+    );
+    const drawn = findDrawnXObjects(ops);
+
+    expect(drawn.map(d => d.name)).toEqual(['Im0', 'Im1']);
+    expect(placedSize(drawn[0].ctm)).toEqual({ width: 200, height: 100 });
+    expect(placedSize(drawn[1].ctm)).toEqual({ width: 2, height: 2 });
+  });
+
+  it('should cut operations and drop the wrappers they leave empty', () => {
+    const text =
+      'q 9 0 0 9 0 0 cm /Im0 Do Q q 1 0 0 1 5 5 cm /Fm0 Do Q ' +
+      'q BI /W 1 /H 1 ID \x00Q\xff EI Q';
+    const { bytes, removed } = removeOperations(
+      bytesOf(text),
+      ({ op, operands }) =>
+        op === 'BI' || (op === 'Do' && operands[0].value === 'Im0')
+    );
+    const ops = parseContentStream(bytes);
+
+    expect(removed).toBe(2);
+    expect(ops.map(o => o.op)).toEqual(['q', 'cm', 'Do', 'Q']);
+    expect(ops[2].operands[0].value).toBe('Fm0');
+  });
+
+  it('should compute the effective DPI of a placed image', () => {
+    // 600x600 px drawn on a 72x72 pt (1 inch) square
+    expect(effectiveDpi(600, 600, { width: 72, height: 72 })).toBe(600);
+  });
+
+  it('should find image placements in a real document', async () => {
+    const pdfDoc = await PDFLib.PDFDocument.create();
+    const page = pdfDoc.addPage([612, 792]);
+    const image = pdfDoc.context.register(
+      pdfDoc.context.stream(new Uint8Array(3), {
+        Type: 'XObject',
+        Subtype: 'Image',
+        Width: 1,
+        Height: 1,
+        ColorSpace: 'DeviceRGB',
+        BitsPerComponent: 8,
+      })
+    );
+    page.node.setXObject(PDFLib.PDFName.of('Im0'), image);
+    page.pushOperators(
+      PDFLib.pushGraphicsState(),
+      PDFLib.concatTransformationMatrix(144, 0, 0, 72, 0, 0),
+      PDFLib.drawObject('Im0'),
+      PDFLib.popGraphicsState()
+    );
+    // Reload so the page content is a Flate-encoded raw stream
+    const loaded = await PDFLib.PDFDocument.load(await pdfDoc.save());
+    const processor = createProcessor();
+
+    const placements = processor.collectImagePlacements(loaded);
+
+    expect(placements.get(loaded.context.lookup(image))).toEqual({
+      width: 144,
+      height: 72,
+    });
+  });
+});
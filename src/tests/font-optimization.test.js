@@ -0,0 +1,187 @@
+import * as PDFLib from 'pdf-lib';
+import { subsetTrueTypeGlyphs, readTableDirectory } from '../js/font-subset.js';
+import { createProcessor, toFile } from './test-utils.js';
+
+const { PDFName } = PDFLib;
+
+const simpleGlyph = size => {
+  const glyph = new Uint8Array(size);
+  glyph[1] = 1; // numberOfContours = 1
+  // Pseudo-random outline data so the glyph does not deflate to nothing
+  let seed = size;
+  for (let i = 10; i < size; i++) {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    glyph[i] = seed >> 16;
+  }
+  return glyph;
+};
+// Composite glyph (numberOfContours = -1) with one component: glyph 1
+const COMPOSITE = new Uint8Array([
+  0xff, 0xff, 0, 0, 0, 0, 0, 0, 0, 0, 0x00, 0x00, 0x00, 0x01, 0, 0,
+]);
+
+/**
+ * Minimal TrueType font: head, maxp, loca (short) and glyf
+ * Glyphs: 0 and 1 simple, 2 composite (uses 1), 3 a large simple glyph
+ */
+function buildFont() {
+  const glyphs = [
+    simpleGlyph(12),
+    simpleGlyph(12),
+    COMPOSITE,
+    simpleGlyph(400),
+  ];
+  const glyf = new Uint8Array(glyphs.reduce((n, g) => n + g.length, 0));
+  const loca = new DataView(new ArrayBuffer((glyphs.length + 1) * 2));
+  let offset = 0;
+  glyphs.forEach((glyph, gid) => {
+    loca.setUint16(gid * 2, offset / 2);
+    glyf.set(glyph, offset);
+    offset += glyph.length;
+  });
+  loca.setUint16(glyphs.length * 2, offset / 2);
+  const head = new Uint8Array(54);
+  const maxp = new DataView(new ArrayBuffer(6));
+  maxp.setUint32(0, 0x00005000);
+  maxp.setUint16(4, glyphs.length);
+
+  const tables = [
+    ['glyf', glyf],
+    ['head', head],
+    ['loca', new Uint8Array(loca.buffer)],
+    ['maxp', new Uint8Array(maxp.buffer)],
+  ];
+  let size = 12 + tables.length * 16;
+  const offsets = tables.map(([, data]) => {
+    const at = size;
+    size += (data.length + 3) & ~3;
+    return at;
+  });
+  const font = new Uint8Array(size);
+  const view = new DataView(font.buffer);
+  view.setUint32(0, 0x00010000);
+  view.setUint16(4, tables.length);
+  tables.forEach(([tag, data], i) => {
+    const record = 12 + i * 16;
+    for (let k = 0; k < 4; k++) font[record + k] = tag.charCodeAt(k);
+    view.setUint32(record + 8, offsets[i]);
+    view.setUint32(record + 12, data.length);
+    font.set(data, offsets[i]);
+  });
+  return font;
+}
+
+const glyphLengths = font => {
+  const tables = readTableDirectory(font);
+  const view = new DataView(font.buffer, font.byteOffset);
+  const loca = tables.get('loca');
+  return [0, 1, 2, 3].map(
+    gid =>
+      (view.getUint16(loca.offset + gid * 2 + 2) -
+        view.getUint16(loca.offset + gid * 2)) *
+      2
+  );
+};
+
+describe('font optimization', () => {
+  it('should empty unused glyphs but keep composite components', () => {
+    const subset = subsetTrueTypeGlyphs(buildFont(), [2]);
+
+    expect(glyphLengths(subset)).toEqual([12, 12, 16, 0]);
+  });
+
+  it('should merge identical embedded fonts and drop unused objects', async () => {
+    const pdfDoc = await PDFLib.PDFDocument.create();
+    const { context } = pdfDoc;
+    const program = buildFont();
+    const addFont = () => {
+      const file = context.register(context.flateStream(program));
+      const descriptor = context.register(
+        context.obj({
+          Type: 'FontDescriptor',
+          FontName: 'Test',
+          FontFile2: file,
+        })
+      );
+      return context.register(
+        context.obj({
+          Type: 'Font',
+          Subtype: 'TrueType',
+          BaseFont: 'Test',
+          FontDescriptor: descriptor,
+        })
+      );
+    };
+    const page = pdfDoc.addPage();
+    page.node.setFontDictionary(PDFName.of('F1'), addFont());
+    page.node.setFontDictionary(PDFName.of('F2'), addFont());
+    const orphan = context.register(context.flateStream(new Uint8Array(10)));
+
+    await createProcessor().optimizePDF(pdfDoc);
+
+    const fonts = page.node.Resources().lookup(PDFName.of('Font'));
+    expect(fonts.get(PDFName.of('F1'))).toBe(fonts.get(PDFName.of('F2')));
+    expect(context.lookup(orphan)).toBeUndefined();
+    await expect(
+      PDFLib.PDFDocument.load(await pdfDoc.save())
+    ).resolves.toBeDefined();
+  });
+
+  it('should subset an Identity-H TrueType font to the glyphs shown', async () => {
+    const pdfDoc = await PDFLib.PDFDocument.create();
+    const { context } = pdfDoc;
+    const file = context.register(context.flateStream(buildFont()));
+    const cidFont = context.obj({
+      Type: 'Font',
+      Subtype: 'CIDFontType2',
+      BaseFont: 'Test',
+      CIDToGIDMap: 'Identity',
+      FontDescriptor: context.register(
+        context.obj({
+          Type: 'FontDescriptor',
+          FontName: 'Test',
+          FontFile2: file,
+        })
+      ),
+    });
+    const font = context.register(
+      context.obj({
+        Type: 'Font',
+        Subtype: 'Type0',
+        BaseFont: 'Test',
+        Encoding: 'Identity-H',
+        DescendantFonts: [context.register(cidFont)],
+      })
+    );
+    const page = pdfDoc.addPage();
+    page.node.setFontDictionary(PDFName.of('F1'), font);
+    page.pushOperators(
+      PDFLib.beginText(),
+      PDFLib.setFontAndSize('F1', 12),
+      PDFLib.showText(PDFLib.PDFHexString.of('0002')),
+      PDFLib.endText()
+    );
+
+    await createProcessor().optimizePDF(pdfDoc, { subsetFonts: true });
+
+    const program = PDFLib.decodePDFRawStream(context.lookup(file)).decode();
+    expect(glyphLengths(program)).toEqual([12, 12, 16, 0]);
+  });
+
+  it('should optimize fonts on the legacy compression path', async () => {
+    const pdfDoc = await PDFLib.PDFDocument.create();
+    pdfDoc.addPage();
+    const processor = createProcessor();
+    const optimize = jest.spyOn(processor, 'optimizePDF');
+
+    await processor.processPDF(await toFile(pdfDoc, 'fonts.pdf'), {
+      imageCompression: true,
+      imageQuality: 70,
+      subsetFonts: true,
+    });
+
+    expect(optimize).toHaveBeenCalledWith(expect.anything(), {
+      subsetFonts: true,
+    });
+  });
+});
@@ -0,0 +1,31 @@
+import { toGray, packGray, otsuThreshold } from '../js/image-codec.js';
+
+describe('image-codec grayscale helpers', () => {
+  it('should convert RGBA pixels to luminance', () => {
+    const rgba = new Uint8ClampedArray([
+      255, 255, 255, 255, 0, 0, 0, 255, 255, 0, 0, 255,
+    ]);
+    expect(Array.from(toGray(rgba))).toEqual([255, 0, 76]);
+  });
+
+  it('should pack 1-bit rows padded to whole bytes', () => {
+    // 3x2 image: white, black, white / black, black, white
+    const gray = new Uint8Array([255, 0, 255, 0, 0, 255]);
+    const packed = packGray(gray, 3, 2, 1);
+    expect(Array.from(packed)).toEqual([0b10100000, 0b00100000]);
+  });
+
+  it('should pack 4-bit samples two per byte', () => {
+    const gray = new Uint8Array([255, 0, 136]);
+    expect(Array.from(packGray(gray, 3, 1, 4))).toEqual([0xf0, 0x80]);
+  });
+
+  it('should find a threshold between ink and paper', () => {
+    const gray = new Uint8Array(100);
+    gray.fill(30, 0, 20); // ink
+    gray.fill(220, 20); // paper
+    const t = otsuThreshold(gray);
+    expect(t).toBeGreaterThan(30);
+    expect(t).toBeLessThanOrEqual(220);
+  });
+});
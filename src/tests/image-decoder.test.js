@@ -0,0 +1,109 @@
+import * as PDFLib from 'pdf-lib';
+import { undoPredictor, decodeImagePixels } from '../js/image-decoder.js';
+import { createProcessor } from './test-utils.js';
+
+const rgbaAt = (pixels, i) => Array.from(pixels.data.slice(i * 4, i * 4 + 4));
+
+describe('image-decoder', () => {
+  it('should undo PNG Sub and Up predictors', () => {
+    // 2x2 gray: row 0 Sub [10, +5], row 1 Up [+1, +1]
+    const data = new Uint8Array([1, 10, 5, 2, 1, 1]);
+    const out = undoPredictor(data, {
+      predictor: 15,
+      colors: 1,
+      bitsPerComponent: 8,
+      columns: 2,
+    });
+    expect(Array.from(out)).toEqual([10, 15, 11, 16]);
+  });
+
+  it('should apply a Decode array to 1-bit gray samples', () => {
+    const pixels = decodeImagePixels({
+      data: new Uint8Array([0b10000000]),
+      width: 2,
+      height: 1,
+      bitsPerComponent: 1,
+      colorSpace: { type: 'DeviceGray' },
+      decode: [1, 0],
+    });
+    expect(rgbaAt(pixels, 0)).toEqual([0, 0, 0, 255]);
+    expect(rgbaAt(pixels, 1)).toEqual([255, 255, 255, 255]);
+  });
+
+  it('should look up Indexed colours and convert CMYK', () => {
+    const indexed = decodeImagePixels({
+      data: new Uint8Array([1, 0]),
+      width: 2,
+      height: 1,
+      bitsPerComponent: 8,
+      colorSpace: {
+        type: 'Indexed',
+        base: { type: 'DeviceRGB' },
+        hival: 1,
+        lookup: new Uint8Array([255, 0, 0, 0, 0, 255]),
+      },
+    });
+    expect(rgbaAt(indexed, 0)).toEqual([0, 0, 255, 255]);
+    expect(rgbaAt(indexed, 1)).toEqual([255, 0, 0, 255]);
+
+    const cmyk = decodeImagePixels({
+      data: new Uint8Array([0, 255, 255, 0]),
+      width: 1,
+      height: 1,
+      bitsPerComponent: 8,
+      colorSpace: { type: 'DeviceCMYK' },
+    });
+    expect(rgbaAt(cmyk, 0)).toEqual([255, 0, 0, 255]);
+  });
+
+  it('should use the SMask as alpha', () => {
+    const pixels = decodeImagePixels({
+      data: new Uint8Array([0, 0]),
+      width: 2,
+      height: 1,
+      bitsPerComponent: 8,
+      colorSpace: { type: 'DeviceGray' },
+      smask: {
+        data: new Uint8Array([128]),
+        width: 1,
+        height: 1,
+        bitsPerComponent: 8,
+      },
+    });
+    expect(pixels.hasAlpha).toBe(true);
+    expect(rgbaAt(pixels, 1)[3]).toBe(128);
+  });
+
+  it('should describe a Flate image with an ICCBased Indexed colour space', async () => {
+    const { context } = await PDFLib.PDFDocument.create();
+    const icc = context.register(
+      context.flateStream(new Uint8Array(16), { N: 3 })
+    );
+    const image = context.flateStream(new Uint8Array([0, 1, 1, 0]), {
+      Type: 'XObject',
+      Subtype: 'Image',
+      Width: 2,
+      Height: 2,
+      BitsPerComponent: 8,
+      ColorSpace: [
+        'Indexed',
+        ['ICCBased', icc],
+        1,
+        PDFLib.PDFHexString.of('FFFFFF000000'),
+      ],
+    });
+    const processor = createProcessor();
+
+    const { samples, image: descriptor } =
+      processor.describeSampledImage(image);
+
+    expect(Array.from(samples)).toEqual([0, 1, 1, 0]);
+    expect(descriptor.colorSpace).toMatchObject({
+      type: 'Indexed',
+      base: { type: 'DeviceRGB' },
+      hival: 1,
+    });
+    const pixels = decodeImagePixels({ ...descriptor, data: samples });
+    expect(rgbaAt(pixels, 1)).toEqual([0, 0, 0, 255]);
+  });
+});
@@ -0,0 +1,118 @@
+import * as PDFLib from 'pdf-lib';
+import { createProcessor, toFile } from './test-utils.js';
+
+const { PDFName } = PDFLib;
+
+// Minimal baseline JPEG header (SOF0, 2x2 RGB) – enough for pdf-lib's embedder
+const TINY_JPEG = new Uint8Array([
+  0xff, 0xd8, 0xff, 0xc0, 0x00, 0x11, 0x08, 0x00, 0x02, 0x00, 0x02, 0x03, 0x01,
+  0x22, 0x00, 0x02, 0x11, 0x01, 0x03, 0x11, 0x01, 0xff, 0xd9,
+]);
+
+/**
+ * Document where every page embeds its own copy of the same JPEG stream
+ */
+async function documentWithRepeatedImage(pageCount) {
+  const pdfDoc = await PDFLib.PDFDocument.create();
+  const { context } = pdfDoc;
+  const refs = [];
+  for (let i = 0; i < pageCount; i++) {
+    const page = pdfDoc.addPage([200, 200]);
+    const ref = context.register(
+      context.stream(new Uint8Array(4096).fill(7), {
+        Type: 'XObject',
+        Subtype: 'Image',
+        Width: 2,
+        Height: 2,
+        ColorSpace: 'DeviceRGB',
+        BitsPerComponent: 8,
+        Filter: 'DCTDecode',
+      })
+    );
+    page.node.setXObject(PDFName.of('Im0'), ref);
+    refs.push(ref);
+  }
+  return { pdfDoc, refs };
+}
+
+const pageImage = (pdfDoc, index) =>
+  pdfDoc
+    .getPage(index)
+    .node.Resources()
+    .lookup(PDFName.of('XObject'))
+    .get(PDFName.of('Im0'));
+
+describe('image deduplication', () => {
+  it('should merge identical images and recompress them once', async () => {
+    const { pdfDoc, refs } = await documentWithRepeatedImage(3);
+    const processor = createProcessor();
+    const run = jest.fn(async () => ({
+      result: { kind: 'jpeg', bytes: TINY_JPEG.slice().buffer },
+    }));
+    processor.setWorkerPool({ size: 1, run });
+    const progress = jest.fn();
+    const stats = {};
+
+    await processor.compressImages(pdfDoc, 70, progress, { stats });
+
+    expect(run).toHaveBeenCalledTimes(1);
+    const ref = pageImage(pdfDoc, 0);
+    expect(pageImage(pdfDoc, 1)).toBe(ref);
+    expect(pageImage(pdfDoc, 2)).toBe(ref);
+    expect(pdfDoc.context.lookup(ref).getContentsSize()).toBe(TINY_JPEG.length);
+    // Podmienione oryginały są usuwane z dokumentu
+    refs.forEach(old => expect(pdfDoc.context.lookup(old)).toBeUndefined());
+    expect(stats).toEqual({
+      imagesFound: 1,
+      imagesRecompressed: 1,
+      duplicateImagesMerged: 2,
+    });
+    expect(progress).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'Merged 2 duplicate images' })
+    );
+  });
+
+  it('should merge images that only become identical after recompression', async () => {
+    const { pdfDoc } = await documentWithRepeatedImage(2);
+    // Różne oryginały (inna zawartość), ten sam wynik kodowania
+    const second = pdfDoc.context.lookup(pageImage(pdfDoc, 1));
+    second.contents[0] = 8;
+    const processor = createProcessor();
+    const run = jest.fn(async () => ({
+      result: { kind: 'jpeg', bytes: TINY_JPEG.slice().buffer },
+    }));
+    processor.setWorkerPool({ size: 1, run });
+    const stats = {};
+
+    await processor.compressImages(pdfDoc, 70, null, { stats });
+
+    expect(run).toHaveBeenCalledTimes(2);
+    expect(pageImage(pdfDoc, 1)).toBe(pageImage(pdfDoc, 0));
+    expect(stats.duplicateImagesMerged).toBe(1);
+    await expect(
+      PDFLib.PDFDocument.load(await pdfDoc.save())
+    ).resolves.toBeDefined();
+  });
+
+  it('should report the counters from the legacy compression path', async () => {
+    const { pdfDoc } = await documentWithRepeatedImage(3);
+    const processor = createProcessor();
+    processor.setWorkerPool({
+      size: 1,
+      run: async () => ({
+        result: { kind: 'jpeg', bytes: TINY_JPEG.slice().buffer },
+      }),
+    });
+
+    const result = await processor.processPDF(
+      await toFile(pdfDoc, 'scan.pdf'),
+      { imageCompression: true, imageQuality: 70 }
+    );
+
+    expect(result.stats).toEqual({
+      imagesFound: 1,
+      imagesRecompressed: 1,
+      duplicateImagesMerged: 2,
+    });
+  });
+});
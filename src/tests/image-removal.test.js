@@ -0,0 +1,233 @@
+import * as PDFLib from 'pdf-lib';
+import { parseContentStream } from '../js/content-stream.js';
+import { createProcessor, toFile } from './test-utils.js';
+
+const { PDFName, PDFDict } = PDFLib;
+
+const bytesOf = text => Uint8Array.from(text, c => c.charCodeAt(0));
+const opsOf = bytes => parseContentStream(bytes).map(o => o.op);
+
+/**
+ * Page drawing an image, a chart form (vector path + its own image) and an
+ * inline image whose binary data contains "Q" and "Do"
+ */
+async function documentWithChart() {
+  const pdfDoc = await PDFLib.PDFDocument.create();
+  const { context } = pdfDoc;
+  const page = pdfDoc.addPage([200, 200]);
+  const image = () =>
+    context.register(
+      context.stream(new Uint8Array(3), {
+        Type: 'XObject',
+        Subtype: 'Image',
+        Width: 1,
+        Height: 1,
+        ColorSpace: 'DeviceRGB',
+        BitsPerComponent: 8,
+      })
+    );
+  const form = context.register(
+    context.stream(bytesOf('0 0 m 50 50 l S q 10 0 0 10 0 0 cm /Logo Do Q'), {
+      Type: 'XObject',
+      Subtype: 'Form',
+      BBox: [0, 0, 100, 100],
+      Resources: { XObject: { Logo: image() } },
+    })
+  );
+  page.node.setXObject(PDFName.of('Im0'), image());
+  page.node.setXObject(PDFName.of('Chart'), form);
+  page.node.set(
+    PDFName.of('Contents'),
+    context.register(
+      context.stream(
+        bytesOf(
+          'q 100 0 0 100 0 0 cm /Im0 Do Q q /Chart Do Q ' +
+            'q BI /W 1 /H 1 /BPC 8 /CS /G ID \x00Q Do EI Q ' +
+            'BT /F1 12 Tf (Total) Tj ET'
+        )
+      )
+    )
+  );
+  return { pdfDoc, page, form };
+}
+
+/**
+ * Two pages sharing one resource dictionary: a 100x100 colour photo and a
+ * 20x20 grayscale signature
+ */
+async function documentWithSharedImages() {
+  const pdfDoc = await PDFLib.PDFDocument.create();
+  const { context } = pdfDoc;
+  const image = (size, colorSpace) =>
+    context.register(
+      context.stream(new Uint8Array(size * size), {
+        Type: 'XObject',
+        Subtype: 'Image',
+        Width: size,
+        Height: size,
+        ColorSpace: colorSpace,
+        BitsPerComponent: 8,
+      })
+    );
+  const photo = image(100, 'DeviceRGB');
+  const signature = image(20, 'DeviceGray');
+  const resources = context.register(
+    context.obj({ XObject: { Photo: photo, Sign: signature } })
+  );
+  for (let i = 0; i < 2; i++) {
+    const page = pdfDoc.addPage([200, 200]);
+    page.node.set(PDFName.of('Resources'), resources);
+    page.node.set(
+      PDFName.of('Contents'),
+      context.register(context.stream(bytesOf('q /Photo Do Q q /Sign Do Q')))
+    );
+  }
+  return { pdfDoc, photo, signature };
+}
+
+const pageXObjects = (pdfDoc, index) =>
+  pdfDoc
+    .getPage(index)
+    .node.Resources()
+    .lookupMaybe(PDFName.of('XObject'), PDFDict)
+    ?.keys()
+    .map(name => name.decodeText()) ?? [];
+
+/**
+ * Run removeImages() on documentWithSharedImages() and load the result
+ */
+async function removeWithFilter(processor, imageFilter) {
+  const { pdfDoc } = await documentWithSharedImages();
+  const file = await toFile(pdfDoc, 'shared.pdf');
+  const { pdfBytes } = await processor.removeImages(file, { imageFilter });
+  return PDFLib.PDFDocument.load(pdfBytes);
+}
+
+describe('image removal', () => {
+  it('should remove images but keep form XObjects and text', async () => {
+    const { pdfDoc, page, form } = await documentWithChart();
+    const processor = createProcessor();
+
+    const removed = await processor.removeImagesFromPage(page, pdfDoc, 0);
+
+    expect(removed).toBe(3);
+    expect(opsOf(processor.getPageContentBytes(page))).toEqual([
+      'q',
+      'Do',
+      'Q',
+      'BT',
+      'Tf',
+      'Tj',
+      'ET',
+    ]);
+    const xobjects = page.node.Resources().lookup(PDFName.of('XObject'));
+    expect(xobjects.keys()).toEqual([PDFName.of('Chart')]);
+    const chart = pdfDoc.context.lookup(form);
+    expect(opsOf(processor.decodeStreamContents(chart))).toEqual([
+      'm',
+      'l',
+      'S',
+    ]);
+    expect(chart.dict.lookup(PDFName.of('BBox'))).toBeDefined();
+    const chartResources = chart.dict.lookup(PDFName.of('Resources'), PDFDict);
+    expect(chartResources.get(PDFName.of('XObject'))).toBeUndefined();
+
+    await expect(
+      PDFLib.PDFDocument.load(await pdfDoc.save())
+    ).resolves.toBeDefined();
+  });
+
+  it('should draw a captioned placeholder at the image bounds', async () => {
+    const { pdfDoc, page } = await documentWithChart();
+    const processor = createProcessor();
+
+    await processor.removeImagesFromPage(page, pdfDoc, 0, {
+      placeholders: true,
+      captions: true,
+    });
+
+    const content = processor.getPageContentBytes(page);
+    const ops = parseContentStream(content);
+    const box = ops.find(o => o.op === 're');
+    // Ramka rysowana w przestrzeni strony, mimo że CTM obrazu to 100x100
+    expect(box.operands).toEqual([0, 0, 100, 100]);
+    // Pierwszy Tj to podpis ramki Im0 (tekst strony jest dalej)
+    const caption = ops.find(o => o.op === 'Tj');
+    const text = String.fromCharCode(
+      ...content.subarray(caption.operands[0].start, caption.operands[0].end)
+    );
+    expect(text).toBe('(1 x 1 px)');
+    const fonts = page.node.Resources().lookup(PDFName.of('Font'), PDFDict);
+    expect(fonts.has(PDFName.of('ImagePlaceholder'))).toBe(true);
+    // q/Q nadal zrównoważone
+    const depth = ops.reduce(
+      (d, o) => d + (o.op === 'q' ? 1 : o.op === 'Q' ? -1 : 0),
+      0
+    );
+    expect(depth).toBe(0);
+  });
+
+  it('should list images with their pages, size and colour type', async () => {
+    const { pdfDoc, photo } = await documentWithSharedImages();
+    const processor = createProcessor();
+
+    const images = processor.listImages(pdfDoc);
+
+    expect(images).toHaveLength(2);
+    expect(images).toContainEqual({
+      id: photo.toString(),
+      name: 'Photo',
+      width: 100,
+      height: 100,
+      size: 10000,
+      gray: false,
+      pages: [0, 1],
+    });
+    expect(images.find(i => i.name === 'Sign').gray).toBe(true);
+  });
+
+  it('should only remove images matching the filter', async () => {
+    const processor = createProcessor();
+
+    const colour = await removeWithFilter(processor, { colorOnly: true });
+    expect(pageXObjects(colour, 0)).toEqual(['Sign']);
+
+    const { photo } = await documentWithSharedImages();
+    const unticked = await removeWithFilter(processor, {
+      minPixels: 10,
+      keepIds: [photo.toString()],
+    });
+    expect(pageXObjects(unticked, 0)).toEqual(['Photo']);
+    const ops = opsOf(processor.getPageContentBytes(unticked.getPage(0)));
+    expect(ops.filter(op => op === 'Do')).toHaveLength(1);
+  });
+
+  it('should report only the images the filter removed', async () => {
+    const { pdfDoc } = await documentWithSharedImages();
+    const progress = jest.fn();
+
+    const { stats } = await createProcessor().removeImages(
+      await toFile(pdfDoc, 'shared.pdf'),
+      { imageFilter: { colorOnly: true } },
+      progress
+    );
+
+    // Zdjęcie używane na obu stronach to jeden obraz; podpis zostaje
+    expect(stats.imagesRemoved).toBe(1);
+    expect(progress).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        message: expect.stringContaining('Removed 1 images'),
+      })
+    );
+  });
+
+  it('should leave pages outside the range intact', async () => {
+    const processor = createProcessor();
+
+    const result = await removeWithFilter(processor, { pages: '2' });
+
+    // Strony współdzieliły zasoby – strona 1 zachowuje oba obrazy
+    expect(pageXObjects(result, 0)).toEqual(['Photo', 'Sign']);
+    expect(pageXObjects(result, 1)).toEqual([]);
+  });
+});
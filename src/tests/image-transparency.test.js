@@ -0,0 +1,134 @@
+import * as PDFLib from 'pdf-lib';
+import { decodeImagePixels } from '../js/image-decoder.js';
+import { alphaChannel } from '../js/image-codec.js';
+import { createProcessor } from './test-utils.js';
+
+const { PDFName, PDFRawStream } = PDFLib;
+
+// Minimal baseline JPEG header (SOF0, 2x2 RGB) – enough for pdf-lib's embedder
+const TINY_JPEG = new Uint8Array([
+  0xff, 0xd8, 0xff, 0xc0, 0x00, 0x11, 0x08, 0x00, 0x02, 0x00, 0x02, 0x03, 0x01,
+  0x22, 0x00, 0x02, 0x11, 0x01, 0x03, 0x11, 0x01, 0xff, 0xd9,
+]);
+
+/**
+ * One-page document drawing a single image XObject named Im0
+ */
+async function documentWithImage(createImage) {
+  const pdfDoc = await PDFLib.PDFDocument.create();
+  const page = pdfDoc.addPage([200, 200]);
+  const image = pdfDoc.context.register(createImage(pdfDoc.context));
+  page.node.setXObject(PDFName.of('Im0'), image);
+  page.pushOperators(
+    PDFLib.pushGraphicsState(),
+    PDFLib.concatTransformationMatrix(100, 0, 0, 100, 0, 0),
+    PDFLib.drawObject('Im0'),
+    PDFLib.popGraphicsState()
+  );
+  return pdfDoc;
+}
+
+/**
+ * Compress with a stubbed worker pool, save, reload and return the page image
+ */
+async function compressAndReload(pdfDoc, result) {
+  const processor = createProcessor();
+  const run = jest.fn(async () => ({ result }));
+  processor.setWorkerPool({ size: 1, run });
+
+  await processor.compressImages(pdfDoc, 70);
+
+  const loaded = await PDFLib.PDFDocument.load(await pdfDoc.save());
+  const xobjects = loaded
+    .getPage(0)
+    .node.Resources()
+    .lookup(PDFName.of('XObject'));
+  return { image: xobjects.lookup(PDFName.of('Im0')), run };
+}
+
+describe('image transparency', () => {
+  it('should turn colour-key matches into transparent pixels', () => {
+    const pixels = decodeImagePixels({
+      data: new Uint8Array([255, 255, 255, 10, 20, 30]),
+      width: 2,
+      height: 1,
+      bitsPerComponent: 8,
+      colorSpace: { type: 'DeviceRGB' },
+      colorKey: [250, 255, 250, 255, 250, 255],
+    });
+    expect(pixels.hasAlpha).toBe(true);
+    expect(Array.from(alphaChannel(pixels.data))).toEqual([0, 255]);
+  });
+
+  it('should keep the SMask of a recompressed JPEG image', async () => {
+    const maskBytes = new Uint8Array([0, 64, 128, 255]);
+    const pdfDoc = await documentWithImage(context => {
+      const smask = context.register(
+        context.stream(maskBytes, {
+          Type: 'XObject',
+          Subtype: 'Image',
+          Width: 2,
+          Height: 2,
+          ColorSpace: 'DeviceGray',
+          BitsPerComponent: 8,
+        })
+      );
+      return context.stream(new Uint8Array(4096), {
+        Type: 'XObject',
+        Subtype: 'Image',
+        Width: 2,
+        Height: 2,
+        ColorSpace: 'DeviceRGB',
+        BitsPerComponent: 8,
+        Filter: 'DCTDecode',
+        SMask: smask,
+      });
+    });
+
+    const { image } = await compressAndReload(pdfDoc, {
+      kind: 'jpeg',
+      bytes: TINY_JPEG.slice().buffer,
+    });
+
+    expect(image.getContentsSize()).toBe(TINY_JPEG.length);
+    const smask = image.dict.lookup(PDFName.of('SMask'));
+    expect(smask).toBeInstanceOf(PDFRawStream);
+    expect(Array.from(smask.getContents())).toEqual(Array.from(maskBytes));
+  });
+
+  it('should re-encode a colour-key mask as an SMask', async () => {
+    const pdfDoc = await documentWithImage(context =>
+      context.stream(new Uint8Array(32 * 32 * 3).fill(255), {
+        Type: 'XObject',
+        Subtype: 'Image',
+        Width: 32,
+        Height: 32,
+        ColorSpace: 'DeviceRGB',
+        BitsPerComponent: 8,
+        Mask: [255, 255, 255, 255, 255, 255],
+      })
+    );
+    const gray = {
+      kind: 'raw',
+      filter: null,
+      width: 2,
+      height: 2,
+      bitsPerComponent: 1,
+      colorSpace: 'DeviceGray',
+    };
+
+    const { image, run } = await compressAndReload(pdfDoc, {
+      ...gray,
+      bytes: new Uint8Array(2).buffer,
+      mask: { ...gray, bitsPerComponent: 8, bytes: new Uint8Array(4).buffer },
+    });
+
+    expect(run.mock.calls[0][0].image.colorKey).toEqual([
+      255, 255, 255, 255, 255, 255,
+    ]);
+    expect(image.dict.lookup(PDFName.of('Mask'))).toBeUndefined();
+    const smask = image.dict.lookup(PDFName.of('SMask'));
+    expect(smask).toBeInstanceOf(PDFRawStream);
+    expect(smask.dict.lookup(PDFName.of('Width')).asNumber()).toBe(2);
+  });
+});
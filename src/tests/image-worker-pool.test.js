@@ -0,0 +1,75 @@
+import { ImageWorkerPool, defaultPoolSize } from '../js/image-worker-pool.js';
+
+// Worker replying asynchronously, so several tasks can be in flight
+class FakeWorker {
+  constructor(reply) {
+    this.reply = reply;
+    this.onmessage = null;
+    this.onerror = null;
+    this.terminated = false;
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage(msg) {
+    setTimeout(() => {
+      if (!this.terminated) this.onmessage({ data: this.reply(msg) });
+    }, 5);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+FakeWorker.instances = [];
+
+describe('ImageWorkerPool', () => {
+  beforeEach(() => {
+    FakeWorker.instances = [];
+  });
+
+  it('should size the pool from hardwareConcurrency', () => {
+    Object.defineProperty(navigator, 'hardwareConcurrency', {
+      configurable: true,
+      value: 4,
+    });
+    expect(defaultPoolSize()).toBe(3);
+  });
+
+  it('should resolve tasks with worker replies', async () => {
+    const pool = new ImageWorkerPool(
+      () => new FakeWorker(msg => ({ id: msg.id, ok: true, bytes: msg.n })),
+      2
+    );
+
+    const replies = await Promise.all(
+      [1, 2, 3, 4, 5].map(n => pool.run({ n }))
+    );
+
+    expect(replies.map(r => r.bytes)).toEqual([1, 2, 3, 4, 5]);
+    expect(FakeWorker.instances).toHaveLength(2);
+  });
+
+  it('should reject tasks the worker reports as failed', async () => {
+    const pool = new ImageWorkerPool(
+      () => new FakeWorker(msg => ({ id: msg.id, ok: false, error: 'boom' })),
+      1
+    );
+
+    await expect(pool.run({})).rejects.toThrow('boom');
+  });
+
+  it('should reject queued tasks on terminate', async () => {
+    const pool = new ImageWorkerPool(
+      () => new FakeWorker(msg => ({ id: msg.id, ok: true })),
+      1
+    );
+
+    const first = pool.run({});
+    const second = pool.run({});
+    pool.terminate();
+
+    await expect(first).rejects.toThrow('Worker pool terminated');
+    await expect(second).rejects.toThrow('Worker pool terminated');
+    expect(FakeWorker.instances[0].terminated).toBe(true);
+  });
+});
@@ -0,0 +1,119 @@
+import * as PDFLib from 'pdf-lib';
+import { createProcessor, toFile } from './test-utils.js';
+
+const { PDFName, PDFHexString } = PDFLib;
+
+/**
+ * Document with `pageCount` pages and an optional hand-built outline:
+ * "Intro" (explicit /Dest) with a child "Detail" (named destination via a
+ * GoTo action)
+ */
+async function createDocument(pageCount, withOutline = false) {
+  const pdfDoc = await PDFLib.PDFDocument.create();
+  for (let i = 0; i < pageCount; i++) pdfDoc.addPage([300, 500]);
+  if (!withOutline) return pdfDoc;
+
+  const { context, catalog } = pdfDoc;
+  const [first, second] = pdfDoc.getPages().map(page => page.ref);
+  catalog.set(
+    PDFName.of('Dests'),
+    context.obj({ detail: context.obj([second, 'Fit']) })
+  );
+  const rootRef = context.nextRef();
+  const introRef = context.nextRef();
+  const detailRef = context.nextRef();
+  context.assign(
+    detailRef,
+    context.obj({
+      Title: PDFHexString.fromText('Detail'),
+      Parent: introRef,
+      A: context.obj({ S: 'GoTo', D: PDFName.of('detail') }),
+    })
+  );
+  context.assign(
+    introRef,
+    context.obj({
+      Title: PDFHexString.fromText('Intro'),
+      Parent: rootRef,
+      Dest: context.obj([first, 'XYZ', 0, 500, null]),
+      First: detailRef,
+      Last: detailRef,
+      Count: 1,
+    })
+  );
+  context.assign(
+    rootRef,
+    context.obj({ Type: 'Outlines', First: introRef, Last: introRef, Count: 1 })
+  );
+  catalog.set(PDFName.of('Outlines'), rootRef);
+  return pdfDoc;
+}
+
+describe('mergePDFs', () => {
+  it('should read explicit, named and GoTo destinations', async () => {
+    const pdfDoc = await createDocument(2, true);
+
+    expect(createProcessor().readOutline(pdfDoc)).toEqual([
+      {
+        title: 'Intro',
+        pageIndex: 0,
+        view: ['XYZ', 0, 500, null],
+        children: [
+          { title: 'Detail', pageIndex: 1, view: ['Fit'], children: [] },
+        ],
+      },
+    ]);
+  });
+
+  it('should combine files in order under one bookmark per file', async () => {
+    const files = [
+      await toFile(await createDocument(2, true), 'report.pdf'),
+      await toFile(await createDocument(1), 'receipt.pdf'),
+    ];
+    const processor = createProcessor();
+    const progress = jest.fn();
+
+    const merged = await processor.mergePDFs(files, {}, progress);
+    const reloaded = await PDFLib.PDFDocument.load(await merged.save());
+
+    expect(reloaded.getPageCount()).toBe(3);
+    expect(processor.readOutline(reloaded)).toEqual([
+      {
+        title: 'report',
+        pageIndex: 0,
+        view: ['Fit'],
+        children: [
+          {
+            title: 'Intro',
+            pageIndex: 0,
+            view: ['XYZ', 0, 500, null],
+            children: [
+              { title: 'Detail', pageIndex: 1, view: ['Fit'], children: [] },
+            ],
+          },
+        ],
+      },
+      { title: 'receipt', pageIndex: 2, view: ['Fit'], children: [] },
+    ]);
+    expect(progress).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'Merging receipt.pdf (2/2)' })
+    );
+  });
+
+  it('should only list the files when their outlines are not kept', async () => {
+    const files = [
+      await toFile(await createDocument(2, true), 'a.pdf'),
+      await toFile(await createDocument(1, true), 'b.pdf'),
+    ];
+    const processor = createProcessor();
+
+    const merged = await processor.mergePDFs(files, { keepOutlines: false });
+
+    const outline = processor.readOutline(merged);
+    expect(outline.map(item => [item.title, item.pageIndex])).toEqual([
+      ['a', 0],
+      ['b', 2],
+    ]);
+    expect(outline.every(item => item.children.length === 0)).toBe(true);
+  });
+});
@@ -0,0 +1,82 @@
+import * as PDFLib from 'pdf-lib';
+import { createProcessor } from './test-utils.js';
+
+const bookmark = (title, pageIndex, children = []) => ({
+  title,
+  pageIndex,
+  view: null,
+  children,
+});
+
+/**
+ * Six pages: a cover, "Chapter 1" (pages 2-3, two sections) and "Chapter 2"
+ * (pages 4-6, one section on page 5)
+ */
+async function createBook(processor) {
+  const pdfDoc = await PDFLib.PDFDocument.create();
+  for (let i = 0; i < 6; i++) pdfDoc.addPage([300, 500]);
+  processor.writeOutline(pdfDoc, [
+    bookmark('Chapter 1', 1, [
+      bookmark('Section 1.1', 1),
+      bookmark('Section 1.2', 2),
+    ]),
+    bookmark('Chapter 2', 3, [bookmark('Section 2.1', 4)]),
+  ]);
+  return pdfDoc;
+}
+
+describe('splitByOutline', () => {
+  it('should emit one part per top-level bookmark', async () => {
+    const processor = createProcessor();
+    const progress = jest.fn();
+
+    const parts = await processor.splitByOutline(
+      await createBook(processor),
+      1,
+      progress
+    );
+
+    expect(parts.map(part => [part.title, part.doc.getPageCount()])).toEqual([
+      ['Front matter', 1],
+      ['Chapter 1', 2],
+      ['Chapter 2', 3],
+    ]);
+    expect(
+      processor
+        .readOutline(parts[1].doc)
+        .map(item => [item.title, item.pageIndex])
+    ).toEqual([
+      ['Section 1.1', 0],
+      ['Section 1.2', 1],
+    ]);
+    expect(progress).toHaveBeenLastCalledWith(
+      expect.objectContaining({ message: 'Splitting by bookmarks (3/3)' })
+    );
+  });
+
+  it('should split at nested bookmarks down to the chosen depth', async () => {
+    const processor = createProcessor();
+
+    const parts = await processor.splitByOutline(
+      await createBook(processor),
+      2
+    );
+
+    expect(parts.map(part => [part.title, part.doc.getPageCount()])).toEqual([
+      ['Front matter', 1],
+      ['Chapter 1', 1],
+      ['Section 1.2', 1],
+      ['Chapter 2', 1],
+      ['Section 2.1', 2],
+    ]);
+  });
+
+  it('should reject documents without bookmarks', async () => {
+    const pdfDoc = await PDFLib.PDFDocument.create();
+    pdfDoc.addPage();
+
+    await expect(createProcessor().splitByOutline(pdfDoc)).rejects.toThrow(
+      'This PDF has no bookmarks to split by'
+    );
+  });
+});
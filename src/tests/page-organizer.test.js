@@ -0,0 +1,126 @@
+import * as PDFLib from 'pdf-lib';
+import { createEnhancedEngine } from '../js/engine/enhanced-engine.js';
+import { createProcessor, toFile } from './test-utils.js';
+
+/**
+ * Document with pages of distinct widths (100, 200, ...) to tell them apart
+ */
+async function documentWithPages(count) {
+  const pdfDoc = await PDFLib.PDFDocument.create();
+  for (let i = 0; i < count; i++) pdfDoc.addPage([100 * (i + 1), 500]);
+  return pdfDoc;
+}
+
+const pageWidths = pdfDoc =>
+  pdfDoc.getPages().map(page => page.getSize().width);
+
+describe('organizePages', () => {
+  it('should reorder, duplicate and drop pages', async () => {
+    const pdfDoc = await documentWithPages(4);
+
+    const organized = await createProcessor().organizePages(pdfDoc, [
+      { index: 2 },
+      { index: 0 },
+      { index: 0 },
+    ]);
+
+    expect(pageWidths(organized)).toEqual([300, 100, 100]);
+    const saved = await PDFLib.PDFDocument.load(await organized.save());
+    expect(pageWidths(saved)).toEqual([300, 100, 100]);
+  });
+
+  it('should add the rotation to /Rotate of each copy separately', async () => {
+    const pdfDoc = await documentWithPages(2);
+    pdfDoc.getPage(1).setRotation(PDFLib.degrees(270));
+
+    const organized = await createProcessor().organizePages(pdfDoc, [
+      { index: 0, rotation: 90 },
+      { index: 0, rotation: 0 },
+      { index: 1, rotation: 180 },
+    ]);
+
+    const angles = organized.getPages().map(page => page.getRotation().angle);
+    expect(angles).toEqual([90, 0, 90]);
+  });
+
+  it('should keep document info and move bookmarks with their pages', async () => {
+    const pdfDoc = await documentWithPages(3);
+    pdfDoc.setTitle('Annual report');
+    const processor = createProcessor();
+    processor.writeOutline(pdfDoc, [
+      { title: 'Intro', pageIndex: 0, view: null, children: [] },
+      {
+        title: 'Removed',
+        pageIndex: 1,
+        view: null,
+        children: [{ title: 'Tables', pageIndex: 2, view: null, children: [] }],
+      },
+    ]);
+
+    const organized = await processor.organizePages(pdfDoc, [
+      { index: 2 },
+      { index: 0 },
+      { index: 0 },
+    ]);
+
+    const saved = await PDFLib.PDFDocument.load(await organized.save());
+    expect(saved.getTitle()).toBe('Annual report');
+    const outline = processor.readOutline(saved);
+    expect(outline.map(({ title, pageIndex }) => [title, pageIndex])).toEqual([
+      ['Intro', 1],
+      ['Removed', null],
+    ]);
+    expect(outline[1].children[0]).toMatchObject({
+      title: 'Tables',
+      pageIndex: 0,
+    });
+  });
+
+  it('should keep the document as it is without a layout', async () => {
+    const pdfDoc = await documentWithPages(3);
+
+    const organized = await createProcessor().organizePages(pdfDoc, null);
+
+    expect(pageWidths(organized)).toEqual([100, 200, 300]);
+  });
+
+  it('should reject empty layouts, unknown pages and odd angles', async () => {
+    const pdfDoc = await documentWithPages(2);
+    const processor = createProcessor();
+
+    await expect(processor.organizePages(pdfDoc, [])).rejects.toThrow(
+      'At least one page must be kept'
+    );
+    await expect(
+      processor.organizePages(pdfDoc, [{ index: 2 }])
+    ).rejects.toThrow('Page 3 is outside 1-2');
+    await expect(
+      processor.organizePages(pdfDoc, [{ index: 0, rotation: 45 }])
+    ).rejects.toThrow('multiple of 90°');
+  });
+});
+
+describe('split page groups', () => {
+  it('should save every group to its own numbered file', async () => {
+    const file = await toFile(await documentWithPages(4), 'report.pdf');
+    const app = {
+      pdfProcessor: createProcessor(),
+      ensurePDFLibrariesLoaded: async () => {},
+      loadWorker: async () => null,
+    };
+
+    const result = await createEnhancedEngine(app).process(file, {
+      splitPDF: true,
+      splitMethod: 'pages',
+      pageRange: '1-3, 1-3, last',
+      splitGroups: true,
+      baseName: 'report',
+    });
+
+    expect(result.files.map(part => part.name)).toEqual([
+      'report-001-pages-1-3.pdf',
+      'report-002-pages-1-3.pdf',
+      'report-003-pages-last.pdf',
+    ]);
+  });
+});
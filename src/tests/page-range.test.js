@@ -0,0 +1,68 @@
+import {
+  parsePageGroups,
+  parsePageRange,
+  parsePageSpec,
+} from '../js/page-range.js';
+
+describe('parsePageRange', () => {
+  it('should turn 1-based ranges into sorted 0-based indices', () => {
+    expect(parsePageRange('5, 1-3, 2', 10)).toEqual([0, 1, 2, 4]);
+  });
+
+  it('should run open ranges to the first or last page', () => {
+    expect(parsePageRange('8-', 10)).toEqual([7, 8, 9]);
+    expect(parsePageRange('-2', 10)).toEqual([0, 1]);
+  });
+
+  it('should return null for an empty range', () => {
+    expect(parsePageRange('  ', 10)).toBeNull();
+    expect(parsePageRange(undefined, 10)).toBeNull();
+  });
+
+  it('should reject malformed parts and pages outside the document', () => {
+    expect(() => parsePageRange('1-a', 10)).toThrow('Invalid page range');
+    expect(() => parsePageRange('-', 10)).toThrow('Invalid page range');
+    expect(() => parsePageRange('1 2', 10)).toThrow('Invalid page range');
+    expect(() => parsePageRange('endlast', 10)).toThrow('Invalid page range');
+    expect(() => parsePageRange('last end', 10)).toThrow('Invalid page range');
+    expect(() => parsePageRange('12', 10)).toThrow('outside 1-10');
+    expect(() => parsePageRange('5-3', 10)).toThrow('outside 1-10');
+  });
+
+  it('should accept end/last, odd, even and the last N pages', () => {
+    expect(parsePageRange('1-3,7,10-end', 12)).toEqual([0, 1, 2, 6, 9, 10, 11]);
+    expect(parsePageRange('odd', 5)).toEqual([0, 2, 4]);
+    expect(parsePageRange('EVEN', 5)).toEqual([1, 3]);
+    expect(parsePageRange('last-3', 10)).toEqual([7, 8, 9]);
+    expect(parsePageRange('last, 1', 10)).toEqual([0, 9]);
+  });
+
+  it('should reject groups that select nothing or too many last pages', () => {
+    expect(() => parsePageRange('even', 1)).toThrow('selects no pages');
+    expect(() => parsePageRange('last-11', 10)).toThrow('outside 1-10');
+    expect(() => parsePageRange('last-0', 10)).toThrow('Invalid page range');
+  });
+});
+
+describe('parsePageGroups', () => {
+  it('should keep each comma-separated group in the order typed', () => {
+    expect(parsePageGroups('10-end, 1-2, odd', 11)).toEqual([
+      { text: '10-end', pages: [9, 10] },
+      { text: '1-2', pages: [0, 1] },
+      { text: 'odd', pages: [0, 2, 4, 6, 8, 10] },
+    ]);
+    expect(parsePageGroups('', 11)).toBeNull();
+  });
+});
+
+describe('parsePageSpec', () => {
+  it('should check the syntax without a page count', () => {
+    expect(parsePageSpec('3-, last-2')).toEqual([
+      { text: '3-', kind: 'range', from: '3', to: 'end' },
+      { text: 'last-2', kind: 'last', count: 2 },
+    ]);
+    expect(() => parsePageSpec('1-3, pages')).toThrow(
+      'Invalid page range: "pages"'
+    );
+  });
+});
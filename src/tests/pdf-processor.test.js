@@ -195,6 +195,22 @@ describe('PDFProcessor', () => {
     });
   });
 
+  describe('cancellation', () => {
+    it('should stop splitting when the signal is aborted', async () => {
+      const mockPdfDoc = {
+        getPageCount: jest.fn().mockReturnValue(20),
+      };
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(
+        pdfProcessor.splitByPagesFixed(mockPdfDoc, 5, null, {
+          signal: controller.signal,
+        })
+      ).rejects.toMatchObject({ name: 'AbortError' });
+    });
+  });
+
   describe('optimizePDF', () => {
     it('should optimize a PDF for web viewing', async () => {
       const mockPdfDoc = {}; // Mock PDF document
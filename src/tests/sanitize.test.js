@@ -0,0 +1,93 @@
+import * as PDFLib from 'pdf-lib';
+import { SANITIZE_CATEGORIES } from '../js/pdf-processor.js';
+import { createProcessor } from './test-utils.js';
+
+const { PDFName, PDFDict } = PDFLib;
+
+/**
+ * Document carrying one item of every category removed by sanitizePDF()
+ */
+async function documentWithExtras() {
+  const pdfDoc = await PDFLib.PDFDocument.create();
+  pdfDoc.setTitle('Internal draft');
+  const { context, catalog } = pdfDoc;
+  const page = pdfDoc.addPage();
+  const stream = (size, dict = {}) =>
+    context.register(context.stream(new Uint8Array(size), dict));
+
+  catalog.set(
+    PDFName.of('Metadata'),
+    stream(300, { Type: 'Metadata', Subtype: 'XML' })
+  );
+  page.node.set(PDFName.of('Thumb'), stream(500));
+  const script = context.obj({ S: 'JavaScript', JS: 'app.alert(1)' });
+  catalog.set(PDFName.of('OpenAction'), script);
+  const attachment = stream(700, { Type: 'EmbeddedFile' });
+  catalog.set(
+    PDFName.of('Names'),
+    context.obj({
+      JavaScript: context.obj({ Names: ['init', context.register(script)] }),
+      EmbeddedFiles: context.obj({
+        Names: [
+          'a.txt',
+          context.obj({ Type: 'Filespec', EF: { F: attachment } }),
+        ],
+      }),
+    })
+  );
+  page.node.set(
+    PDFName.of('PieceInfo'),
+    context.obj({ Illustrator: { Private: stream(900) } })
+  );
+  page.node.set(
+    PDFName.of('Annots'),
+    context.obj([
+      context.obj({
+        Type: 'Annot',
+        Subtype: 'Link',
+        Rect: [0, 0, 10, 10],
+        A: context.obj({ S: 'JavaScript', JS: 'this.print()' }),
+      }),
+    ])
+  );
+  return pdfDoc;
+}
+
+describe('sanitizePDF', () => {
+  it('should remove every category and report the bytes freed', async () => {
+    const pdfDoc = await documentWithExtras();
+    const { catalog } = pdfDoc;
+
+    const freed = createProcessor().sanitizePDF(pdfDoc);
+
+    expect(Object.keys(freed)).toEqual(SANITIZE_CATEGORIES);
+    expect(freed.thumbnails).toBeGreaterThan(500);
+    expect(freed.embeddedFiles).toBeGreaterThan(700);
+    expect(freed.pieceInfo).toBeGreaterThan(900);
+    expect(catalog.get(PDFName.of('Metadata'))).toBeUndefined();
+    expect(catalog.get(PDFName.of('OpenAction'))).toBeUndefined();
+    expect(pdfDoc.context.trailerInfo.Info).toBeUndefined();
+    const names = catalog.lookup(PDFName.of('Names'), PDFDict);
+    expect(names.keys()).toEqual([]);
+    const page = pdfDoc.getPage(0).node;
+    expect(page.get(PDFName.of('Thumb'))).toBeUndefined();
+    expect(page.get(PDFName.of('PieceInfo'))).toBeUndefined();
+    const link = page.Annots().lookup(0, PDFDict);
+    expect(link.get(PDFName.of('A'))).toBeUndefined();
+
+    const saved = await pdfDoc.save({ useObjectStreams: false });
+    expect(Buffer.from(saved).toString('latin1')).not.toMatch(
+      /JavaScript|Internal draft/
+    );
+  });
+
+  it('should only remove the selected categories', async () => {
+    const pdfDoc = await documentWithExtras();
+
+    const freed = createProcessor().sanitizePDF(pdfDoc, ['thumbnails']);
+
+    expect(Object.keys(freed)).toEqual(['thumbnails']);
+    expect(pdfDoc.getTitle()).toBe('Internal draft');
+    expect(pdfDoc.catalog.get(PDFName.of('OpenAction'))).toBeDefined();
+  });
+});
@@ -0,0 +1,115 @@
+import * as PDFLib from 'pdf-lib';
+import { renderPage } from '../js/page-renderer.js';
+import { findSeparatorPages, inkCoverage } from '../js/separator-pages.js';
+import { createProcessor } from './test-utils.js';
+
+jest.mock('../js/page-renderer.js', () => ({
+  renderPage: jest.fn(),
+}));
+
+/** RGBA bitmap of `pixels` white pixels, the first `dark` of them black */
+const bitmap = (pixels, dark) => {
+  const data = new Uint8ClampedArray(pixels * 4).fill(255);
+  data.fill(0, 0, dark * 4);
+  for (let i = 3; i < data.length; i += 4) data[i] = 255;
+  return { data };
+};
+
+const fakeCanvas = imageData => ({
+  width: 10,
+  height: 10,
+  getContext: () => ({ getImageData: () => imageData }),
+});
+
+/** pdf.js document whose pages hold the given texts */
+const fakeDocument = texts => ({
+  numPages: texts.length,
+  getPage: async number => ({
+    getTextContent: async () => ({
+      items: texts[number - 1].split(' ').map(str => ({ str })),
+    }),
+    cleanup: jest.fn(),
+  }),
+});
+
+describe('separator pages', () => {
+  it('should measure the share of dark pixels', () => {
+    expect(inkCoverage(bitmap(100, 0))).toBe(0);
+    expect(inkCoverage(bitmap(100, 3))).toBeCloseTo(0.03);
+  });
+
+  it('should find near-blank pages below the threshold', async () => {
+    const coverage = [20, 0, 20, 1];
+    renderPage.mockImplementation(async (pdf, index) =>
+      fakeCanvas(bitmap(1000, coverage[index]))
+    );
+    const progress = jest.fn();
+
+    const separators = await findSeparatorPages(
+      { numPages: 4 },
+      { mode: 'blank', blankThreshold: 0.5 },
+      progress
+    );
+
+    expect(separators).toEqual([1, 3]);
+    expect(progress).toHaveBeenLastCalledWith(
+      expect.objectContaining({ message: 'Looking for separator pages (4/4)' })
+    );
+  });
+
+  it('should find pages containing the marker text', async () => {
+    const pdf = fakeDocument([
+      'Invoice 1',
+      '--- next   Document ---',
+      'Invoice 2',
+    ]);
+
+    await expect(
+      findSeparatorPages(pdf, { mode: 'marker', marker: 'NEXT document' })
+    ).resolves.toEqual([1]);
+    await expect(findSeparatorPages(pdf, { mode: 'marker' })).rejects.toThrow(
+      'Enter the marker text to split on'
+    );
+  });
+});
+
+describe('splitAtPages', () => {
+  /** Document whose page widths are 101, 102, ... to tell pages apart */
+  const createDocument = async pageCount => {
+    const pdfDoc = await PDFLib.PDFDocument.create();
+    for (let i = 0; i < pageCount; i++) pdfDoc.addPage([101 + i, 500]);
+    return pdfDoc;
+  };
+
+  const widths = parts =>
+    parts.map(part => part.getPages().map(page => page.getWidth()));
+
+  it('should drop separators and skip empty parts', async () => {
+    const pdfDoc = await createDocument(6);
+
+    const parts = await createProcessor().splitAtPages(pdfDoc, [0, 2, 3]);
+
+    expect(widths(parts)).toEqual([[102], [105, 106]]);
+  });
+
+  it('should start each part with its separator when kept', async () => {
+    const pdfDoc = await createDocument(4);
+
+    const parts = await createProcessor().splitAtPages(pdfDoc, [2], {
+      dropSeparators: false,
+    });
+
+    expect(widths(parts)).toEqual([
+      [101, 102],
+      [103, 104],
+    ]);
+  });
+
+  it('should reject documents without separators', async () => {
+    const pdfDoc = await createDocument(2);
+
+    await expect(createProcessor().splitAtPages(pdfDoc, [])).rejects.toThrow(
+      'No separator pages found'
+    );
+  });
+});
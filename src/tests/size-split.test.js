@@ -0,0 +1,111 @@
+import * as PDFLib from 'pdf-lib';
+import { createEnhancedEngine } from '../js/engine/enhanced-engine.js';
+import { createProcessor, toFile } from './test-utils.js';
+
+const MB = 1024 * 1024;
+
+/**
+ * Pages drawing a stream of `bytesPerPage` incompressible bytes each, plus
+ * one `sharedBytes` object used by every page
+ */
+async function createDocument(pageCount, bytesPerPage, sharedBytes = 0) {
+  const pdfDoc = await PDFLib.PDFDocument.create();
+  const { context } = pdfDoc;
+  const random = length =>
+    Uint8Array.from({ length }, () => Math.floor(Math.random() * 256));
+  const shared = context.register(context.flateStream(random(sharedBytes)));
+  for (let i = 0; i < pageCount; i++) {
+    const page = pdfDoc.addPage([300, 500]);
+    const data = context.register(context.stream(random(bytesPerPage)));
+    page.node.set(
+      PDFLib.PDFName.of('PieceInfo'),
+      context.obj({ Data: data, Shared: shared })
+    );
+  }
+  return pdfDoc;
+}
+
+describe('splitBySize', () => {
+  it('should keep every part under the limit with one save each', async () => {
+    const pdfDoc = await createDocument(12, 0.3 * MB, 0.2 * MB);
+    const processor = createProcessor();
+    const save = jest.spyOn(PDFLib.PDFDocument.prototype, 'save');
+
+    const parts = await processor.splitBySize(pdfDoc, 1);
+    // One confirming save per part
+    expect(save).toHaveBeenCalledTimes(parts.length);
+    save.mockRestore();
+
+    expect(parts.every(part => part.bytes.length <= MB)).toBe(true);
+    // The shared object is counted once per part: 2 pages + shared fit in 1 MB
+    expect(parts.map(part => part.doc.getPageCount())).toEqual([
+      2, 2, 2, 2, 2, 2,
+    ]);
+    const saved = await PDFLib.PDFDocument.load(parts[0].bytes);
+    expect(saved.getPageCount()).toBe(2);
+  });
+
+  it('should repack a part the size model underestimated', async () => {
+    const pdfDoc = await createDocument(3, 0.4 * MB);
+    const [first, , last] = pdfDoc.getPages();
+    // Links to other pages are not in the model, but copyPages() follows them
+    first.node
+      .lookup(PDFLib.PDFName.of('PieceInfo'))
+      .set(PDFLib.PDFName.of('Link'), last.ref);
+    const save = jest.spyOn(PDFLib.PDFDocument.prototype, 'save');
+
+    const parts = await createProcessor().splitBySize(pdfDoc, 1);
+
+    expect(parts.map(part => part.doc.getPageCount())).toEqual([1, 1, 1]);
+    expect(save).toHaveBeenCalledTimes(parts.length + 1);
+    save.mockRestore();
+  });
+
+  it('should reject a page larger than the limit', async () => {
+    const pdfDoc = await createDocument(2, 1.2 * MB);
+
+    await expect(createProcessor().splitBySize(pdfDoc, 1)).rejects.toThrow(
+      'Strona 1'
+    );
+  });
+});
+
+describe('fit into attachments', () => {
+  const process = async (pdfDoc, options) => {
+    const file = await toFile(pdfDoc, 'scan.pdf');
+    const app = {
+      pdfProcessor: createProcessor(),
+      ensurePDFLibrariesLoaded: async () => {},
+      loadWorker: async () => null,
+    };
+    return createEnhancedEngine(app).process(file, {
+      targetSizeMode: true,
+      targetSizeMB: 1,
+      fitAttachments: true,
+      maxAttachments: 3,
+      ...options,
+    });
+  };
+
+  it('should split what compression could not fit', async () => {
+    const result = await process(await createDocument(4, 0.4 * MB));
+
+    expect(result.files.map(file => file.name)).toEqual([
+      expect.stringMatching(/-part-001\.pdf$/),
+      expect.stringMatching(/-part-002\.pdf$/),
+    ]);
+    expect(result.files.every(file => file.size <= MB)).toBe(true);
+    expect(result.fit).toEqual({ limitMB: 1, maxParts: 3, parts: 2 });
+  });
+
+  it('should keep one file when it already fits', async () => {
+    const save = jest.spyOn(PDFLib.PDFDocument.prototype, 'save');
+    const result = await process(await createDocument(2, 0.1 * MB));
+
+    // toFile(), the size check in compressToTargetSize() and the output
+    expect(save).toHaveBeenCalledTimes(3);
+    save.mockRestore();
+    expect(result.files).toBeUndefined();
+    expect(result.fit).toEqual({ limitMB: 1, maxParts: 3, parts: 1 });
+  });
+});
@@ -0,0 +1,103 @@
+import * as PDFLib from 'pdf-lib';
+import { createProcessor } from './test-utils.js';
+
+const { PDFName } = PDFLib;
+
+// Minimal baseline JPEG header (SOF0, 2x2 RGB) – enough for pdf-lib's embedder
+const TINY_JPEG = new Uint8Array([
+  0xff, 0xd8, 0xff, 0xc0, 0x00, 0x11, 0x08, 0x00, 0x02, 0x00, 0x02, 0x03, 0x01,
+  0x22, 0x00, 0x02, 0x11, 0x01, 0x03, 0x11, 0x01, 0xff, 0xd9,
+]);
+const KB = 1024;
+
+/** One page per image; image i is a JPEG stream of sizes[i] bytes */
+async function documentWithImages(sizes) {
+  const pdfDoc = await PDFLib.PDFDocument.create();
+  sizes.forEach((size, i) => {
+    const page = pdfDoc.addPage([200, 200]);
+    const ref = pdfDoc.context.register(
+      pdfDoc.context.stream(new Uint8Array(size).fill(i + 1), {
+        Type: 'XObject',
+        Subtype: 'Image',
+        Width: 2,
+        Height: 2,
+        ColorSpace: 'DeviceRGB',
+        BitsPerComponent: 8,
+        Filter: 'DCTDecode',
+      })
+    );
+    page.node.setXObject(PDFName.of('Im0'), ref);
+  });
+  return pdfDoc;
+}
+
+/**
+ * Worker pool whose encoder returns `quality` × original bytes (a valid JPEG
+ * header padded with zeros)
+ */
+function createPooledProcessor() {
+  const processor = createProcessor();
+  const run = jest.fn(async ({ raw, quality }) => {
+    const bytes = new Uint8Array(Math.round(raw.byteLength * quality));
+    bytes.set(TINY_JPEG);
+    return { result: { kind: 'jpeg', bytes: bytes.buffer } };
+  });
+  processor.setWorkerPool({ size: 1, run });
+  return { processor, run };
+}
+
+const imageSize = (pdfDoc, index) =>
+  pdfDoc.context
+    .lookup(
+      pdfDoc
+        .getPage(index)
+        .node.Resources()
+        .lookup(PDFName.of('XObject'))
+        .get(PDFName.of('Im0'))
+    )
+    .getContentsSize();
+
+describe('compressToTargetSize', () => {
+  it('should step the largest image down until the target fits', async () => {
+    const pdfDoc = await documentWithImages([400 * KB, 100 * KB, 20 * KB]);
+    const { processor, run } = createPooledProcessor();
+    const prepare = jest.spyOn(processor, 'prepareImageForEncoding');
+    const stats = {};
+
+    const { processedDoc, qualityUsed, size } =
+      await processor.compressToTargetSize(pdfDoc, 0.4, null, { stats });
+
+    const bytes = await processedDoc.save({ useObjectStreams: true });
+    expect(bytes.length).toBeLessThanOrEqual(0.4 * 1024 * KB);
+    expect(size).toBe(bytes.length);
+    // 85 → 70 → 55 on the big image only; the small ones keep their quality
+    expect(run.mock.calls.map(([task]) => task.quality)).toEqual([
+      0.85, 0.7, 0.55,
+    ]);
+    // Unpacked for each encode only; the small images are never touched
+    expect(prepare).toHaveBeenCalledTimes(3);
+    expect(qualityUsed).toBe(55);
+    expect(imageSize(processedDoc, 0)).toBe(Math.round(400 * KB * 0.55));
+    expect(imageSize(processedDoc, 1)).toBe(100 * KB);
+    expect(stats).toEqual({
+      imagesFound: 3,
+      imagesRecompressed: 1,
+      duplicateImagesMerged: 0,
+    });
+  });
+
+  it('should encode each image once per level when out of reach', async () => {
+    const pdfDoc = await documentWithImages([40 * KB, 30 * KB]);
+    const { processor, run } = createPooledProcessor();
+
+    const { qualityUsed } = await processor.compressToTargetSize(pdfDoc, 0.01);
+
+    const encodes = run.mock.calls.map(
+      ([task]) => `${task.raw.byteLength}@${task.quality}`
+    );
+    expect(new Set(encodes).size).toBe(encodes.length);
+    expect(encodes).toHaveLength(12);
+    expect(qualityUsed).toBe(10);
+    expect(imageSize(pdfDoc, 1)).toBe(Math.round(30 * KB * 0.1));
+  });
+});
@@ -0,0 +1,27 @@
+// Helpers shared by the PDFProcessor tests (imported, not a test suite)
+import * as PDFLib from 'pdf-lib';
+import { PDFProcessor } from '../js/pdf-processor.js';
+
+/**
+ * PDFProcessor wired to the real pdf-lib without initialize()
+ * @returns {PDFProcessor}
+ */
+export const createProcessor = () => {
+  const processor = new PDFProcessor();
+  processor.PDFLib = PDFLib;
+  return processor;
+};
+
+/**
+ * Save a document into a File that loadPDF() can read
+ * @param {PDFDocument} pdfDoc
+ * @param {string} name
+ * @returns {Promise<File>}
+ */
+export async function toFile(pdfDoc, name) {
+  const bytes = await pdfDoc.save();
+  const file = new File([bytes], name, { type: 'application/pdf' });
+  // jsdom's File can't be read back; serve the bytes directly
+  file.arrayBuffer = async () => bytes.buffer;
+  return file;
+}
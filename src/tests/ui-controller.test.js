@@ -150,6 +150,26 @@ describe('UIController', () => {
       expect(uiController.elements.imageCount.textContent).toBe('5');
     });
     
+    it('should queue several dropped files for batch processing', () => {
+      const app = {
+        addFilesToQueue: jest.fn(),
+        handleFileSelection: jest.fn(),
+      };
+      uiController.setApp(app);
+      const files = [
+        new File(['a'], 'a.pdf', { type: 'application/pdf' }),
+        new File(['b'], 'b.pdf', { type: 'application/pdf' }),
+      ];
+
+      uiController.handleDrop({ dataTransfer: { files } });
+      expect(app.addFilesToQueue).toHaveBeenCalledWith(files);
+      expect(app.handleFileSelection).not.toHaveBeenCalled();
+
+      uiController.handleDrop({ dataTransfer: { files: [files[0]] } });
+      expect(app.handleFileSelection).toHaveBeenCalledWith(files[0]);
+      uiController.setApp(null);
+    });
+
     it('should reset upload area', () => {
       uiController.resetUploadArea();
       
@@ -220,6 +240,18 @@ describe('UIController', () => {
       uiController.elements.fileSizeLimit.value = '1000';
       expect(uiController.validateInputs()).toBe(false);
     });
+
+    it('should explain invalid page ranges', () => {
+      uiController.setApp({ state: { pdfDocument: { getPageCount: () => 8 } } });
+      expect(uiController.getPageRangeError('1-3, 7, 10-end')).toBe('Page range "10-end" is outside 1-8');
+      expect(uiController.getPageRangeError('odd, last-2')).toBeNull();
+      expect(uiController.getPageRangeError('12')).toBeNull();
+
+      // Without a document only the syntax is checked
+      uiController.setApp(null);
+      expect(uiController.getPageRangeError('10-end')).toBeNull();
+      expect(uiController.getPageRangeError('1-3, pages')).toBe('Invalid page range: "pages"');
+    });
   });
   
   describe('Progress Management', () => {
@@ -237,6 +269,20 @@ describe('UIController', () => {
       expect(uiController.elements.progressText.textContent).toBe('Processing... 50%');
     });
     
+    it('should ask the app to cancel processing', () => {
+      const app = { cancelProcessing: jest.fn(), state: { currentFile: {} } };
+      uiController.setApp(app);
+      uiController.showProgress();
+
+      uiController.handleCancel();
+      expect(app.cancelProcessing).toHaveBeenCalled();
+
+      uiController.showOptionsView();
+      expect(uiController.elements.progressSection.style.display).toBe('none');
+      expect(uiController.elements.fileInfoPanel.style.display).toBe('block');
+      uiController.setApp(null);
+    });
+
     it('should hide progress section', () => {
       uiController.hideProgress();
       
@@ -268,6 +314,83 @@ describe('UIController', () => {
     });
   });
   
+  describe('Page Thumbnails', () => {
+    it('should render tiles in view and release them when they leave', async () => {
+      document.body.insertAdjacentHTML(
+        'beforeend',
+        '<div id="thumbnailSection" style="display: none;"><div id="thumbnailGrid"></div></div>'
+      );
+      uiController.cacheElements();
+      const app = {
+        createThumbnail: jest.fn(async () => document.createElement('canvas')),
+        updateProcessingOptions: jest.fn(),
+      };
+      uiController.setApp(app);
+      uiController.thumbnailObserver = { observe: jest.fn(), disconnect: jest.fn() };
+
+      uiController.showThumbnails([
+        { width: 600, height: 800 },
+        { width: 800, height: 600 },
+      ]);
+      const tiles = uiController.elements.thumbnailGrid.querySelectorAll('.thumbnail');
+      expect(tiles).toHaveLength(2);
+      expect(uiController.thumbnailObserver.observe).toHaveBeenCalledTimes(2);
+      expect(uiController.elements.thumbnailSection.style.display).toBe('block');
+      expect(app.createThumbnail).not.toHaveBeenCalled();
+
+      uiController.handleThumbnailVisibility([{ target: tiles[1], isIntersecting: true }]);
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(app.createThumbnail).toHaveBeenCalledWith('page', 1);
+      expect(tiles[1].querySelector('canvas')).not.toBeNull();
+
+      uiController.handleThumbnailVisibility([{ target: tiles[1], isIntersecting: false }]);
+      expect(tiles[1].querySelector('canvas')).toBeNull();
+      expect(tiles[1].dataset.state).toBeUndefined();
+
+      uiController.thumbnailObserver = undefined;
+      uiController.setApp(null);
+    });
+
+    it('should arrange pages in the Organize tab', () => {
+      const app = {
+        createThumbnail: jest.fn(async () => null),
+        updateProcessingOptions: jest.fn(),
+      };
+      uiController.setApp(app);
+      uiController.thumbnailObserver = { observe: jest.fn(), unobserve: jest.fn(), disconnect: jest.fn() };
+      uiController.showThumbnails([
+        { width: 600, height: 800 },
+        { width: 600, height: 800 },
+        { width: 600, height: 800 },
+      ]);
+      uiController.setOrganizeMode(true);
+      const grid = uiController.elements.thumbnailGrid;
+      const tiles = grid.querySelectorAll('.thumbnail');
+      expect(grid.classList.contains('organizing')).toBe(true);
+      expect(tiles[0].draggable).toBe(true);
+
+      uiController.organizeTile(tiles[2], 'left');
+      uiController.organizeTile(tiles[0], 'rotate');
+      uiController.organizeTile(tiles[0], 'duplicate');
+      uiController.organizeTile(tiles[1], 'delete');
+
+      const layout = [
+        { index: 0, rotation: 90 },
+        { index: 0, rotation: 90 },
+        { index: 2, rotation: 0 },
+      ];
+      expect(uiController.getPageLayout()).toEqual(layout);
+      expect(app.updateProcessingOptions).toHaveBeenLastCalledWith({ pageLayout: layout });
+      expect(tiles[0].style.getPropertyValue('--thumbnail-fit')).toBe('0.75');
+
+      uiController.setOrganizeMode(false);
+      uiController.hideThumbnails();
+      expect(uiController.getPageLayout()).toBeNull();
+      uiController.thumbnailObserver = undefined;
+      uiController.setApp(null);
+    });
+  });
+
   describe('Notifications', () => {
     it('should show notification message', () => {
       uiController.showNotification('Test message', 'success');
@@ -0,0 +1,106 @@
+import { Blob as NodeBlob, File as NodeFile } from 'buffer';
+import { crc32, ZipWriter, createZipArchive } from '../js/zip-writer.js';
+
+// jsdom's Blob can't be read back (FileReader is mocked in setupTests),
+// so these tests run on Node's Blob/File, which match the browser API
+const readBytes = async blob => new Uint8Array(await blob.arrayBuffer());
+
+// Walk the central directory and return { name, data } for every entry
+const readZip = bytes => {
+  const view = new DataView(bytes.buffer);
+  const eocd = bytes.length - 22;
+  expect(view.getUint32(eocd, true)).toBe(0x06054b50);
+  const count = view.getUint16(eocd + 10, true);
+  let pos = view.getUint32(eocd + 16, true);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(pos, true)).toBe(0x02014b50);
+    const size = view.getUint32(pos + 24, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const offset = view.getUint32(pos + 42, true);
+    const name = new TextDecoder().decode(
+      bytes.subarray(pos + 46, pos + 46 + nameLength)
+    );
+    const dataStart = offset + 30 + view.getUint16(offset + 26, true);
+    entries.push({
+      name,
+      crc: view.getUint32(pos + 16, true),
+      data: bytes.subarray(dataStart, dataStart + size),
+    });
+    pos += 46 + nameLength;
+  }
+  return entries;
+};
+
+describe('ZipWriter', () => {
+  const { Blob: DomBlob, File: DomFile } = global;
+
+  beforeAll(() => {
+    global.Blob = NodeBlob;
+    global.File = NodeFile;
+  });
+
+  afterAll(() => {
+    global.Blob = DomBlob;
+    global.File = DomFile;
+  });
+
+  it('should compute the standard CRC-32', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+  });
+
+  it('should store entries readable from the central directory', async () => {
+    const zip = new ZipWriter();
+    await zip.add('a.pdf', new Blob(['%PDF-a']));
+    await zip.add('a.pdf', new Blob(['%PDF-b']));
+
+    const entries = readZip(await readBytes(zip.close()));
+
+    expect(entries.map(e => e.name)).toEqual(['a.pdf', 'a (2).pdf']);
+    expect(new TextDecoder().decode(entries[1].data)).toBe('%PDF-b');
+    expect(entries[0].crc).toBe(crc32(new TextEncoder().encode('%PDF-a')));
+  });
+
+  it('should add a manifest with sizes and savings', async () => {
+    const file = new File(['x'.repeat(40)], 'small.pdf');
+    const blob = await createZipArchive(
+      [{ file, originalName: 'big.pdf', originalSize: 100 }],
+      { manifest: { source: 'test' } }
+    );
+
+    const entries = readZip(await readBytes(blob));
+    const manifest = JSON.parse(new TextDecoder().decode(entries[1].data));
+
+    expect(entries.map(e => e.name)).toEqual(['small.pdf', 'manifest.json']);
+    expect(manifest.source).toBe('test');
+    expect(manifest.files[0]).toMatchObject({
+      name: 'small.pdf',
+      size: 40,
+      originalSize: 100,
+      savingsBytes: 60,
+      savingsPercentage: 60,
+    });
+    expect(manifest.totals).toMatchObject({ files: 1, size: 40 });
+  });
+
+  it('should total split parts against their source file', async () => {
+    const parts = [
+      new File(['x'.repeat(30)], 'doc-part-001.pdf'),
+      new File(['x'.repeat(20)], 'doc-part-002.pdf'),
+    ];
+    const blob = await createZipArchive(parts, {
+      manifest: { source: { name: 'doc.pdf', size: 200 } },
+    });
+
+    const entries = readZip(await readBytes(blob));
+    const manifest = JSON.parse(new TextDecoder().decode(entries[2].data));
+
+    expect(manifest.totals).toEqual({
+      files: 2,
+      size: 50,
+      originalSize: 200,
+      savingsBytes: 150,
+      savingsPercentage: 75,
+    });
+  });
+});